@@ -12,6 +12,9 @@ const PolylinesService = require('./services/polylines.service');
 const SegmentsService = require('./services/segments.service');
 const DatabaseInspectionService = require('./services/database-inspection.service');
 const OperationsService = require('./services/operations.service');
+const DevicesService = require('./services/devices.service');
+const QueueService = require('./services/queue.service');
+const TripsService = require('./services/trips.service');
 const loggingService = require('./services/logging.service');
 const createPolylinesRoutes = require('./routes/polylines.routes');
 const createSegmentsRoutes = require('./routes/segments.routes');
@@ -19,6 +22,9 @@ const createHealthRoutes = require('./routes/health.routes');
 const createDatabaseRoutes = require('./routes/database.routes');
 const createOperationsRoutes = require('./routes/operations.routes');
 const createLogsRoutes = require('./routes/logs.routes');
+const createDevicesRoutes = require('./routes/devices.routes');
+const createQueueRoutes = require('./routes/queue.routes');
+const createTripsRoutes = require('./routes/trips.routes');
 const errorHandler = require('./middleware/error-handler');
 
 // Create Express app
@@ -75,7 +81,10 @@ function createApp() {
     const polylinesService = new PolylinesService(database, logger);
     const segmentsService = new SegmentsService(database, logger);
     const databaseInspectionService = new DatabaseInspectionService(database, logger);
-    const operationsService = new OperationsService(database, logger);
+    const operationsService = new OperationsService(database, logger, config.activation);
+    const devicesService = new DevicesService(config.services.listenerApiUrl, config.services.listenerApiToken, logger);
+    const queueService = new QueueService(config.redis, logger);
+    const tripsService = new TripsService(database, logger);
 
     // Mount routes
     app.use(createPolylinesRoutes(polylinesService));
@@ -84,12 +93,16 @@ function createApp() {
     app.use(createDatabaseRoutes(databaseInspectionService));
     app.use(createOperationsRoutes(operationsService));
     app.use(createLogsRoutes(loggingService));
+    app.use(createDevicesRoutes(devicesService));
+    app.use(createQueueRoutes(queueService));
+    app.use(createTripsRoutes(tripsService));
 
     // Error handler (must be last)
     app.use(errorHandler);
 
     // Store services for graceful shutdown
     app.locals.database = database;
+    app.locals.queueService = queueService;
     app.locals.loggingService = loggingService;
 
     // Log application startup
@@ -22,12 +22,40 @@ module.exports = {
     
     // External Services
     services: {
-        osrmBase: process.env.OSRM_BASE || 'http://router.project-osrm.org'
+        osrmBase: process.env.OSRM_BASE || 'http://router.project-osrm.org',
+        listenerApiUrl: process.env.LISTENER_API_URL || 'http://tcp-listener:5501',
+        listenerApiToken: process.env.LISTENER_API_TOKEN || null // Shared secret for the listener internal API
+    },
+
+    // Redis job queue (read-only inspection for the admin panel)
+    redis: {
+        url: process.env.REDIS_URL || 'redis://redis:6379',
+        streams: {
+            jobs: 'gps:jobs',
+            deadLetters: 'gps:jobs:dead'
+        },
+        consumerGroup: 'gps-workers'
+    },
+    
+    // Segment activation when reprocessing polylines (keep in line with the worker)
+    activation: {
+        minOverlapPercent: parseFloat(process.env.SEGMENT_MIN_OVERLAP_PERCENT || '50'), // Share of a segment a pass must cover to mark it plowed
+        coverageWindowMinutes: parseInt(process.env.SEGMENT_COVERAGE_WINDOW_MINUTES) || 30 // Partial passes within this window add up
+    },
+    
+    // Admin endpoints (GPRS commands to trackers)
+    admin: {
+        apiToken: process.env.ADMIN_API_TOKEN || null, // Bearer token; unset disables the endpoints
+        // Command types (first word) that may be sent to trackers
+        allowedCommands: (process.env.ALLOWED_DEVICE_COMMANDS ||
+            'getinfo,getver,getstatus,getgps,ggps,readio,getio,getparam,setparam,battery,cpureset')
+            .split(',').map(command => command.trim().toLowerCase()).filter(Boolean)
     },
     
     // API Configuration
     api: {
         defaultHours: 168, // Default to 7 days of data
-        maxHours: 720 // Maximum 30 days
+        maxHours: 720, // Maximum 30 days
+        defaultMunicipality: process.env.DEFAULT_MUNICIPALITY || null // Used when a request has no ?municipality=
     }
 };
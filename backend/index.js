@@ -46,6 +46,11 @@ async function shutdown(signal) {
         loggingService.info('Database connections closed', 'Backend');
     }
 
+    // Close queue Redis connection
+    if (app.locals.queueService) {
+        await app.locals.queueService.close();
+    }
+
     // Flush Winston logs before exit
     await logger.shutdown();
 
@@ -0,0 +1,42 @@
+/**
+ * Admin Auth Middleware
+ * Guards routes that act on the fleet (e.g. GPRS commands) with a shared
+ * admin token sent as "Authorization: Bearer <token>"
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create middleware that only lets requests carrying the admin token through
+ * @param {string|null} adminToken - Expected token (null disables the guarded routes)
+ * @returns {Function} Express middleware
+ */
+function requireAdmin(adminToken) {
+    // Hash both sides so the comparison is constant-time regardless of length
+    const expected = adminToken ? crypto.createHash('sha256').update(adminToken).digest() : null;
+
+    return (req, res, next) => {
+        if (!expected) {
+            return res.status(503).json({
+                error: 'admin_auth_not_configured',
+                message: 'Set ADMIN_API_TOKEN on the backend to enable this endpoint'
+            });
+        }
+
+        const header = req.get('authorization') || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        const provided = match ? crypto.createHash('sha256').update(match[1].trim()).digest() : null;
+
+        if (!provided || !crypto.timingSafeEqual(provided, expected)) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({
+                error: 'unauthorized',
+                message: 'A valid admin token is required'
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = requireAdmin;
@@ -0,0 +1,74 @@
+/**
+ * Devices Routes
+ * API endpoints for connected trackers and GPRS commands
+ */
+
+const express = require('express');
+const config = require('../config/config');
+const requireAdmin = require('../middleware/require-admin');
+
+function createDevicesRoutes(devicesService) {
+    const router = express.Router();
+
+    /**
+     * GET /api/devices/connected
+     * List trackers currently connected to the TCP listener (admin only)
+     */
+    router.get('/api/devices/connected', requireAdmin(config.admin.apiToken), async (req, res, next) => {
+        try {
+            const devices = await devicesService.getConnectedDevices();
+            res.json({ devices });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    /**
+     * GET /api/devices/status
+     * Listener uptime, open sockets and last-seen / traffic per connected tracker (admin only)
+     */
+    router.get('/api/devices/status', requireAdmin(config.admin.apiToken), async (req, res, next) => {
+        try {
+            const status = await devicesService.getListenerStatus();
+            res.json(status);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    /**
+     * POST /api/devices/:imei/commands
+     * Send a Codec 12 command (e.g. getinfo, setparam) and return the device response.
+     * Admin only: commands can reconfigure or reboot trackers
+     */
+    router.post('/api/devices/:imei/commands', requireAdmin(config.admin.apiToken), async (req, res, next) => {
+        try {
+            const { imei } = req.params;
+            const { command } = req.body || {};
+
+            if (typeof command !== 'string' || command.trim() === '') {
+                return res.status(400).json({
+                    error: 'invalid_command',
+                    message: 'command must be a non-empty string'
+                });
+            }
+
+            const commandType = command.trim().split(/\s+/)[0].toLowerCase();
+            if (!config.admin.allowedCommands.includes(commandType)) {
+                return res.status(400).json({
+                    error: 'command_not_allowed',
+                    message: `Command "${commandType}" is not allowed (allowed: ${config.admin.allowedCommands.join(', ')})`
+                });
+            }
+
+            const result = await devicesService.sendCommand(imei, command.trim());
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createDevicesRoutes;
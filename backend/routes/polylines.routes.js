@@ -11,8 +11,8 @@ function createPolylinesRoutes(polylinesService) {
     // Get cached polylines
     router.get('/api/paths/encoded', async (req, res) => {
         try {
-            const { device_id, hours = 168 } = req.query;
-            const result = await polylinesService.getCachedPolylines(device_id, Number(hours));
+            const { device_id, municipality, hours = 168 } = req.query;
+            const result = await polylinesService.getCachedPolylines(device_id, Number(hours), municipality);
             res.json(result);
         } catch (error) {
             console.error('GET /api/paths/encoded error:', error);
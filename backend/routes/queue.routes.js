@@ -0,0 +1,28 @@
+/**
+ * Queue Routes
+ * API endpoints for inspecting the worker job queue
+ */
+
+const express = require('express');
+
+function createQueueRoutes(queueService) {
+    const router = express.Router();
+
+    /**
+     * GET /api/queue/status
+     * Stream backlog, pending jobs per worker and recent dead letters
+     */
+    router.get('/api/queue/status', async (req, res, next) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const status = await queueService.getStatus(limit);
+            res.json(status);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createQueueRoutes;
@@ -4,6 +4,7 @@
  */
 
 const express = require('express');
+const config = require('../config/config');
 
 function createSegmentsRoutes(segmentsService) {
     const router = express.Router();
@@ -12,11 +13,15 @@ function createSegmentsRoutes(segmentsService) {
     router.get('/api/segments', async (req, res) => {
         try {
             const { 
-                municipality = 'pomfret-vt', 
+                municipality = config.api.defaultMunicipality, 
                 since, 
                 all 
             } = req.query;
             
+            if (!municipality) {
+                return res.status(400).json({ error: 'municipality_required', message: 'municipality query parameter is required' });
+            }
+            
             const segments = await segmentsService.getSegments(
                 municipality,
                 since,
@@ -55,7 +60,11 @@ function createSegmentsRoutes(segmentsService) {
     // Get municipality boundary
     router.get('/api/boundary', async (req, res) => {
         try {
-            const { municipality = 'pomfret-vt' } = req.query;
+            const { municipality = config.api.defaultMunicipality } = req.query;
+            
+            if (!municipality) {
+                return res.status(400).json({ error: 'municipality_required', message: 'municipality query parameter is required' });
+            }
             
             const boundary = await segmentsService.getMunicipalityBoundary(municipality);
             
@@ -0,0 +1,38 @@
+/**
+ * Trips Routes
+ * API endpoints for vehicle trips (departure, return, time out)
+ */
+
+const express = require('express');
+const config = require('../config/config');
+
+function createTripsRoutes(tripsService) {
+    const router = express.Router();
+
+    /**
+     * GET /api/trips?device_id=&hours=
+     * Trips that started in the last `hours` (default 24), newest first
+     */
+    router.get('/api/trips', async (req, res, next) => {
+        try {
+            const { device_id } = req.query;
+            const hours = Number(req.query.hours || 24);
+
+            if (!Number.isFinite(hours) || hours <= 0 || hours > config.api.maxHours) {
+                return res.status(400).json({
+                    error: 'invalid_hours',
+                    message: `hours must be between 0 and ${config.api.maxHours}`
+                });
+            }
+
+            const trips = await tripsService.getTrips(device_id, hours);
+            res.json({ trips });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createTripsRoutes;
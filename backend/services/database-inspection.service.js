@@ -13,7 +13,8 @@ class DatabaseInspectionService {
             'road_segments',
             'segment_updates',
             'municipalities',
-            'processing_log'
+            'processing_log',
+            'maintenance_runs'
         ];
     }
 
@@ -64,7 +65,7 @@ class DatabaseInspectionService {
                             SELECT
                                 id, device_id, start_time, end_time, encoded_polyline,
                                 osrm_confidence, point_count, osrm_duration_ms, batch_id,
-                                created_at, last_accessed, access_count, bearing,
+                                created_at, last_accessed, access_count, bearing, blade_down, spreader_on,
                                 ST_AsGeoJSON(geometry)::json as geometry
                             FROM ${tableName}
                             WHERE id <= $1
@@ -76,7 +77,7 @@ class DatabaseInspectionService {
                             SELECT
                                 id, device_id, start_time, end_time, encoded_polyline,
                                 osrm_confidence, point_count, osrm_duration_ms, batch_id,
-                                created_at, last_accessed, access_count, bearing,
+                                created_at, last_accessed, access_count, bearing, blade_down, spreader_on,
                                 ST_AsGeoJSON(geometry)::json as geometry
                             FROM ${tableName}
                             WHERE id > $1
@@ -144,7 +145,7 @@ class DatabaseInspectionService {
                     SELECT
                         id, device_id, start_time, end_time, encoded_polyline,
                         osrm_confidence, point_count, osrm_duration_ms, batch_id,
-                        created_at, last_accessed, access_count, bearing,
+                        created_at, last_accessed, access_count, bearing, blade_down, spreader_on,
                         ST_AsGeoJSON(geometry)::json as geometry
                     FROM ${tableName}
                     ORDER BY id DESC
@@ -302,7 +303,8 @@ class DatabaseInspectionService {
             'road_segments': 'updated_at',
             'segment_updates': 'timestamp',
             'municipalities': 'updated_at',
-            'processing_log': 'updated_at'
+            'processing_log': 'updated_at',
+            'maintenance_runs': 'started_at'
         };
         return timestampColumns[tableName] || 'created_at';
     }
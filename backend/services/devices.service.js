@@ -0,0 +1,89 @@
+/**
+ * Devices Service
+ * Talks to the TCP listener's internal API to reach connected trackers
+ */
+
+class DevicesService {
+    constructor(listenerApiUrl, listenerApiToken, logger) {
+        this.listenerApiUrl = listenerApiUrl;
+        this.listenerApiToken = listenerApiToken;
+        this.logger = logger;
+        this.timeout = 45000; // Longer than the listener's own command timeout
+    }
+
+    /**
+     * Call the listener internal API
+     * @param {string} path - Request path
+     * @param {Object} options - fetch options
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async request(path, options = {}) {
+        let response;
+        try {
+            response = await fetch(`${this.listenerApiUrl}${path}`, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.listenerApiToken ? { 'Authorization': `Bearer ${this.listenerApiToken}` } : {})
+                },
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        } catch (error) {
+            const unavailable = new Error(`TCP listener unreachable: ${error.message}`);
+            unavailable.status = 503;
+            throw unavailable;
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(body.message || `TCP listener responded with status ${response.status}`);
+            error.status = response.status;
+            error.code = body.error;
+            throw error;
+        }
+
+        return body;
+    }
+
+    /**
+     * Get trackers currently connected to the listener
+     * @returns {Promise<Array>} Connected devices
+     */
+    async getConnectedDevices() {
+        const result = await this.request('/devices');
+        return result.devices;
+    }
+
+    /**
+     * Get listener status: uptime, open sockets and per-device activity
+     * @returns {Promise<Object>} Listener status
+     */
+    async getListenerStatus() {
+        return await this.request('/status');
+    }
+
+    /**
+     * Send a Codec 12 GPRS command to a device and wait for the response
+     * @param {string} imei - Device IMEI
+     * @param {string} command - Command text (e.g. "getinfo", "setparam 1000:30")
+     * @returns {Promise<Object>} Command result with device response
+     */
+    async sendCommand(imei, command) {
+        if (this.logger) {
+            this.logger.info(`Sending command to ${imei}: ${command}`);
+        }
+
+        const result = await this.request(`/devices/${encodeURIComponent(imei)}/commands`, {
+            method: 'POST',
+            body: JSON.stringify({ command })
+        });
+
+        if (this.logger) {
+            this.logger.info(`Command response from ${imei}: ${result.response}`);
+        }
+
+        return result;
+    }
+}
+
+module.exports = DevicesService;
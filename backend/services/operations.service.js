@@ -7,33 +7,21 @@ const jobTracker = require('./job-tracker.service');
 const OffsetGeneratorService = require('./offset-generator.service');
 
 class OperationsService {
-    constructor(databaseService, logger) {
+    /**
+     * @param {Object} databaseService - Database service
+     * @param {Object} logger - Logger instance
+     * @param {Object} activationConfig - config.activation (minimum overlap, coverage window)
+     */
+    constructor(databaseService, logger, activationConfig = {}) {
         this.db = databaseService;
         this.logger = logger;
+        this.activationConfig = {
+            minOverlapPercent: activationConfig.minOverlapPercent ?? 50,
+            coverageWindowMinutes: activationConfig.coverageWindowMinutes || 30
+        };
         this.offsetGenerator = new OffsetGeneratorService(databaseService, logger);
     }
 
-    /**
-     * Determine direction based on bearing comparison
-     * @param {number} polylineBearing - Bearing of the polyline
-     * @param {number} segmentBearing - Bearing of the segment
-     * @returns {string} 'forward' or 'reverse'
-     */
-    determineDirection(polylineBearing, segmentBearing) {
-        // Handle null bearings
-        if (polylineBearing == null || segmentBearing == null) {
-            return 'forward'; // Default to forward if unknown
-        }
-
-        // Calculate angular difference
-        const diff = Math.abs(polylineBearing - segmentBearing);
-        const normalizedDiff = diff > 180 ? 360 - diff : diff;
-
-        // Within 45 degrees = same direction (forward)
-        // More than 45 degrees = opposite direction (reverse)
-        return normalizedDiff <= 45 ? 'forward' : 'reverse';
-    }
-
     /**
      * Start reprocessing job asynchronously
      * @param {number} limit - Maximum number of polylines to process (optional)
@@ -63,7 +51,8 @@ class OperationsService {
     }
 
     /**
-     * Reprocess cached polylines to activate road segments
+     * Reprocess cached polylines to activate road segments, replacing the
+     * passes they logged before
      * @param {string} jobId - Job ID for tracking progress
      * @param {number} limit - Maximum number of polylines to process (optional)
      * @param {number} offset - Offset for pagination (default: 0)
@@ -86,8 +75,8 @@ class OperationsService {
                     id,
                     device_id,
                     ST_AsText(geometry) as geometry_wkt,
-                    bearing,
-                    end_time
+                    end_time,
+                    blade_down
                 FROM cached_polylines
                 WHERE geometry IS NOT NULL
                 ORDER BY id ASC
@@ -129,86 +118,42 @@ class OperationsService {
             let processedCount = 0;
             const errors = [];
 
+            // Municipalities each device may activate, looked up once per device
+            const serviceAreas = new Map();
+
             // Process each polyline
             for (const polyline of polylines) {
                 try {
-                    // Geometry is already converted to WKT in the SELECT query above
-                    const polylineWKT = polyline.geometry_wkt;
-
-                    // Find intersecting segments (same logic as worker)
-                    const segmentsResult = await client.query(`
-                        SELECT
-                            rs.id,
-                            rs.bearing as segment_bearing,
-                            rs.municipality_id,
-                            rs.street_name,
-                            CASE
-                                WHEN ST_Intersects(rs.geometry, ST_GeomFromText($1, 4326)) THEN
-                                    -- Exact intersection - calculate actual overlap
-                                    ST_Length(ST_Intersection(rs.geometry, ST_GeomFromText($1, 4326))::geography) /
-                                    ST_Length(rs.geometry::geography) * 100
-                                ELSE
-                                    -- Within 2m buffer but not intersecting - estimate overlap based on distance
-                                    (1.0 - ST_Distance(rs.geometry::geography, ST_GeomFromText($1, 4326)::geography) / 2.0) *
-                                    ST_Length(rs.geometry::geography) / ST_Length(rs.geometry::geography) * 100
-                            END as overlap_percentage
-                        FROM road_segments rs
-                        WHERE ST_DWithin(rs.geometry::geography, ST_GeomFromText($1, 4326)::geography, 2)
-                    `, [polylineWKT]);
-
-                    const segments = segmentsResult.rows;
-                    totalSegmentsActivated += segments.length;
-
-                    // Process each intersecting segment
-                    for (const segment of segments) {
-                        // Determine direction (in JavaScript to avoid 13k+ DB queries)
-                        const direction = this.determineDirection(polyline.bearing, segment.segment_bearing);
-                        const timestampColumn = direction === 'forward' ? 'last_plowed_forward' : 'last_plowed_reverse';
-
-                        // Update segment only if this polyline's timestamp is newer
-                        await client.query(`
-                            UPDATE road_segments
-                            SET
-                                ${timestampColumn} = GREATEST(${timestampColumn}, $1),
-                                last_plowed_device_id = CASE
-                                    WHEN ${timestampColumn} IS NULL OR ${timestampColumn} < $1
-                                    THEN $2
-                                    ELSE last_plowed_device_id
-                                END,
-                                plow_count_total = plow_count_total + CASE
-                                    WHEN ${timestampColumn} IS NULL OR ${timestampColumn} < $1
-                                    THEN 1
-                                    ELSE 0
-                                END,
-                                updated_at = NOW()
-                            WHERE id = $3
-                        `, [polyline.end_time, polyline.device_id, segment.id]);
-
-                        // Log the activation (avoid duplicates)
-                        await client.query(`
-                            INSERT INTO segment_updates (
-                                segment_id,
-                                polyline_id,
-                                device_id,
-                                direction,
-                                overlap_percentage,
-                                timestamp
-                            )
-                            SELECT $1, $2, $3, $4, $5, $6
-                            WHERE NOT EXISTS (
-                                SELECT 1 FROM segment_updates
-                                WHERE segment_id = $1 AND polyline_id = $2
-                            )
-                        `, [
-                            segment.id,
-                            polyline.id,
-                            polyline.device_id,
-                            direction,
-                            segment.overlap_percentage,
-                            polyline.end_time
-                        ]);
+                    // A failed polyline must not abort the ones after it
+                    await client.query('SAVEPOINT reprocess_polyline');
+
+                    // Replace the polyline's earlier passes instead of counting them twice
+                    await this.removePolylinePasses(client, polyline.id);
+
+                    if (!serviceAreas.has(polyline.device_id)) {
+                        serviceAreas.set(polyline.device_id, await this.getDeviceServiceArea(client, polyline.device_id));
                     }
 
+                    // Same activation rules as the worker (migration 019)
+                    // Blade up = deadheading: log the pass but don't mark segments plowed
+                    const passType = polyline.blade_down === false ? 'deadheading' : 'plowing';
+                    const activation = await client.query(`
+                        SELECT passes, activated
+                        FROM activate_segments(ST_GeomFromText($1, 4326), $2, $3, $4, $5, $6, $7, $8)
+                    `, [
+                        polyline.geometry_wkt,
+                        polyline.end_time,
+                        polyline.device_id,
+                        polyline.id,
+                        passType,
+                        this.activationConfig.minOverlapPercent,
+                        this.activationConfig.coverageWindowMinutes,
+                        serviceAreas.get(polyline.device_id)
+                    ]);
+                    totalSegmentsActivated += activation.rows[0].activated;
+
+                    await client.query('RELEASE SAVEPOINT reprocess_polyline');
+
                     processedCount++;
 
                     // Update progress every 10 polylines
@@ -216,6 +161,7 @@ class OperationsService {
                         jobTracker.updateProgress(jobId, processedCount, polylines.length);
                     }
                 } catch (error) {
+                    await client.query('ROLLBACK TO SAVEPOINT reprocess_polyline');
                     if (this.logger) {
                         this.logger.error(`Error processing polyline ${polyline.id}: ${error.message}`);
                     }
@@ -255,6 +201,56 @@ class OperationsService {
         }
     }
 
+    /**
+     * Remove a polyline's segment passes, rolling back the plow counters and
+     * last-plowed times of the ones that activated a segment
+     * @param {Object} client - Database client (inside a transaction)
+     * @param {number} polylineId - Polyline ID
+     * @returns {Promise<void>}
+     */
+    async removePolylinePasses(client, polylineId) {
+        await client.query(`
+            UPDATE road_segments rs
+            SET plow_count_today = GREATEST(rs.plow_count_today - su.passes, 0),
+                plow_count_total = GREATEST(rs.plow_count_total - su.passes, 0),
+                updated_at = NOW()
+            FROM (
+                SELECT segment_id, COUNT(*) AS passes
+                FROM segment_updates
+                WHERE polyline_id = $1 AND pass_type = 'plowing' AND activated
+                GROUP BY segment_id
+            ) su
+            WHERE rs.id = su.segment_id
+        `, [polylineId]);
+
+        const removed = await client.query(
+            'DELETE FROM segment_updates WHERE polyline_id = $1 RETURNING segment_id',
+            [polylineId]
+        );
+        if (removed.rows.length > 0) {
+            await client.query(
+                'SELECT refresh_segment_last_plowed($1)',
+                [removed.rows.map(row => row.segment_id)]
+            );
+        }
+    }
+
+    /**
+     * Get the municipalities a device may plow in (home municipality plus extra
+     * service areas)
+     * @param {Object} client - Database client
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<Array<string>|null>} Municipality IDs, or null if the device is unrestricted
+     */
+    async getDeviceServiceArea(client, deviceId) {
+        const result = await client.query(
+            'SELECT get_device_service_area($1) AS municipality_ids',
+            [deviceId]
+        );
+
+        return result.rows[0].municipality_ids;
+    }
+
     /**
      * Get statistics about reprocessing potential
      * @returns {Promise<Object>} Statistics
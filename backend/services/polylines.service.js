@@ -13,11 +13,12 @@ class PolylinesService {
      * Get cached polylines for devices
      * @param {string} deviceId - Optional device ID filter
      * @param {number} hours - Hours to look back
+     * @param {string} municipalityId - Optional municipality filter (polylines crossing it)
      * @returns {Promise<Object>} Formatted polyline data
      */
-    async getCachedPolylines(deviceId, hours) {
+    async getCachedPolylines(deviceId, hours, municipalityId = null) {
         if (this.logger) {
-            this.logger.info(`🗺️ Fetching cached polylines for: ${deviceId || 'all devices'}, timeframe: ${hours}h`);
+            this.logger.info(`🗺️ Fetching cached polylines for: ${deviceId || 'all devices'}${municipalityId ? ` in ${municipalityId}` : ''}, timeframe: ${hours}h`);
         }
         
         const startTime = performance.now();
@@ -32,7 +33,8 @@ class PolylinesService {
                 encoded_polyline,
                 osrm_confidence,
                 point_count,
-                bearing
+                bearing,
+                municipality_ids
             FROM cached_polylines
             WHERE start_time > $1
         `;
@@ -40,8 +42,13 @@ class PolylinesService {
         const params = [new Date(Date.now() - hours * 60 * 60 * 1000)];
 
         if (deviceId) {
-            query += ' AND device_id = $2';
             params.push(deviceId);
+            query += ` AND device_id = $${params.length}`;
+        }
+
+        if (municipalityId) {
+            params.push(municipalityId);
+            query += ` AND $${params.length} = ANY(municipality_ids)`;
         }
 
         query += ' ORDER BY start_time DESC';
@@ -70,7 +77,8 @@ class PolylinesService {
                 encoded_polyline: row.encoded_polyline,
                 osrm_confidence: row.osrm_confidence,
                 point_count: row.point_count,
-                bearing: row.bearing
+                bearing: row.bearing,
+                municipality_ids: row.municipality_ids
             });
         });
 
@@ -90,7 +98,8 @@ class PolylinesService {
                     confidence: p.osrm_confidence,
                     start_time: p.start_time,
                     end_time: p.end_time,
-                    bearing: p.bearing
+                    bearing: p.bearing,
+                    municipality_ids: p.municipality_ids
                 })),
                 matched_batches: polylines.length,
                 total_batches: polylines.length,
@@ -0,0 +1,117 @@
+/**
+ * Queue Service
+ * Read-only view of the worker job stream: backlog, pending (unacknowledged)
+ * jobs per worker and recent dead letters
+ */
+
+const { createClient } = require('redis');
+
+class QueueService {
+    constructor(redisConfig, logger) {
+        this.config = redisConfig;
+        this.logger = logger;
+        this.client = null;
+    }
+
+    /**
+     * Get a connected Redis client, connecting on first use
+     * @returns {Promise<Object>} Redis client
+     */
+    async getClient() {
+        if (this.client && this.client.isReady) {
+            return this.client;
+        }
+
+        try {
+            if (!this.client) {
+                this.client = createClient({ url: this.config.url });
+                this.client.on('error', (err) => {
+                    if (this.logger) {
+                        this.logger.warn(`Queue Redis client error: ${err.message}`);
+                    }
+                });
+            }
+            if (!this.client.isOpen) {
+                await this.client.connect();
+            }
+            return this.client;
+        } catch (error) {
+            const unavailable = new Error(`Redis unreachable: ${error.message}`);
+            unavailable.status = 503;
+            throw unavailable;
+        }
+    }
+
+    /**
+     * Get queue status: stream length, consumer group, pending jobs and dead letters
+     * @param {number} limit - Maximum pending entries and dead letters to return
+     * @returns {Promise<Object>} Queue status
+     */
+    async getStatus(limit = 50) {
+        const client = await this.getClient();
+        const { jobs, deadLetters } = this.config.streams;
+        const groupName = this.config.consumerGroup;
+
+        const streamLength = await client.xLen(jobs);
+        const deadLetterCount = await client.xLen(deadLetters);
+
+        // Group doesn't exist until the first worker starts
+        const groups = await client.exists(jobs) ? await client.xInfoGroups(jobs) : [];
+        const group = groups.find(g => g.name === groupName);
+
+        let consumers = [];
+        let pending = [];
+        if (group) {
+            consumers = (await client.xInfoConsumers(jobs, groupName)).map(c => ({
+                name: c.name,
+                pending: c.pending,
+                idleMs: c.idle
+            }));
+
+            const pendingEntries = await client.xPendingRange(jobs, groupName, '-', '+', limit);
+            pending = await Promise.all(pendingEntries.map(async (entry) => {
+                const [message] = await client.xRange(jobs, entry.id, entry.id);
+                return {
+                    id: entry.id,
+                    deviceId: message ? message.message.deviceId : null,
+                    consumer: entry.owner,
+                    idleMs: entry.millisecondsSinceLastDelivery,
+                    deliveries: entry.deliveriesCounter
+                };
+            }));
+        }
+
+        const deadLetterEntries = await client.xRevRange(deadLetters, '+', '-', { COUNT: limit });
+
+        return {
+            stream: jobs,
+            streamLength,
+            group: group ? {
+                name: group.name,
+                consumers: group.consumers,
+                pending: group.pending,
+                lastDeliveredId: group.lastDeliveredId
+            } : null,
+            consumers,
+            pending,
+            deadLetterCount,
+            deadLetters: deadLetterEntries.map(entry => ({
+                id: entry.id,
+                ...entry.message,
+                deliveries: parseInt(entry.message.deliveries)
+            }))
+        };
+    }
+
+    /**
+     * Close the Redis connection
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.client && this.client.isOpen) {
+            await this.client.quit();
+        }
+    }
+}
+
+module.exports = QueueService;
@@ -0,0 +1,76 @@
+/**
+ * Trips Service
+ * Vehicle trips between stops, as detected by the worker
+ */
+
+class TripsService {
+    constructor(database, logger = null) {
+        this.db = database;
+        this.logger = logger;
+    }
+
+    /**
+     * Get trips that started within a time window
+     * @param {string} deviceId - Optional device ID filter
+     * @param {number} hours - Hours to look back
+     * @returns {Promise<Array>} Trips, newest first
+     */
+    async getTrips(deviceId, hours) {
+        let query = `
+            SELECT
+                t.id,
+                t.device_id,
+                d.name AS device_name,
+                t.status,
+                t.start_time,
+                ST_X(t.start_location) AS start_lon,
+                ST_Y(t.start_location) AS start_lat,
+                t.end_time,
+                ST_X(t.end_location) AS end_lon,
+                ST_Y(t.end_location) AS end_lat,
+                t.end_reason,
+                COALESCE(t.duration_seconds, EXTRACT(EPOCH FROM (t.last_point_time - t.start_time))::INTEGER) AS duration_seconds,
+                t.last_point_time,
+                t.distance_meters,
+                t.point_count,
+                t.max_speed
+            FROM trips t
+            LEFT JOIN devices d ON d.imei = t.device_id
+            WHERE t.start_time > $1
+        `;
+
+        const params = [new Date(Date.now() - hours * 60 * 60 * 1000)];
+
+        if (deviceId) {
+            query += ' AND t.device_id = $2';
+            params.push(deviceId);
+        }
+
+        query += ' ORDER BY t.start_time DESC';
+
+        const { rows } = await this.db.query(query, params);
+
+        if (this.logger) {
+            this.logger.info(`🚚 Found ${rows.length} trips for ${deviceId || 'all devices'} in the last ${hours}h`);
+        }
+
+        return rows.map(row => ({
+            id: Number(row.id),
+            deviceId: row.device_id,
+            deviceName: row.device_name,
+            status: row.status,
+            startTime: row.start_time,
+            startLocation: [row.start_lon, row.start_lat],
+            endTime: row.end_time,
+            endLocation: row.end_time ? [row.end_lon, row.end_lat] : null,
+            endReason: row.end_reason,
+            durationSeconds: row.duration_seconds,
+            lastSeenAt: row.last_point_time,
+            distanceMeters: Math.round(row.distance_meters),
+            pointCount: row.point_count,
+            maxSpeed: row.max_speed
+        }));
+    }
+}
+
+module.exports = TripsService;
@@ -0,0 +1,92 @@
+-- ============================================
+-- Migration: Add GPS Telemetry Columns
+-- ============================================
+-- Description: Store the full decoded tracker record in gps_raw_data:
+--              satellites, priority, event IO ID and the raw IO element map
+--              (altitude, speed and bearing columns already exist)
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: ADD COLUMNS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding telemetry columns to gps_raw_data...';
+END $$;
+
+ALTER TABLE gps_raw_data
+ADD COLUMN IF NOT EXISTS satellites SMALLINT,
+ADD COLUMN IF NOT EXISTS priority SMALLINT,
+ADD COLUMN IF NOT EXISTS event_io_id INTEGER,
+ADD COLUMN IF NOT EXISTS io_elements JSONB;
+
+-- ============================================
+-- STEP 2: ADD COMMENTS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding column comments...';
+END $$;
+
+COMMENT ON COLUMN gps_raw_data.altitude IS
+    'Altitude above sea level in meters, as reported by the tracker';
+
+COMMENT ON COLUMN gps_raw_data.speed IS
+    'Ground speed in km/h, as reported by the tracker';
+
+COMMENT ON COLUMN gps_raw_data.bearing IS
+    'Heading in degrees (0-360) from the tracker GPS element (Teltonika "angle")';
+
+COMMENT ON COLUMN gps_raw_data.satellites IS
+    'Number of satellites used for the fix. 0 means no valid fix.';
+
+COMMENT ON COLUMN gps_raw_data.priority IS
+    'Teltonika record priority: 0 = low, 1 = high, 2 = panic';
+
+COMMENT ON COLUMN gps_raw_data.event_io_id IS
+    'IO element ID that triggered the record (0 for periodic records)';
+
+COMMENT ON COLUMN gps_raw_data.io_elements IS
+    'Raw IO element map keyed by IO ID. 8-byte values are stored as strings, variable-length (Codec 8E) values as hex.';
+
+-- ============================================
+-- STEP 3: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Columns added to gps_raw_data:';
+    RAISE NOTICE '  - satellites (SMALLINT)';
+    RAISE NOTICE '  - priority (SMALLINT)';
+    RAISE NOTICE '  - event_io_id (INTEGER)';
+    RAISE NOTICE '  - io_elements (JSONB)';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy tcp-listener so new records carry telemetry';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Existing rows keep NULL telemetry (no backfill available)';
+    RAISE NOTICE '==================================================';
+END $$;
@@ -0,0 +1,127 @@
+-- ============================================
+-- Migration: Add Plow Blade / Spreader Detection
+-- ============================================
+-- Description: Per-device mapping of tracker digital inputs (blade down,
+--              spreader on, ignition) and pass classification so segments
+--              are only marked plowed when the blade was down
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: CREATE DEVICE IO MAPPINGS TABLE
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating device_io_mappings table...';
+END $$;
+
+CREATE TABLE IF NOT EXISTS device_io_mappings (
+    device_id TEXT PRIMARY KEY,
+
+    -- Teltonika IO element IDs (1 = DIN1, 2 = DIN2, 239 = Ignition)
+    blade_down_io_id INTEGER,
+    spreader_on_io_id INTEGER,
+    ignition_io_id INTEGER DEFAULT 239,
+
+    -- Value the input reports when active (1 for active-high wiring)
+    blade_down_value INTEGER NOT NULL DEFAULT 1,
+    spreader_on_value INTEGER NOT NULL DEFAULT 1,
+
+    -- Metadata
+    notes TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE device_io_mappings IS
+    'Which tracker IO element means blade down, spreader on and ignition for each device. Devices without a blade mapping are treated as always plowing.';
+COMMENT ON COLUMN device_io_mappings.blade_down_io_id IS
+    'IO element ID wired to the plow blade sensor (usually 1 = DIN1). NULL = no blade sensor.';
+COMMENT ON COLUMN device_io_mappings.spreader_on_io_id IS
+    'IO element ID wired to the salt/sand spreader (usually 2 = DIN2). NULL = no spreader sensor.';
+
+-- ============================================
+-- STEP 2: RECORD IMPLEMENT STATE ON POLYLINES
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding implement state to cached_polylines...';
+END $$;
+
+ALTER TABLE cached_polylines
+ADD COLUMN IF NOT EXISTS blade_down BOOLEAN,
+ADD COLUMN IF NOT EXISTS spreader_on BOOLEAN;
+
+COMMENT ON COLUMN cached_polylines.blade_down IS
+    'TRUE if the blade was down during any point of the batch, FALSE if it was up throughout, NULL if the device has no blade sensor';
+COMMENT ON COLUMN cached_polylines.spreader_on IS
+    'TRUE if the spreader was on during any point of the batch, FALSE if off throughout, NULL if the device has no spreader sensor';
+
+-- ============================================
+-- STEP 3: CLASSIFY SEGMENT PASSES
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding pass_type to segment_updates...';
+END $$;
+
+ALTER TABLE segment_updates
+ADD COLUMN IF NOT EXISTS pass_type TEXT NOT NULL DEFAULT 'plowing';
+
+ALTER TABLE segment_updates
+DROP CONSTRAINT IF EXISTS valid_pass_type;
+
+ALTER TABLE segment_updates
+ADD CONSTRAINT valid_pass_type CHECK (pass_type IN ('plowing', 'deadheading'));
+
+CREATE INDEX IF NOT EXISTS idx_segment_updates_deadheading
+ON segment_updates(segment_id, timestamp DESC)
+WHERE pass_type = 'deadheading';
+
+COMMENT ON COLUMN segment_updates.pass_type IS
+    'plowing = blade down (segment marked plowed), deadheading = truck drove over the segment with the blade up (segment left untouched)';
+
+-- ============================================
+-- STEP 4: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Tables created:';
+    RAISE NOTICE '  - device_io_mappings';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Columns added:';
+    RAISE NOTICE '  - cached_polylines.blade_down';
+    RAISE NOTICE '  - cached_polylines.spreader_on';
+    RAISE NOTICE '  - segment_updates.pass_type';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Add a mapping for each wired truck, e.g.:';
+    RAISE NOTICE '   INSERT INTO device_io_mappings (device_id, blade_down_io_id, spreader_on_io_id)';
+    RAISE NOTICE '   VALUES (''<imei>'', 1, 2);';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Redeploy workers';
+    RAISE NOTICE '==================================================';
+END $$;
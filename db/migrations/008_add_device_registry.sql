@@ -0,0 +1,120 @@
+-- ============================================
+-- Migration: Add Device Registry
+-- ============================================
+-- Description: Registry of known trackers checked by the TCP listener at
+--              handshake time. Unknown IMEIs are refused and recorded in
+--              quarantined_devices for review instead of being stored.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: CREATE DEVICES TABLE
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating devices table...';
+END $$;
+
+CREATE TABLE IF NOT EXISTS devices (
+    imei TEXT PRIMARY KEY,
+    name TEXT,
+    municipality_id TEXT REFERENCES municipalities(id),
+    vehicle_type TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+
+    -- Metadata
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_devices_municipality
+ON devices(municipality_id);
+
+COMMENT ON TABLE devices IS
+    'Trackers allowed to send data. The TCP listener refuses (handshake ACK 0x00) any IMEI that is missing or inactive.';
+COMMENT ON COLUMN devices.name IS
+    'Friendly name shown to operators (e.g. "Plow 12")';
+COMMENT ON COLUMN devices.vehicle_type IS
+    'Free-form vehicle type (e.g. plow, grader, pickup)';
+COMMENT ON COLUMN devices.active IS
+    'FALSE = device is known but currently refused by the listener';
+
+-- ============================================
+-- STEP 2: CREATE QUARANTINE TABLE
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating quarantined_devices table...';
+END $$;
+
+CREATE TABLE IF NOT EXISTS quarantined_devices (
+    imei TEXT PRIMARY KEY,
+    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_remote_address TEXT,
+    connection_attempts INTEGER NOT NULL DEFAULT 1
+);
+
+COMMENT ON TABLE quarantined_devices IS
+    'Unknown IMEIs that tried to connect. Nothing they send is stored; add them to devices to allow them.';
+
+-- ============================================
+-- STEP 3: REGISTER EXISTING DEVICES
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Registering devices that already have GPS data...';
+END $$;
+
+-- Keep trackers that are already reporting working after the upgrade
+INSERT INTO devices (imei)
+SELECT DISTINCT device_id FROM gps_raw_data
+ON CONFLICT (imei) DO NOTHING;
+
+-- ============================================
+-- STEP 4: VERIFICATION
+-- ============================================
+DO $$
+DECLARE
+    device_count INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO device_count FROM devices;
+
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Tables created:';
+    RAISE NOTICE '  - devices (% registered)', device_count;
+    RAISE NOTICE '  - quarantined_devices';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Register new trackers before installing them, e.g.:';
+    RAISE NOTICE '   INSERT INTO devices (imei, name, municipality_id, vehicle_type)';
+    RAISE NOTICE '   VALUES (''<imei>'', ''Plow 12'', ''<municipality>'', ''plow'');';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Review refused trackers with:';
+    RAISE NOTICE '   SELECT * FROM quarantined_devices ORDER BY last_seen_at DESC;';
+    RAISE NOTICE '';
+    RAISE NOTICE '3. Redeploy the TCP listener';
+    RAISE NOTICE '==================================================';
+END $$;
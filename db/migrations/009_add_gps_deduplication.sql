@@ -0,0 +1,91 @@
+-- ============================================
+-- Migration: Deduplicate GPS Records
+-- ============================================
+-- Description: Trackers re-send buffered records after a dead zone. Remove
+--              existing duplicates and enforce one row per device per
+--              recorded_at so the listener can skip re-sent records.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: REMOVE EXISTING DUPLICATES
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Removing duplicate gps_raw_data rows...';
+END $$;
+
+-- Keep the processed copy if there is one, otherwise the first received
+DELETE FROM gps_raw_data g
+USING (
+    SELECT id,
+           ROW_NUMBER() OVER (
+               PARTITION BY device_id, recorded_at
+               ORDER BY processed DESC, id ASC
+           ) AS rn
+    FROM gps_raw_data
+) d
+WHERE g.id = d.id AND d.rn > 1;
+
+-- ============================================
+-- STEP 2: ADD UNIQUE CONSTRAINT
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding unique constraint on (device_id, recorded_at)...';
+END $$;
+
+ALTER TABLE gps_raw_data
+DROP CONSTRAINT IF EXISTS unique_device_recorded_at;
+
+ALTER TABLE gps_raw_data
+ADD CONSTRAINT unique_device_recorded_at UNIQUE (device_id, recorded_at);
+
+COMMENT ON CONSTRAINT unique_device_recorded_at ON gps_raw_data IS
+    'One fix per device per timestamp; re-sent tracker records are skipped with ON CONFLICT DO NOTHING';
+
+-- ============================================
+-- STEP 3: VERIFICATION
+-- ============================================
+DO $$
+DECLARE
+    duplicate_count INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO duplicate_count
+    FROM (
+        SELECT 1 FROM gps_raw_data
+        GROUP BY device_id, recorded_at
+        HAVING COUNT(*) > 1
+    ) dups;
+
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Remaining duplicates: %', duplicate_count;
+    RAISE NOTICE 'Constraint added: gps_raw_data.unique_device_recorded_at';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy the TCP listener (skips re-sent records)';
+    RAISE NOTICE '2. Redeploy workers (reprocess late-arriving points)';
+    RAISE NOTICE '==================================================';
+END $$;
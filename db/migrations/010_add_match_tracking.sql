@@ -0,0 +1,99 @@
+-- ============================================
+-- Migration: Track Map-Matching Results per GPS Point
+-- ============================================
+-- Description: OSRM can split a batch into several matchings and drop
+--              points it cannot snap (null tracepoints). Record, per raw
+--              point, which polyline it was matched into or that it was
+--              unmatched, so dropped points can be inspected.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: ADD COLUMNS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding match tracking columns to gps_raw_data...';
+END $$;
+
+ALTER TABLE gps_raw_data
+ADD COLUMN IF NOT EXISTS match_status VARCHAR(10),
+ADD COLUMN IF NOT EXISTS polyline_id BIGINT REFERENCES cached_polylines(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS snap_distance_m REAL;
+
+ALTER TABLE gps_raw_data
+DROP CONSTRAINT IF EXISTS valid_match_status;
+
+ALTER TABLE gps_raw_data
+ADD CONSTRAINT valid_match_status CHECK (
+    match_status IS NULL OR match_status IN ('matched', 'unmatched')
+);
+
+-- ============================================
+-- STEP 2: ADD INDEXES
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding indexes...';
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_gps_polyline
+    ON gps_raw_data(polyline_id)
+    WHERE polyline_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_gps_unmatched
+    ON gps_raw_data(device_id, recorded_at DESC)
+    WHERE match_status = 'unmatched';
+
+-- ============================================
+-- STEP 3: ADD COMMENTS
+-- ============================================
+COMMENT ON COLUMN gps_raw_data.match_status IS
+    'Map-matching result: matched, unmatched (OSRM returned a null tracepoint), or NULL if never sent to OSRM (stationary batch)';
+
+COMMENT ON COLUMN gps_raw_data.polyline_id IS
+    'cached_polylines row this point was matched into (one polyline per OSRM matching)';
+
+COMMENT ON COLUMN gps_raw_data.snap_distance_m IS
+    'Distance in meters between the raw point and its snapped location on the road';
+
+-- ============================================
+-- STEP 4: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Columns added to gps_raw_data:';
+    RAISE NOTICE '  - match_status (VARCHAR)';
+    RAISE NOTICE '  - polyline_id (BIGINT, FK cached_polylines)';
+    RAISE NOTICE '  - snap_distance_m (REAL)';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy workers (save every OSRM matching, record unmatched points)';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Inspect dropped points with:';
+    RAISE NOTICE '   SELECT * FROM gps_raw_data WHERE match_status = ''unmatched''';
+    RAISE NOTICE '==================================================';
+END $$;
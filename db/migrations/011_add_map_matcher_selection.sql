@@ -0,0 +1,85 @@
+-- ============================================
+-- Migration: Map Matcher Selection
+-- ============================================
+-- Description: Workers can match batches with OSRM or with an offline HMM
+--              matcher that runs against road_segments in PostGIS. Allow
+--              choosing the matcher per municipality and record which
+--              matcher produced each polyline.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: PER-MUNICIPALITY MATCHER
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding map_matcher to municipalities...';
+END $$;
+
+ALTER TABLE municipalities
+ADD COLUMN IF NOT EXISTS map_matcher TEXT;
+
+ALTER TABLE municipalities
+DROP CONSTRAINT IF EXISTS valid_map_matcher;
+
+ALTER TABLE municipalities
+ADD CONSTRAINT valid_map_matcher CHECK (
+    map_matcher IS NULL OR map_matcher IN ('osrm', 'postgis')
+);
+
+COMMENT ON COLUMN municipalities.map_matcher IS
+    'Map matcher for batches starting in this municipality: osrm or postgis. NULL uses the worker default (MAP_MATCHER).';
+
+-- ============================================
+-- STEP 2: MATCHER USED PER POLYLINE
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding matcher to cached_polylines...';
+END $$;
+
+ALTER TABLE cached_polylines
+ADD COLUMN IF NOT EXISTS matcher TEXT NOT NULL DEFAULT 'osrm';
+
+COMMENT ON COLUMN cached_polylines.matcher IS
+    'Map matcher that produced the polyline: osrm, or postgis (offline fallback against road_segments)';
+
+-- ============================================
+-- STEP 3: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Columns added:';
+    RAISE NOTICE '  - municipalities.map_matcher (TEXT, NULL = default)';
+    RAISE NOTICE '  - cached_polylines.matcher (TEXT, default osrm)';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy workers (PostGIS fallback when OSRM fails)';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Optionally select the matcher for a municipality:';
+    RAISE NOTICE '   UPDATE municipalities SET map_matcher = ''postgis'' WHERE id = ''pomfret-vt'';';
+    RAISE NOTICE '==================================================';
+END $$;
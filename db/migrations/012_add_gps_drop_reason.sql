@@ -0,0 +1,81 @@
+-- ============================================
+-- Migration: Record Why GPS Points Were Filtered Out
+-- ============================================
+-- Description: Workers drop unusable points (0,0 fixes, too few satellites,
+--              impossible speed/acceleration spikes, parked jitter) before
+--              map matching. Dropped points are marked processed and keep
+--              the reason so the filter can be audited and tuned.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: ADD COLUMN
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding drop_reason to gps_raw_data...';
+END $$;
+
+ALTER TABLE gps_raw_data
+ADD COLUMN IF NOT EXISTS drop_reason VARCHAR(30);
+
+ALTER TABLE gps_raw_data
+DROP CONSTRAINT IF EXISTS valid_drop_reason;
+
+ALTER TABLE gps_raw_data
+ADD CONSTRAINT valid_drop_reason CHECK (
+    drop_reason IS NULL OR drop_reason IN (
+        'invalid_coordinates', 'zero_coordinates', 'low_satellites',
+        'duplicate_timestamp', 'impossible_speed', 'impossible_acceleration', 'jitter'
+    )
+);
+
+COMMENT ON COLUMN gps_raw_data.drop_reason IS
+    'Why the worker filtered this point out before map matching. NULL for points that were used.';
+
+-- ============================================
+-- STEP 2: ADD INDEX
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_gps_dropped
+    ON gps_raw_data(device_id, recorded_at DESC)
+    WHERE drop_reason IS NOT NULL;
+
+-- ============================================
+-- STEP 3: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Column added: gps_raw_data.drop_reason (VARCHAR)';
+    RAISE NOTICE 'Index added: idx_gps_dropped';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy workers (filter outliers before map matching)';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Review dropped points with:';
+    RAISE NOTICE '   SELECT drop_reason, COUNT(*) FROM gps_raw_data';
+    RAISE NOTICE '   WHERE drop_reason IS NOT NULL GROUP BY drop_reason';
+    RAISE NOTICE '==================================================';
+END $$;
@@ -0,0 +1,123 @@
+-- ============================================
+-- Migration: Vehicle Trips
+-- ============================================
+-- Description: Workers split each vehicle's GPS stream into trips at stops
+--              (garage, fuel, lunch) detected from dwell time and speed,
+--              or where the tracker goes silent. Each trip records where
+--              and when it started and ended so the admin panel and
+--              reports can answer "when did Plow 3 leave the garage and
+--              how long was it out".
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: CREATE TRIPS TABLE
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating trips table...';
+END $$;
+
+CREATE TABLE IF NOT EXISTS trips (
+    id BIGSERIAL PRIMARY KEY,
+    device_id TEXT NOT NULL,
+
+    -- open while the vehicle is still out, closed once it stops
+    status TEXT NOT NULL DEFAULT 'open',
+
+    -- Departure (last stationary fix before moving)
+    start_time TIMESTAMPTZ NOT NULL,
+    start_location GEOMETRY(POINT, 4326) NOT NULL,
+
+    -- Arrival (first fix of the stop), NULL while open
+    end_time TIMESTAMPTZ,
+    end_location GEOMETRY(POINT, 4326),
+    end_reason TEXT,
+    duration_seconds INTEGER GENERATED ALWAYS AS (
+        EXTRACT(EPOCH FROM (end_time - start_time))::INTEGER
+    ) STORED,
+
+    -- Detection state for open trips
+    last_point_time TIMESTAMPTZ NOT NULL,
+    last_location GEOMETRY(POINT, 4326) NOT NULL,
+    dwell_start_time TIMESTAMPTZ,
+    dwell_location GEOMETRY(POINT, 4326),
+
+    -- Statistics (recomputed from gps_raw_data)
+    distance_meters DOUBLE PRECISION NOT NULL DEFAULT 0,
+    point_count INTEGER NOT NULL DEFAULT 0,
+    max_speed DOUBLE PRECISION,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT valid_trip_status CHECK (status IN ('open', 'closed')),
+    CONSTRAINT valid_trip_end_reason CHECK (
+        end_reason IS NULL OR end_reason IN ('stop', 'signal_lost')
+    ),
+    CONSTRAINT closed_trip_has_end CHECK (
+        status = 'open' OR (end_time IS NOT NULL AND end_location IS NOT NULL)
+    )
+);
+
+-- One open trip per device
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_open_device
+    ON trips(device_id)
+    WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_trips_device_time
+    ON trips(device_id, start_time DESC);
+
+CREATE INDEX IF NOT EXISTS idx_trips_start_time
+    ON trips(start_time DESC);
+
+COMMENT ON TABLE trips IS
+    'Vehicle trips between stops, detected by the worker from dwell time and speed';
+COMMENT ON COLUMN trips.start_time IS
+    'Departure: time of the last stationary fix before the vehicle started moving';
+COMMENT ON COLUMN trips.end_time IS
+    'Arrival: time the vehicle stopped (start of the dwell), or last fix if the tracker went silent';
+COMMENT ON COLUMN trips.end_reason IS
+    'stop = dwell longer than the stop threshold, signal_lost = no fixes for longer than the gap threshold';
+COMMENT ON COLUMN trips.dwell_start_time IS
+    'While open: when the vehicle became stationary (becomes end_time if the dwell lasts long enough)';
+
+-- ============================================
+-- STEP 2: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Table created: trips';
+    RAISE NOTICE 'Indexes: idx_trips_open_device, idx_trips_device_time, idx_trips_start_time';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy workers (detect trips as points are processed)';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Redeploy backend (GET /api/trips)';
+    RAISE NOTICE '';
+    RAISE NOTICE '3. Existing history has no trips (only new points are segmented)';
+    RAISE NOTICE '==================================================';
+END $$;
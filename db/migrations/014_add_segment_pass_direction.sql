@@ -0,0 +1,158 @@
+-- ============================================
+-- Migration: Per-Segment Pass Direction
+-- ============================================
+-- Description: Direction of a pass (forward/reverse) was derived from one
+--              bearing per polyline, taken from its first to last
+--              coordinate, so a polyline that turned a corner labeled half
+--              its segments with the wrong direction. Direction is now
+--              computed from the stretch of polyline that overlaps each
+--              segment: the segment's endpoints are located along the
+--              polyline and the bearing between them is compared with the
+--              segment's own bearing. Worker and backend reprocessing share
+--              this one function and one threshold (90 degrees).
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: UNIFY BEARING THRESHOLD
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Updating determine_direction threshold to 90 degrees...';
+END $$;
+
+-- Forward and reverse split the circle in half; with 45 degrees a pass
+-- 60 degrees off the segment bearing was labeled reverse
+CREATE OR REPLACE FUNCTION determine_direction(
+    polyline_bearing DOUBLE PRECISION,
+    segment_bearing DOUBLE PRECISION,
+    tolerance DOUBLE PRECISION DEFAULT 90.0
+) RETURNS TEXT AS $$
+DECLARE
+    diff DOUBLE PRECISION;
+BEGIN
+    IF polyline_bearing IS NULL OR segment_bearing IS NULL THEN
+        RETURN 'forward';  -- Default to forward if unknown
+    END IF;
+
+    diff := ABS(polyline_bearing - segment_bearing);
+    IF diff > 180 THEN
+        diff := 360 - diff;
+    END IF;
+
+    IF diff <= tolerance THEN
+        RETURN 'forward';
+    ELSE
+        RETURN 'reverse';
+    END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- ============================================
+-- STEP 2: CREATE PER-SEGMENT DIRECTION FUNCTION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating determine_segment_direction function...';
+END $$;
+
+CREATE OR REPLACE FUNCTION determine_segment_direction(
+    polyline GEOMETRY,
+    segment GEOMETRY,
+    tolerance DOUBLE PRECISION DEFAULT 90.0
+) RETURNS TEXT AS $$
+DECLARE
+    start_fraction DOUBLE PRECISION;
+    end_fraction DOUBLE PRECISION;
+    from_fraction DOUBLE PRECISION;
+    to_fraction DOUBLE PRECISION;
+    window_fraction DOUBLE PRECISION;
+    polyline_length DOUBLE PRECISION;
+    local_bearing DOUBLE PRECISION;
+    segment_bearing DOUBLE PRECISION;
+BEGIN
+    IF polyline IS NULL OR segment IS NULL OR ST_IsEmpty(polyline) OR ST_IsEmpty(segment) THEN
+        RETURN 'forward';  -- Default to forward if unknown
+    END IF;
+
+    -- Where the segment's endpoints fall along the polyline (0 = polyline start, 1 = end)
+    start_fraction := ST_LineLocatePoint(polyline, ST_StartPoint(segment));
+    end_fraction := ST_LineLocatePoint(polyline, ST_EndPoint(segment));
+    from_fraction := LEAST(start_fraction, end_fraction);
+    to_fraction := GREATEST(start_fraction, end_fraction);
+
+    -- A polyline crossing the segment locates both endpoints at the same
+    -- place; use 10m of polyline either side of the crossing instead
+    polyline_length := ST_Length(polyline::geography);
+    IF polyline_length > 0 THEN
+        window_fraction := 10.0 / polyline_length;
+        IF (to_fraction - from_fraction) < window_fraction THEN
+            from_fraction := GREATEST(from_fraction - window_fraction, 0.0);
+            to_fraction := LEAST(to_fraction + window_fraction, 1.0);
+        END IF;
+    END IF;
+
+    -- Bearing of the overlapping stretch, in the polyline's direction of travel.
+    -- Azimuths on geography are true bearings; planar degrees of longitude are
+    -- shorter than degrees of latitude away from the equator
+    local_bearing := DEGREES(ST_Azimuth(
+        ST_LineInterpolatePoint(polyline, from_fraction)::geography,
+        ST_LineInterpolatePoint(polyline, to_fraction)::geography
+    ));
+    segment_bearing := DEGREES(ST_Azimuth(ST_StartPoint(segment)::geography, ST_EndPoint(segment)::geography));
+
+    RETURN determine_direction(local_bearing, segment_bearing, tolerance);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION determine_segment_direction(GEOMETRY, GEOMETRY, DOUBLE PRECISION) IS
+    'forward/reverse for a pass over a segment, from the bearing of the part of the polyline that overlaps it';
+
+-- ============================================
+-- STEP 3: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Function created: determine_segment_direction()';
+    RAISE NOTICE 'Function updated: determine_direction() (default tolerance 90)';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Forward along an L-shaped polyline (expect forward, forward):';
+    RAISE NOTICE '  %', determine_segment_direction(
+        ST_GeomFromText('LINESTRING(0 0, 0.001 0, 0.001 0.001)', 4326),
+        ST_GeomFromText('LINESTRING(0.0002 0, 0.0008 0)', 4326)
+    );
+    RAISE NOTICE '  %', determine_segment_direction(
+        ST_GeomFromText('LINESTRING(0 0, 0.001 0, 0.001 0.001)', 4326),
+        ST_GeomFromText('LINESTRING(0.001 0.0002, 0.001 0.0008)', 4326)
+    );
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy workers and backend (per-segment direction)';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Existing segment_updates keep the direction they were';
+    RAISE NOTICE '   recorded with; only new passes use the per-segment direction';
+    RAISE NOTICE '==================================================';
+END $$;
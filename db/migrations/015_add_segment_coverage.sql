@@ -0,0 +1,107 @@
+-- ============================================
+-- Migration: Partial Segment Coverage
+-- ============================================
+-- Description: Workers no longer activate every segment within 2m of a
+--              polyline. Each pass records which stretch of the segment it
+--              covered (as fractions along the segment); a segment is marked
+--              plowed once the passes since its last activation, within a
+--              time window, cover at least the configured minimum. A truck
+--              clipping the corner of a side street at an intersection no
+--              longer marks it plowed, while a segment covered 40% + 60% by
+--              two consecutive batches does.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: ADD COLUMNS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding coverage columns to segment_updates...';
+END $$;
+
+ALTER TABLE segment_updates
+ADD COLUMN IF NOT EXISTS covered_ranges NUMMULTIRANGE,
+ADD COLUMN IF NOT EXISTS accumulated_overlap_percentage DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS activated BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Deadheading passes never marked a segment plowed
+UPDATE segment_updates
+SET activated = FALSE
+WHERE pass_type = 'deadheading' AND activated;
+
+COMMENT ON COLUMN segment_updates.covered_ranges IS
+    'Stretches of the segment this pass covered, as fractions along the segment (0 = start, 1 = end)';
+COMMENT ON COLUMN segment_updates.accumulated_overlap_percentage IS
+    'Coverage of this pass combined with earlier partial passes in the same direction and time window';
+COMMENT ON COLUMN segment_updates.activated IS
+    'Whether this pass marked the segment plowed (false for deadheading and partial passes below the minimum overlap)';
+
+-- ============================================
+-- STEP 2: CREATE COVERAGE FUNCTION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating coverage_percentage function...';
+END $$;
+
+CREATE OR REPLACE FUNCTION coverage_percentage(
+    covered NUMMULTIRANGE
+) RETURNS DOUBLE PRECISION AS $$
+    SELECT LEAST(COALESCE(SUM(upper(r) - lower(r)), 0) * 100, 100)::DOUBLE PRECISION
+    FROM unnest(covered) AS r;
+$$ LANGUAGE sql IMMUTABLE;
+
+COMMENT ON FUNCTION coverage_percentage(NUMMULTIRANGE) IS
+    'Percentage of a segment covered by a set of fractional ranges along it';
+
+-- ============================================
+-- STEP 3: ADD INDEX
+-- ============================================
+-- Partial passes still waiting to add up to an activation
+CREATE INDEX IF NOT EXISTS idx_segment_updates_partial
+    ON segment_updates(segment_id, direction, timestamp DESC)
+    WHERE NOT activated AND pass_type = 'plowing';
+
+-- ============================================
+-- STEP 4: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Columns added: segment_updates.covered_ranges, accumulated_overlap_percentage, activated';
+    RAISE NOTICE 'Function created: coverage_percentage()';
+    RAISE NOTICE 'Index added: idx_segment_updates_partial';
+    RAISE NOTICE '';
+    RAISE NOTICE '40%% + 60%% coverage (expect 100): %',
+        coverage_percentage('{[0,0.4), [0.4,1)}'::NUMMULTIRANGE);
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy workers (minimum overlap and coverage accumulation)';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Tune with SEGMENT_MIN_OVERLAP_PERCENT (default 50)';
+    RAISE NOTICE '   and SEGMENT_COVERAGE_WINDOW_MINUTES (default 30)';
+    RAISE NOTICE '==================================================';
+END $$;
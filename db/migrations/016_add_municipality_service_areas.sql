@@ -0,0 +1,141 @@
+-- ============================================
+-- Migration: Municipality-Aware Processing
+-- ============================================
+-- Description: Workers tag each polyline with the municipalities whose
+--              boundary it crosses and only activate road segments of
+--              municipalities the device serves: its home municipality
+--              (devices.municipality_id) plus any extra service areas
+--              listed here (shared plows, mutual-aid agreements). A truck
+--              crossing the town line to turn around no longer marks the
+--              neighbouring town's roads plowed.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: CREATE SERVICE AREA TABLE
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating device_service_areas table...';
+END $$;
+
+CREATE TABLE IF NOT EXISTS device_service_areas (
+    imei TEXT NOT NULL REFERENCES devices(imei) ON DELETE CASCADE,
+    municipality_id TEXT NOT NULL REFERENCES municipalities(id) ON DELETE CASCADE,
+
+    -- Metadata
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (imei, municipality_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_service_areas_municipality
+ON device_service_areas(municipality_id);
+
+COMMENT ON TABLE device_service_areas IS
+    'Municipalities a device may plow in addition to its home municipality (devices.municipality_id). Devices with neither are unrestricted.';
+
+-- ============================================
+-- STEP 2: CREATE SERVICE AREA LOOKUP
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating get_device_service_area function...';
+END $$;
+
+-- Shared by the worker (live processing) and the backend (reprocessing)
+CREATE OR REPLACE FUNCTION get_device_service_area(
+    device_imei TEXT
+) RETURNS TEXT[] AS $$
+    SELECT NULLIF(ARRAY(
+        SELECT municipality_id
+        FROM devices
+        WHERE imei = device_imei AND municipality_id IS NOT NULL
+        UNION
+        SELECT municipality_id
+        FROM device_service_areas
+        WHERE imei = device_imei
+        ORDER BY 1
+    ), '{}');
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_device_service_area(TEXT) IS
+    'Municipalities a device may plow in: its home municipality plus extra service areas, or NULL if the device is unrestricted';
+
+-- ============================================
+-- STEP 3: TAG POLYLINES WITH MUNICIPALITIES
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding municipality_ids to cached_polylines...';
+END $$;
+
+ALTER TABLE cached_polylines
+ADD COLUMN IF NOT EXISTS municipality_ids TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_cached_polylines_municipalities
+ON cached_polylines USING GIN(municipality_ids);
+
+COMMENT ON COLUMN cached_polylines.municipality_ids IS
+    'Municipalities whose boundary the polyline intersects (set by the worker)';
+
+-- Backfill existing polylines
+UPDATE cached_polylines cp
+SET municipality_ids = ARRAY(
+    SELECT m.id
+    FROM municipalities m
+    WHERE ST_Intersects(m.boundary, cp.geometry)
+    ORDER BY m.id
+)
+WHERE cp.geometry IS NOT NULL;
+
+-- ============================================
+-- STEP 4: VERIFICATION
+-- ============================================
+DO $$
+DECLARE
+    tagged_count INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO tagged_count
+    FROM cached_polylines
+    WHERE cardinality(municipality_ids) > 0;
+
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Table created: device_service_areas';
+    RAISE NOTICE 'Function created: get_device_service_area(imei)';
+    RAISE NOTICE 'Column added: cached_polylines.municipality_ids (TEXT[])';
+    RAISE NOTICE 'Polylines tagged with a municipality: %', tagged_count;
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Set each device''s home municipality:';
+    RAISE NOTICE '   UPDATE devices SET municipality_id = ''pomfret-vt'' WHERE imei = ''...'';';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Add extra service areas for devices shared between towns:';
+    RAISE NOTICE '   INSERT INTO device_service_areas (imei, municipality_id) VALUES (''...'', ''lyme-nh'');';
+    RAISE NOTICE '';
+    RAISE NOTICE '3. Redeploy workers and backend';
+    RAISE NOTICE '   (set DEFAULT_MUNICIPALITY for API calls without ?municipality=)';
+    RAISE NOTICE '==================================================';
+END $$;
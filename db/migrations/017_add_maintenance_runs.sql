@@ -0,0 +1,147 @@
+-- ============================================
+-- Migration: Scheduled Maintenance
+-- ============================================
+-- Description: Workers run maintenance on a schedule (one leader at a time):
+--              plow_count_today is reset at each municipality's local
+--              midnight and old gps_raw_data / processing_log rows are
+--              purged per the retention policy. Every run is recorded in
+--              maintenance_runs with its outcome.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: ADD MUNICIPALITY TIMEZONE
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Adding timezone to municipalities...';
+END $$;
+
+ALTER TABLE municipalities
+ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'America/New_York';
+
+COMMENT ON COLUMN municipalities.timezone IS
+    'IANA timezone (e.g. America/New_York); daily plow counts reset at local midnight';
+
+-- ============================================
+-- STEP 2: RESET DAILY COUNTS AT LOCAL MIDNIGHT
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Updating reset_daily_plow_counts to use municipality-local dates...';
+END $$;
+
+CREATE OR REPLACE FUNCTION reset_daily_plow_counts()
+RETURNS INTEGER AS $$
+DECLARE
+    reset_count INTEGER;
+BEGIN
+    -- Segments without a municipality reset at midnight in the default timezone
+    WITH local AS (
+        SELECT rs.id,
+               (NOW() AT TIME ZONE COALESCE(m.timezone, 'America/New_York'))::DATE AS today
+        FROM road_segments rs
+        LEFT JOIN municipalities m ON m.id = rs.municipality_id
+    )
+    UPDATE road_segments rs
+    SET plow_count_today = 0,
+        last_reset_date = local.today
+    FROM local
+    WHERE rs.id = local.id
+      AND (rs.last_reset_date IS NULL OR rs.last_reset_date < local.today);
+
+    GET DIAGNOSTICS reset_count = ROW_COUNT;
+    RETURN reset_count;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION reset_daily_plow_counts() IS
+    'Reset plow_count_today to 0 for segments whose municipality has passed local midnight. Called by the worker maintenance scheduler; safe to call repeatedly.';
+
+-- ============================================
+-- STEP 3: CREATE MAINTENANCE RUNS TABLE
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating maintenance_runs table...';
+END $$;
+
+CREATE TABLE IF NOT EXISTS maintenance_runs (
+    id BIGSERIAL PRIMARY KEY,
+    task TEXT NOT NULL,  -- 'daily_reset', 'retention' or 'consumer_cleanup'
+    status TEXT NOT NULL DEFAULT 'running',
+    worker_name TEXT,
+
+    -- Timing
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+
+    -- Outcome
+    rows_affected INTEGER,
+    details JSONB,
+    error_message TEXT,
+
+    CONSTRAINT valid_maintenance_status CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_runs_task
+    ON maintenance_runs(task, started_at DESC);
+
+COMMENT ON TABLE maintenance_runs IS
+    'One row per scheduled maintenance run (daily counter reset, data retention) with its outcome';
+
+-- ============================================
+-- STEP 4: ADD RETENTION INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_gps_processed_recorded
+    ON gps_raw_data(recorded_at)
+    WHERE processed = TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_log_created
+    ON processing_log(created_at);
+
+-- ============================================
+-- STEP 5: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Column added: municipalities.timezone (TEXT)';
+    RAISE NOTICE 'Function updated: reset_daily_plow_counts()';
+    RAISE NOTICE 'Table created: maintenance_runs';
+    RAISE NOTICE 'Indexes added: idx_maintenance_runs_task, idx_gps_processed_recorded, idx_log_created';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Set timezones for municipalities outside America/New_York:';
+    RAISE NOTICE '   UPDATE municipalities SET timezone = ''America/Chicago'' WHERE id = ''...'';';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Redeploy workers (maintenance scheduler)';
+    RAISE NOTICE '   Retention: GPS_RETENTION_DAYS (default 0 = keep GPS points), PROCESSING_LOG_RETENTION_DAYS (default 30)';
+    RAISE NOTICE '';
+    RAISE NOTICE '3. Review runs with:';
+    RAISE NOTICE '   SELECT * FROM maintenance_runs ORDER BY started_at DESC LIMIT 20';
+    RAISE NOTICE '==================================================';
+END $$;
@@ -0,0 +1,96 @@
+-- ============================================
+-- Migration: Recompute Segment Plow Status
+-- ============================================
+-- Description: When passes are removed (a window reopened for late GPS
+--              points, a polyline reprocessed) the segment's
+--              last_plowed_forward/_reverse and last_plowed_device_id roll
+--              back to the latest pass that remains. Segments with no
+--              remaining pass keep their values: they may come from history
+--              recorded before segment_updates logging, which can't be
+--              recomputed.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: CREATE REFRESH FUNCTION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating refresh_segment_last_plowed function...';
+END $$;
+
+CREATE OR REPLACE FUNCTION refresh_segment_last_plowed(
+    segment_ids BIGINT[]
+) RETURNS INTEGER AS $$
+DECLARE
+    refreshed_count INTEGER;
+BEGIN
+    -- A direction without remaining passes keeps its value; the device follows
+    -- the latest remaining pass only if that pass is now the latest plow
+    UPDATE road_segments rs
+    SET last_plowed_forward = COALESCE(latest.forward, rs.last_plowed_forward),
+        last_plowed_reverse = COALESCE(latest.reverse, rs.last_plowed_reverse),
+        last_plowed_device_id = CASE
+            WHEN latest.latest_time >= GREATEST(
+                COALESCE(latest.forward, rs.last_plowed_forward),
+                COALESCE(latest.reverse, rs.last_plowed_reverse)
+            ) THEN latest.device_id
+            ELSE rs.last_plowed_device_id
+        END,
+        updated_at = NOW()
+    FROM (
+        SELECT su.segment_id,
+               MAX(su.timestamp) FILTER (WHERE su.direction = 'forward') AS forward,
+               MAX(su.timestamp) FILTER (WHERE su.direction = 'reverse') AS reverse,
+               MAX(su.timestamp) AS latest_time,
+               (ARRAY_AGG(su.device_id ORDER BY su.timestamp DESC))[1] AS device_id
+        FROM segment_updates su
+        WHERE su.segment_id = ANY(segment_ids)
+          AND su.pass_type = 'plowing'
+          AND su.activated
+        GROUP BY su.segment_id
+    ) latest
+    WHERE rs.id = latest.segment_id;
+
+    GET DIAGNOSTICS refreshed_count = ROW_COUNT;
+    RETURN refreshed_count;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION refresh_segment_last_plowed(BIGINT[]) IS
+    'Roll last_plowed_forward/_reverse and last_plowed_device_id of the given segments back to their latest remaining activating plowing pass; segments (or directions) without one keep their current values';
+
+-- ============================================
+-- STEP 2: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Function created: refresh_segment_last_plowed()';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy workers (late-point reprocessing uses the function)';
+    RAISE NOTICE '==================================================';
+END $$;
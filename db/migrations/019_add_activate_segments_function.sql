@@ -0,0 +1,182 @@
+-- ============================================
+-- Migration: Shared Segment Activation
+-- ============================================
+-- Description: Moves segment activation (candidate selection, partial
+--              coverage, direction, the road_segments update and the
+--              segment_updates log) into activate_segments(), so the worker
+--              and the backend's polyline reprocessing apply exactly the
+--              same rules instead of keeping two copies in sync.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: CREATE ACTIVATION FUNCTION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating activate_segments function...';
+END $$;
+
+-- A pass covers the stretch of a segment within 2m of the polyline (GPS and
+-- map-matching precision). The segment is activated once this pass, together
+-- with partial passes in the same direction since its last activation and
+-- within the coverage window, covers at least min_overlap_percent of it.
+-- Every pass is logged, partial and deadheading ones included.
+CREATE OR REPLACE FUNCTION activate_segments(
+    polyline_geom GEOMETRY,
+    pass_time TIMESTAMPTZ,
+    pass_device_id TEXT,
+    pass_polyline_id BIGINT,
+    pass_type TEXT,
+    min_overlap_percent DOUBLE PRECISION,
+    coverage_window_minutes INTEGER,
+    municipality_ids TEXT[]  -- NULL = any municipality
+) RETURNS TABLE (passes INTEGER, activated INTEGER) AS $$
+    WITH polyline AS (
+        SELECT
+            $1 AS geom,
+            ST_Buffer($1::geography, 2)::geometry AS corridor
+    ),
+    candidates AS (
+        SELECT
+            rs.id,
+            -- Direction from the stretch of polyline over this segment, not the whole polyline
+            determine_segment_direction(p.geom, rs.geometry) AS direction,
+            rs.last_plowed_forward,
+            rs.last_plowed_reverse,
+            -- Stretches of the segment inside the corridor, as fractions along it
+            COALESCE((
+                SELECT range_agg(numrange(
+                    LEAST(ST_LineLocatePoint(rs.geometry, ST_StartPoint(part.geom)),
+                          ST_LineLocatePoint(rs.geometry, ST_EndPoint(part.geom)))::numeric,
+                    GREATEST(ST_LineLocatePoint(rs.geometry, ST_StartPoint(part.geom)),
+                             ST_LineLocatePoint(rs.geometry, ST_EndPoint(part.geom)))::numeric
+                ))
+                FROM ST_Dump(ST_Intersection(rs.geometry, p.corridor)) AS part
+                WHERE GeometryType(part.geom) = 'LINESTRING'
+            ), '{}'::nummultirange) AS covered
+        FROM road_segments rs, polyline p
+        WHERE ST_DWithin(rs.geometry::geography, p.geom::geography, 2)
+          -- Roads outside the device's service area (turning around past the town line)
+          AND ($8 IS NULL OR rs.municipality_id = ANY($8))
+    ),
+    coverage AS (
+        SELECT
+            c.id,
+            c.direction,
+            c.covered,
+            coverage_percentage(c.covered) AS overlap_percentage,
+            coverage_percentage(c.covered + COALESCE(earlier.covered, '{}'::nummultirange)) AS accumulated
+        FROM candidates c
+        LEFT JOIN LATERAL (
+            -- Partial passes since the last activation in this direction
+            SELECT range_agg(su.covered_ranges) AS covered
+            FROM segment_updates su
+            WHERE su.segment_id = c.id
+              AND su.direction = c.direction
+              AND su.pass_type = 'plowing'
+              AND NOT su.activated
+              AND su.timestamp > $2 - make_interval(mins => $7)
+              AND su.timestamp > COALESCE(
+                  CASE c.direction WHEN 'forward' THEN c.last_plowed_forward ELSE c.last_plowed_reverse END,
+                  '-infinity'::timestamptz
+              )
+              AND su.timestamp <= $2
+        ) earlier ON $5 <> 'deadheading'
+        WHERE NOT isempty(c.covered)
+    ),
+    activated AS (
+        -- Deadheading and too little coverage leave the segment untouched
+        UPDATE road_segments rs
+        SET
+            -- Late (reprocessed) passes never move the timestamp backwards
+            last_plowed_forward = CASE
+                WHEN c.direction = 'forward' THEN GREATEST(rs.last_plowed_forward, $2)
+                ELSE rs.last_plowed_forward
+            END,
+            last_plowed_reverse = CASE
+                WHEN c.direction = 'reverse' THEN GREATEST(rs.last_plowed_reverse, $2)
+                ELSE rs.last_plowed_reverse
+            END,
+            last_plowed_device_id = CASE
+                WHEN c.direction = 'forward'
+                     AND (rs.last_plowed_forward IS NULL OR rs.last_plowed_forward <= $2) THEN $3
+                WHEN c.direction = 'reverse'
+                     AND (rs.last_plowed_reverse IS NULL OR rs.last_plowed_reverse <= $2) THEN $3
+                ELSE rs.last_plowed_device_id
+            END,
+            plow_count_today = rs.plow_count_today + 1,
+            plow_count_total = rs.plow_count_total + 1,
+            updated_at = NOW()
+        FROM coverage c
+        WHERE rs.id = c.id
+          AND $5 <> 'deadheading'
+          AND c.accumulated >= $6
+        RETURNING rs.id
+    ),
+    logged AS (
+        -- Log every pass in segment_updates, partial ones included so they can add up later
+        INSERT INTO segment_updates (
+            segment_id,
+            polyline_id,
+            device_id,
+            direction,
+            overlap_percentage,
+            accumulated_overlap_percentage,
+            covered_ranges,
+            activated,
+            timestamp,
+            pass_type
+        )
+        SELECT
+            c.id, $4, $3, c.direction, c.overlap_percentage, c.accumulated, c.covered,
+            c.id IN (SELECT id FROM activated),
+            $2, $5
+        FROM coverage c
+        RETURNING segment_id
+    )
+    SELECT
+        (SELECT COUNT(*) FROM logged)::int,
+        (SELECT COUNT(*) FROM activated)::int;
+$$ LANGUAGE sql;
+
+COMMENT ON FUNCTION activate_segments(GEOMETRY, TIMESTAMPTZ, TEXT, BIGINT, TEXT, DOUBLE PRECISION, INTEGER, TEXT[]) IS
+    'Log a polyline''s passes over nearby road segments and mark segments plowed once they are covered enough. Used by the worker and by polyline reprocessing.';
+
+-- ============================================
+-- STEP 2: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Function created: activate_segments()';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy workers and backend (both call activate_segments)';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Reprocessing polylines from the admin panel now applies the';
+    RAISE NOTICE '   same minimum overlap and coverage window as the workers';
+    RAISE NOTICE '==================================================';
+END $$;
@@ -0,0 +1,75 @@
+-- ============================================
+-- Migration: AVL Dead Letters
+-- ============================================
+-- Description: Frames that pass their CRC but can't be decoded would be
+--              resent by the device forever if left unacknowledged. The
+--              listener stores the raw frame here before acknowledging it,
+--              so the records can be recovered once the decoder is fixed.
+-- Date: 2026-10-19
+-- Author: MudMaps Team
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- STEP 1: CREATE DEAD LETTER TABLE
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE 'Creating avl_dead_letters table...';
+END $$;
+
+CREATE TABLE IF NOT EXISTS avl_dead_letters (
+    id BIGSERIAL PRIMARY KEY,
+    device_id TEXT NOT NULL,
+    raw_frame BYTEA NOT NULL,
+    declared_records INTEGER NOT NULL,  -- Record count the frame claims (what was acknowledged)
+    error_message TEXT NOT NULL,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    -- Set once the frame has been decoded and its records stored
+    recovered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_avl_dead_letters_unrecovered
+    ON avl_dead_letters(device_id, received_at)
+    WHERE recovered_at IS NULL;
+
+COMMENT ON TABLE avl_dead_letters IS
+    'Raw AVL frames with a valid CRC that failed to decode; acknowledged to the device only after being stored here';
+
+-- ============================================
+-- STEP 2: VERIFICATION
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION VERIFICATION';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Table created: avl_dead_letters';
+    RAISE NOTICE 'Index added: idx_avl_dead_letters_unrecovered';
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+END $$;
+
+COMMIT;
+
+-- ============================================
+-- POST-MIGRATION INSTRUCTIONS
+-- ============================================
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE 'MIGRATION COMPLETED SUCCESSFULLY';
+    RAISE NOTICE '==================================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Next steps:';
+    RAISE NOTICE '1. Redeploy the TCP listener (it writes undecodable frames here)';
+    RAISE NOTICE '';
+    RAISE NOTICE '2. Check for frames waiting to be recovered:';
+    RAISE NOTICE '   SELECT device_id, COUNT(*) FROM avl_dead_letters WHERE recovered_at IS NULL GROUP BY device_id;';
+    RAISE NOTICE '==================================================';
+END $$;
@@ -12,13 +12,13 @@ let databaseState = {
             offset: 0, 
             data: [], 
             loading: false,
-            columns: ['id', 'device_id', 'longitude', 'latitude', 'recorded_at', 'received_at', 'processed', 'batch_id', 'altitude', 'accuracy', 'speed', 'bearing']
+            columns: ['id', 'device_id', 'longitude', 'latitude', 'recorded_at', 'received_at', 'processed', 'batch_id', 'altitude', 'accuracy', 'speed', 'bearing', 'satellites', 'priority', 'event_io_id', 'io_elements']
         },
         cached_polylines: {
             offset: 0,
             data: [],
             loading: false,
-            columns: ['id', 'device_id', 'geometry', 'start_time', 'end_time', 'osrm_confidence', 'point_count', 'osrm_duration_ms', 'batch_id', 'created_at', 'last_accessed', 'access_count', 'bearing']
+            columns: ['id', 'device_id', 'geometry', 'start_time', 'end_time', 'osrm_confidence', 'point_count', 'osrm_duration_ms', 'batch_id', 'created_at', 'last_accessed', 'access_count', 'bearing', 'blade_down', 'spreader_on']
         },
         road_segments: {
             offset: 0,
@@ -30,7 +30,7 @@ let databaseState = {
             offset: 0, 
             data: [], 
             loading: false,
-            columns: ['id', 'segment_id', 'polyline_id', 'device_id', 'direction', 'overlap_percentage', 'timestamp']
+            columns: ['id', 'segment_id', 'polyline_id', 'device_id', 'direction', 'overlap_percentage', 'timestamp', 'pass_type']
         }
     },
     activeTable: 'gps_raw_data',
@@ -581,8 +581,8 @@ function createTableRow(tableName, rowData, index) {
             } else {
                 value = String(value);
             }
-        } else if (col === 'osm_tags') {
-            // Format osm_tags as truncated JSON
+        } else if (col === 'osm_tags' || col === 'io_elements') {
+            // Format JSONB columns as truncated JSON
             if (value && typeof value === 'object') {
                 const json = JSON.stringify(value);
                 value = json.length > 50 ? json.substring(0, 50) + '...' : json;
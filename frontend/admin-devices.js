@@ -0,0 +1,415 @@
+/**
+ * Devices Module
+ * Lists trackers connected to the TCP listener and sends them GPRS commands
+ */
+
+// Common Teltonika GPRS commands
+const PRESET_COMMANDS = [
+    { label: 'Info', command: 'getinfo' },
+    { label: 'Version', command: 'getver' },
+    { label: 'Status', command: 'getstatus' },
+    { label: 'GPS', command: 'getgps' },
+    { label: 'IO', command: 'readio' }
+];
+
+// Admin token for viewing and commanding trackers, kept for the browser session only
+const ADMIN_TOKEN_KEY = 'mudmaps.adminToken';
+
+// Module state
+let devicesState = {
+    devices: [],
+    status: null,
+    loading: false,
+    sending: false,
+    API_BASE: ''
+};
+
+/**
+ * Initialize the devices tab
+ * @param {string} apiBase - The API base URL
+ */
+export function initDevicesTab(apiBase) {
+    devicesState.API_BASE = apiBase;
+
+    // Create the devices tab content if it doesn't exist
+    const existingTab = document.querySelector('[data-tab-content="devices"]');
+    if (!existingTab) {
+        createDevicesTabHTML();
+    }
+
+    setupDevicesEventListeners();
+
+    // Load initial device list
+    loadDevices();
+
+    return {
+        refreshDevices: () => loadDevices(),
+        getState: () => devicesState
+    };
+}
+
+/**
+ * Create the HTML structure for the devices tab
+ */
+function createDevicesTabHTML() {
+    const tabContent = document.createElement('div');
+    tabContent.className = 'admin-tab-content';
+    tabContent.setAttribute('data-tab-content', 'devices');
+
+    tabContent.innerHTML = `
+        <h3>Connected Devices</h3>
+
+        <div class="logs-actions" style="margin-bottom: 15px;">
+            <button id="devices-refresh-btn" class="db-btn">🔄 Refresh</button>
+            <button id="devices-auto-refresh-btn" class="db-btn">Auto-Refresh: OFF</button>
+        </div>
+
+        <div class="logs-stats">
+            <span id="devices-count">Connected: 0</span>
+            <span id="devices-sockets">Open Sockets: 0</span>
+            <span id="devices-uptime">Listener Uptime: -</span>
+            <span id="devices-last-updated">Last Updated: Never</span>
+        </div>
+
+        <div id="devices-list" style="margin-bottom: 20px; font-size: 13px;">
+            <div class="logs-loading">Loading devices...</div>
+        </div>
+
+        <h3>Send Command</h3>
+
+        <div class="logs-filters">
+            <div class="filter-row">
+                <div class="filter-group filter-group-full">
+                    <label for="devices-imei-select">Device:</label>
+                    <select id="devices-imei-select" class="logs-select"></select>
+                </div>
+            </div>
+
+            <div class="filter-row">
+                <div class="filter-group filter-group-full">
+                    <label for="devices-command-input">Command:</label>
+                    <input type="text" id="devices-command-input" class="logs-input" placeholder="e.g. getinfo or setparam 10000:30">
+                </div>
+            </div>
+
+            <div class="filter-row" style="flex-wrap: wrap; gap: 5px;">
+                ${PRESET_COMMANDS.map(preset => `
+                    <button class="db-btn devices-preset-btn" data-command="${preset.command}">${preset.label}</button>
+                `).join('')}
+            </div>
+        </div>
+
+        <div class="logs-actions" style="margin-bottom: 15px;">
+            <button id="devices-send-btn" class="db-btn" style="background: #1976d2; color: white; padding: 8px 15px;">
+                📨 Send Command
+            </button>
+        </div>
+
+        <div class="logs-container" id="devices-command-output">
+            <div class="logs-loading">No commands sent yet</div>
+        </div>
+    `;
+
+    // Add to the dev panel body
+    const devPanelBody = document.querySelector('.admin-panel-body');
+    if (devPanelBody) {
+        devPanelBody.appendChild(tabContent);
+    }
+}
+
+/**
+ * Setup event listeners for devices controls
+ */
+function setupDevicesEventListeners() {
+    // Refresh button
+    const refreshBtn = document.getElementById('devices-refresh-btn');
+    if (refreshBtn) {
+        refreshBtn.addEventListener('click', () => {
+            loadDevices({ askForToken: true });
+        });
+    }
+
+    // Auto-refresh toggle
+    let autoRefreshInterval = null;
+    const autoRefreshBtn = document.getElementById('devices-auto-refresh-btn');
+    if (autoRefreshBtn) {
+        autoRefreshBtn.addEventListener('click', () => {
+            if (autoRefreshInterval) {
+                clearInterval(autoRefreshInterval);
+                autoRefreshInterval = null;
+                autoRefreshBtn.textContent = 'Auto-Refresh: OFF';
+                autoRefreshBtn.classList.remove('active');
+            } else {
+                autoRefreshInterval = setInterval(() => {
+                    loadDevices();
+                }, 10000);
+                autoRefreshBtn.textContent = 'Auto-Refresh: ON';
+                autoRefreshBtn.classList.add('active');
+            }
+        });
+    }
+
+    // Preset buttons fill the command input
+    document.querySelectorAll('.devices-preset-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const input = document.getElementById('devices-command-input');
+            if (input) {
+                input.value = btn.dataset.command;
+            }
+        });
+    });
+
+    // Send button
+    const sendBtn = document.getElementById('devices-send-btn');
+    if (sendBtn) {
+        sendBtn.addEventListener('click', () => {
+            sendCommand(sendBtn);
+        });
+    }
+
+    // Enter in the command input sends as well
+    const commandInput = document.getElementById('devices-command-input');
+    if (commandInput) {
+        commandInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                sendCommand(sendBtn);
+            }
+        });
+    }
+}
+
+/**
+ * Load listener status and connected devices from the backend
+ * @param {Object} options
+ * @param {boolean} options.askForToken - Prompt for the admin token if none is stored
+ *   (only on user action, so auto-refresh never opens a prompt)
+ */
+async function loadDevices({ askForToken = false } = {}) {
+    if (devicesState.loading) return;
+
+    const list = document.getElementById('devices-list');
+
+    const token = askForToken ? getAdminToken() : sessionStorage.getItem(ADMIN_TOKEN_KEY);
+    if (!token) {
+        if (list) {
+            list.innerHTML = '<div class="logs-empty">Click Refresh and enter the admin token to view trackers</div>';
+        }
+        return;
+    }
+
+    devicesState.loading = true;
+
+    try {
+        const response = await fetch(`${devicesState.API_BASE}/devices/status`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const status = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            // Ask again next time
+            sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+        }
+        if (!response.ok) {
+            throw new Error(status.message || `Status ${response.status}`);
+        }
+
+        devicesState.status = status;
+        devicesState.devices = Array.isArray(status.devices) ? status.devices : [];
+        renderDevices();
+
+        const lastUpdated = document.getElementById('devices-last-updated');
+        if (lastUpdated) {
+            lastUpdated.textContent = `Last Updated: ${new Date().toLocaleTimeString()}`;
+        }
+    } catch (error) {
+        console.error('Failed to load connected devices:', error);
+        if (list) {
+            list.innerHTML = `<div class="logs-error">Failed to load devices: ${escapeHtml(error.message)}</div>`;
+        }
+    } finally {
+        devicesState.loading = false;
+    }
+}
+
+/**
+ * Render the connected device list and device selector
+ */
+function renderDevices() {
+    const list = document.getElementById('devices-list');
+    const select = document.getElementById('devices-imei-select');
+    const count = document.getElementById('devices-count');
+
+    const sockets = document.getElementById('devices-sockets');
+    const uptime = document.getElementById('devices-uptime');
+    const status = devicesState.status;
+
+    if (count) {
+        count.textContent = `Connected: ${devicesState.devices.length}`;
+    }
+    if (sockets && status) {
+        sockets.textContent = `Open Sockets: ${status.openSockets}`;
+    }
+    if (uptime && status) {
+        uptime.textContent = `Listener Uptime: ${formatDuration(status.uptimeSeconds)}`;
+    }
+
+    if (list) {
+        if (devicesState.devices.length === 0) {
+            list.innerHTML = '<div class="logs-empty">No trackers connected</div>';
+        } else {
+            list.innerHTML = devicesState.devices.map(device => {
+                const silentSeconds = Math.round((Date.now() - new Date(device.lastSeenAt)) / 1000);
+                // Trackers report every 30s; a minute of silence means it has probably lost signal
+                const indicator = silentSeconds <= 60 ? '🟢' : '🟡';
+                return `
+                    <div class="stat-item">
+                        <span class="stat-label">${indicator} ${escapeHtml(device.imei)}</span>
+                        <span class="stat-value">
+                            seen ${formatDuration(silentSeconds)} ago ·
+                            ${device.recordsStored} records · ${formatBytes(device.bytesReceived)} ·
+                            since ${new Date(device.connectedAt).toLocaleTimeString()}
+                        </span>
+                    </div>
+                `;
+            }).join('');
+        }
+    }
+
+    if (select) {
+        const previous = select.value;
+        select.innerHTML = devicesState.devices.map(device =>
+            `<option value="${escapeHtml(device.imei)}">${escapeHtml(device.imei)}</option>`
+        ).join('');
+        if (devicesState.devices.some(device => device.imei === previous)) {
+            select.value = previous;
+        }
+    }
+}
+
+/**
+ * Send the entered command to the selected device and show the response
+ * @param {HTMLElement} sendBtn - Send button (disabled while waiting)
+ */
+async function sendCommand(sendBtn) {
+    if (devicesState.sending) return;
+
+    const imei = document.getElementById('devices-imei-select')?.value;
+    const command = document.getElementById('devices-command-input')?.value.trim();
+
+    if (!imei) {
+        appendCommandOutput('error', 'No device selected');
+        return;
+    }
+    if (!command) {
+        appendCommandOutput('error', 'Enter a command first');
+        return;
+    }
+
+    const token = getAdminToken();
+    if (!token) {
+        appendCommandOutput('error', 'An admin token is required to send commands');
+        return;
+    }
+
+    devicesState.sending = true;
+    sendBtn.disabled = true;
+    sendBtn.textContent = '⏳ Waiting for device...';
+
+    try {
+        const response = await fetch(`${devicesState.API_BASE}/devices/${encodeURIComponent(imei)}/commands`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({ command })
+        });
+
+        const result = await response.json();
+
+        if (response.status === 401) {
+            // Ask again next time
+            sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+        }
+
+        if (!response.ok) {
+            appendCommandOutput('error', `${imei} ← ${command}: ${result.message || response.status}`);
+        } else {
+            appendCommandOutput('info', `${imei} ← ${command}\n${result.response}`);
+        }
+    } catch (error) {
+        appendCommandOutput('error', `${imei} ← ${command}: ${error.message}`);
+    } finally {
+        devicesState.sending = false;
+        sendBtn.disabled = false;
+        sendBtn.textContent = '📨 Send Command';
+    }
+}
+
+/**
+ * Get the admin token for this browser session, asking for it the first time
+ * @returns {string|null} Token, or null if the user cancelled
+ */
+function getAdminToken() {
+    let token = sessionStorage.getItem(ADMIN_TOKEN_KEY);
+    if (!token) {
+        token = window.prompt('Admin token (required to view and send commands to trackers):')?.trim() || null;
+        if (token) {
+            sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+        }
+    }
+    return token;
+}
+
+/**
+ * Prepend a command result to the output panel
+ * @param {string} level - 'info' or 'error'
+ * @param {string} text - Output text
+ */
+function appendCommandOutput(level, text) {
+    const output = document.getElementById('devices-command-output');
+    if (!output) return;
+
+    // Drop the placeholder on first output
+    const placeholder = output.querySelector('.logs-loading');
+    if (placeholder) {
+        placeholder.remove();
+    }
+
+    const entry = document.createElement('div');
+    entry.className = `log-entry log-level-${level}`;
+    entry.innerHTML = `
+        <div class="log-header">
+            <span class="log-timestamp">${new Date().toLocaleTimeString()}</span>
+        </div>
+        <div class="log-message"><pre style="white-space: pre-wrap; margin: 0;">${escapeHtml(text)}</pre></div>
+    `;
+    output.prepend(entry);
+}
+
+/**
+ * Format seconds as a short duration (e.g. "45s", "12m", "3h 5m")
+ */
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+/**
+ * Format a byte count (e.g. "812 B", "14.2 KB")
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,237 @@
+/**
+ * Queue Module
+ * Shows the worker job stream: backlog, unacknowledged jobs and dead letters
+ */
+
+import { fetchJSON } from './utils.js';
+
+// Module state
+let queueState = {
+    status: null,
+    loading: false,
+    API_BASE: ''
+};
+
+/**
+ * Initialize the queue tab
+ * @param {string} apiBase - The API base URL
+ */
+export function initQueueTab(apiBase) {
+    queueState.API_BASE = apiBase;
+
+    // Create the queue tab content if it doesn't exist
+    const existingTab = document.querySelector('[data-tab-content="queue"]');
+    if (!existingTab) {
+        createQueueTabHTML();
+    }
+
+    setupQueueEventListeners();
+
+    // Load initial queue status
+    loadQueueStatus();
+
+    return {
+        refreshQueue: () => loadQueueStatus(),
+        getState: () => queueState
+    };
+}
+
+/**
+ * Create the HTML structure for the queue tab
+ */
+function createQueueTabHTML() {
+    const tabContent = document.createElement('div');
+    tabContent.className = 'admin-tab-content';
+    tabContent.setAttribute('data-tab-content', 'queue');
+
+    tabContent.innerHTML = `
+        <h3>Job Queue</h3>
+
+        <div class="logs-actions" style="margin-bottom: 15px;">
+            <button id="queue-refresh-btn" class="db-btn">🔄 Refresh</button>
+            <button id="queue-auto-refresh-btn" class="db-btn">Auto-Refresh: OFF</button>
+        </div>
+
+        <div class="logs-stats">
+            <span id="queue-length">Stream: 0</span>
+            <span id="queue-pending-count">Pending: 0</span>
+            <span id="queue-dead-count">Dead Letters: 0</span>
+            <span id="queue-last-updated">Last Updated: Never</span>
+        </div>
+
+        <h3>Workers</h3>
+        <div id="queue-consumers" style="margin-bottom: 20px; font-size: 13px;">
+            <div class="logs-loading">Loading...</div>
+        </div>
+
+        <h3>Pending Jobs</h3>
+        <div id="queue-pending" style="margin-bottom: 20px; font-size: 13px;">
+            <div class="logs-loading">Loading...</div>
+        </div>
+
+        <h3>Dead Letters</h3>
+        <div class="logs-container" id="queue-dead-letters">
+            <div class="logs-loading">Loading...</div>
+        </div>
+    `;
+
+    // Add to the dev panel body
+    const devPanelBody = document.querySelector('.admin-panel-body');
+    if (devPanelBody) {
+        devPanelBody.appendChild(tabContent);
+    }
+}
+
+/**
+ * Setup event listeners for queue controls
+ */
+function setupQueueEventListeners() {
+    // Refresh button
+    const refreshBtn = document.getElementById('queue-refresh-btn');
+    if (refreshBtn) {
+        refreshBtn.addEventListener('click', () => {
+            loadQueueStatus();
+        });
+    }
+
+    // Auto-refresh toggle
+    let autoRefreshInterval = null;
+    const autoRefreshBtn = document.getElementById('queue-auto-refresh-btn');
+    if (autoRefreshBtn) {
+        autoRefreshBtn.addEventListener('click', () => {
+            if (autoRefreshInterval) {
+                clearInterval(autoRefreshInterval);
+                autoRefreshInterval = null;
+                autoRefreshBtn.textContent = 'Auto-Refresh: OFF';
+                autoRefreshBtn.classList.remove('active');
+            } else {
+                autoRefreshInterval = setInterval(() => {
+                    loadQueueStatus();
+                }, 10000);
+                autoRefreshBtn.textContent = 'Auto-Refresh: ON';
+                autoRefreshBtn.classList.add('active');
+            }
+        });
+    }
+}
+
+/**
+ * Load queue status from the backend
+ */
+async function loadQueueStatus() {
+    if (queueState.loading) return;
+    queueState.loading = true;
+
+    try {
+        queueState.status = await fetchJSON(`${queueState.API_BASE}/queue/status`);
+        renderQueueStatus();
+
+        const lastUpdated = document.getElementById('queue-last-updated');
+        if (lastUpdated) {
+            lastUpdated.textContent = `Last Updated: ${new Date().toLocaleTimeString()}`;
+        }
+    } catch (error) {
+        console.error('Failed to load queue status:', error);
+        const pending = document.getElementById('queue-pending');
+        if (pending) {
+            pending.innerHTML = `<div class="logs-error">Failed to load queue: ${escapeHtml(error.message)}</div>`;
+        }
+    } finally {
+        queueState.loading = false;
+    }
+}
+
+/**
+ * Render stream stats, workers, pending jobs and dead letters
+ */
+function renderQueueStatus() {
+    const status = queueState.status;
+
+    const length = document.getElementById('queue-length');
+    if (length) {
+        length.textContent = `Stream: ${status.streamLength}`;
+    }
+    const pendingCount = document.getElementById('queue-pending-count');
+    if (pendingCount) {
+        pendingCount.textContent = `Pending: ${status.group ? status.group.pending : 0}`;
+    }
+    const deadCount = document.getElementById('queue-dead-count');
+    if (deadCount) {
+        deadCount.textContent = `Dead Letters: ${status.deadLetterCount}`;
+    }
+
+    const consumers = document.getElementById('queue-consumers');
+    if (consumers) {
+        if (!status.group) {
+            consumers.innerHTML = '<div class="logs-empty">Consumer group not created yet (no worker has started)</div>';
+        } else if (status.consumers.length === 0) {
+            consumers.innerHTML = '<div class="logs-empty">No workers registered</div>';
+        } else {
+            consumers.innerHTML = status.consumers.map(consumer => `
+                <div class="stat-item">
+                    <span class="stat-label">${escapeHtml(consumer.name)}</span>
+                    <span class="stat-value">${consumer.pending} pending · idle ${formatDuration(Math.round(consumer.idleMs / 1000))}</span>
+                </div>
+            `).join('');
+        }
+    }
+
+    const pending = document.getElementById('queue-pending');
+    if (pending) {
+        if (status.pending.length === 0) {
+            pending.innerHTML = '<div class="logs-empty">No unacknowledged jobs</div>';
+        } else {
+            pending.innerHTML = status.pending.map(job => {
+                // Retried jobs have failed at least once
+                const indicator = job.deliveries > 1 ? '🟡' : '🟢';
+                return `
+                    <div class="stat-item">
+                        <span class="stat-label">${indicator} ${escapeHtml(job.deviceId || job.id)}</span>
+                        <span class="stat-value">
+                            ${escapeHtml(job.consumer)} · delivery ${job.deliveries} ·
+                            idle ${formatDuration(Math.round(job.idleMs / 1000))}
+                        </span>
+                    </div>
+                `;
+            }).join('');
+        }
+    }
+
+    const deadLetters = document.getElementById('queue-dead-letters');
+    if (deadLetters) {
+        if (status.deadLetters.length === 0) {
+            deadLetters.innerHTML = '<div class="logs-empty">No dead letters</div>';
+        } else {
+            deadLetters.innerHTML = status.deadLetters.map(entry => `
+                <div class="log-entry log-level-error">
+                    <div class="log-header">
+                        <span class="log-timestamp">${new Date(entry.failedAt).toLocaleString()}</span>
+                        <span class="log-component">${escapeHtml(entry.deviceId)}</span>
+                    </div>
+                    <div class="log-message">
+                        ${escapeHtml(entry.error)}
+                        (${entry.deliveries} deliveries, last on ${escapeHtml(entry.consumer)})
+                    </div>
+                </div>
+            `).join('');
+        }
+    }
+}
+
+/**
+ * Format seconds as a short duration (e.g. "45s", "12m", "3h 5m")
+ */
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
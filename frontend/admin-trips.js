@@ -0,0 +1,213 @@
+/**
+ * Trips Module
+ * Lists vehicle trips between stops: when each vehicle left, when it stopped
+ * and how long it was out
+ */
+
+import { fetchJSON } from './utils.js';
+
+// Module state
+let tripsState = {
+    trips: [],
+    loading: false,
+    API_BASE: ''
+};
+
+/**
+ * Initialize the trips tab
+ * @param {string} apiBase - The API base URL
+ */
+export function initTripsTab(apiBase) {
+    tripsState.API_BASE = apiBase;
+
+    // Create the trips tab content if it doesn't exist
+    const existingTab = document.querySelector('[data-tab-content="trips"]');
+    if (!existingTab) {
+        createTripsTabHTML();
+    }
+
+    setupTripsEventListeners();
+
+    // Load initial trip list
+    loadTrips();
+
+    return {
+        refreshTrips: () => loadTrips(),
+        getState: () => tripsState
+    };
+}
+
+/**
+ * Create the HTML structure for the trips tab
+ */
+function createTripsTabHTML() {
+    const tabContent = document.createElement('div');
+    tabContent.className = 'admin-tab-content';
+    tabContent.setAttribute('data-tab-content', 'trips');
+
+    tabContent.innerHTML = `
+        <h3>Trips</h3>
+
+        <div class="logs-filters">
+            <div class="filter-row">
+                <div class="filter-group">
+                    <label for="trips-device-input">Device:</label>
+                    <input type="text" id="trips-device-input" class="logs-input" placeholder="All devices">
+                </div>
+                <div class="filter-group">
+                    <label for="trips-hours-select">Period:</label>
+                    <select id="trips-hours-select" class="logs-select">
+                        <option value="24" selected>Last 24 hours</option>
+                        <option value="72">Last 3 days</option>
+                        <option value="168">Last 7 days</option>
+                        <option value="720">Last 30 days</option>
+                    </select>
+                </div>
+            </div>
+        </div>
+
+        <div class="logs-actions" style="margin-bottom: 15px;">
+            <button id="trips-refresh-btn" class="db-btn">🔄 Refresh</button>
+        </div>
+
+        <div class="logs-stats">
+            <span id="trips-count">Trips: 0</span>
+            <span id="trips-total-time">Time Out: -</span>
+            <span id="trips-total-distance">Distance: -</span>
+        </div>
+
+        <div id="trips-list" style="font-size: 13px;">
+            <div class="logs-loading">Loading trips...</div>
+        </div>
+    `;
+
+    // Add to the dev panel body
+    const devPanelBody = document.querySelector('.admin-panel-body');
+    if (devPanelBody) {
+        devPanelBody.appendChild(tabContent);
+    }
+}
+
+/**
+ * Setup event listeners for trips controls
+ */
+function setupTripsEventListeners() {
+    const refreshBtn = document.getElementById('trips-refresh-btn');
+    if (refreshBtn) {
+        refreshBtn.addEventListener('click', () => {
+            loadTrips();
+        });
+    }
+
+    const hoursSelect = document.getElementById('trips-hours-select');
+    if (hoursSelect) {
+        hoursSelect.addEventListener('change', () => {
+            loadTrips();
+        });
+    }
+
+    const deviceInput = document.getElementById('trips-device-input');
+    if (deviceInput) {
+        deviceInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                loadTrips();
+            }
+        });
+    }
+}
+
+/**
+ * Load trips from the backend
+ */
+async function loadTrips() {
+    if (tripsState.loading) return;
+    tripsState.loading = true;
+
+    const list = document.getElementById('trips-list');
+    const hours = document.getElementById('trips-hours-select')?.value || 24;
+    const deviceId = document.getElementById('trips-device-input')?.value.trim();
+
+    const params = new URLSearchParams({ hours });
+    if (deviceId) {
+        params.set('device_id', deviceId);
+    }
+
+    try {
+        const result = await fetchJSON(`${tripsState.API_BASE}/trips?${params}`);
+        tripsState.trips = Array.isArray(result.trips) ? result.trips : [];
+        renderTrips();
+    } catch (error) {
+        console.error('Failed to load trips:', error);
+        if (list) {
+            list.innerHTML = `<div class="logs-error">Failed to load trips: ${escapeHtml(error.message)}</div>`;
+        }
+    } finally {
+        tripsState.loading = false;
+    }
+}
+
+/**
+ * Render the trip list and totals
+ */
+function renderTrips() {
+    const list = document.getElementById('trips-list');
+    const trips = tripsState.trips;
+
+    const totalSeconds = trips.reduce((sum, trip) => sum + (trip.durationSeconds || 0), 0);
+    const totalMeters = trips.reduce((sum, trip) => sum + trip.distanceMeters, 0);
+
+    const count = document.getElementById('trips-count');
+    if (count) {
+        count.textContent = `Trips: ${trips.length}`;
+    }
+    const totalTime = document.getElementById('trips-total-time');
+    if (totalTime) {
+        totalTime.textContent = `Time Out: ${formatDuration(totalSeconds)}`;
+    }
+    const totalDistance = document.getElementById('trips-total-distance');
+    if (totalDistance) {
+        totalDistance.textContent = `Distance: ${(totalMeters / 1000).toFixed(1)} km`;
+    }
+
+    if (!list) return;
+
+    if (trips.length === 0) {
+        list.innerHTML = '<div class="logs-empty">No trips in this period</div>';
+        return;
+    }
+
+    list.innerHTML = trips.map(trip => {
+        const vehicle = trip.deviceName || trip.deviceId;
+        const indicator = trip.status === 'open' ? '🟢' : '🏁';
+        const end = trip.status === 'open'
+            ? 'still out'
+            : `${trip.endReason === 'signal_lost' ? 'signal lost' : 'stopped'} ${new Date(trip.endTime).toLocaleTimeString()}`;
+        return `
+            <div class="stat-item">
+                <span class="stat-label">${indicator} ${escapeHtml(vehicle)}</span>
+                <span class="stat-value">
+                    left ${new Date(trip.startTime).toLocaleString()} · ${end} ·
+                    ${formatDuration(trip.durationSeconds || 0)} · ${(trip.distanceMeters / 1000).toFixed(1)} km
+                </span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Format seconds as a short duration (e.g. "45s", "12m", "3h 5m")
+ */
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -45,6 +45,9 @@ import { initStatistics, updateStatistics } from './admin-stats.js';
 import { initUIControls, setStyleCreators } from './admin-ui-controls.js';
 import { initDatabaseTab, highlightTableRow } from './admin-database.js';
 import { initLogsTab } from './admin-logs.js';
+import { initDevicesTab } from './admin-devices.js';
+import { initTripsTab } from './admin-trips.js';
+import { initQueueTab } from './admin-queue.js';
 import { initFrontendLogger } from './admin-frontend-logger.js';
 
 // Configuration
@@ -1095,6 +1098,15 @@ function initializeModules() {
     // Initialize logs tab
     const logsTab = initLogsTab(API_BASE);
 
+    // Initialize devices tab
+    const devicesTab = initDevicesTab(API_BASE);
+
+    // Initialize trips tab
+    const tripsTab = initTripsTab(API_BASE);
+
+    // Initialize queue tab
+    const queueTab = initQueueTab(API_BASE);
+
     // Initialize frontend logger
     initFrontendLogger(API_BASE);
 
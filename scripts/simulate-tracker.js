@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+
+/**
+ * GPS Tracker Simulator
+ *
+ * Replays a recorded drive against the TCP listener as one or more fake
+ * Teltonika devices speaking Codec 8 (IMEI handshake, CRC, record count ACK).
+ *
+ * Input formats (picked by file extension):
+ *   .gpx              - <trkpt> points with <time>/<ele>
+ *   .geojson / .json  - LineString / MultiLineString / Point features
+ *                       (times from properties.coordTimes or properties.time)
+ *   .log              - decoded_records.log lines written by the listener
+ *
+ * Usage:
+ *   node scripts/simulate-tracker.js --file drive.gpx [options]
+ *
+ * Options:
+ *   --host <host>              Listener host (default 127.0.0.1)
+ *   --port <port>              Listener port (default 5500)
+ *   --imei <imei>              IMEI of the first device; further devices count up
+ *                              (default 359000000000001, or the IMEIs in a .log file)
+ *   --devices <n>              Concurrent fake devices replaying the track (default 1)
+ *   --stagger <seconds>        Start offset between devices (default 30)
+ *   --speed <factor>           Playback speed: 1 = real time, 10 = 10x, 0 = no waiting (default 1)
+ *   --records-per-packet <n>   Records buffered per AVL packet (default 1)
+ *   --split <bytes>            Write each packet in chunks of this size to exercise reassembly
+ *   --gap-every <seconds>      Simulate signal loss every N seconds of track time
+ *   --gap-length <seconds>     Length of each signal loss; records are buffered and sent on recovery (default 120)
+ *   --interval <seconds>       Spacing for points without timestamps (default 5)
+ *   --keep-timestamps          Send the recorded timestamps instead of shifting the track to start now
+ *
+ * Devices must be registered in the devices table or the listener refuses them.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { parseArgs } = require('util');
+const { encodeCodec8Packet } = require('../tcp-listener/codecs/codec8');
+
+const MAX_RECORDS_PER_PACKET = 255;
+
+const { values: options } = parseArgs({
+    options: {
+        file: { type: 'string' },
+        host: { type: 'string', default: '127.0.0.1' },
+        port: { type: 'string', default: '5500' },
+        imei: { type: 'string' },
+        devices: { type: 'string', default: '1' },
+        stagger: { type: 'string', default: '30' },
+        speed: { type: 'string', default: '1' },
+        'records-per-packet': { type: 'string', default: '1' },
+        split: { type: 'string' },
+        'gap-every': { type: 'string' },
+        'gap-length': { type: 'string', default: '120' },
+        interval: { type: 'string', default: '5' },
+        'keep-timestamps': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================
+// TRACK LOADING
+// ============================================
+
+/**
+ * Build a record in the listener's decoded shape
+ */
+function makeRecord(lat, lon, timestamp, extra = {}) {
+    return {
+        timestamp,
+        priority: 0,
+        lat,
+        lon,
+        altitude: 0,
+        angle: 0,
+        satellites: 10,
+        speed: 0,
+        eventIOId: 0,
+        io: {},
+        ...extra
+    };
+}
+
+function parseGpx(text) {
+    const points = [];
+    const trkptPattern = /<trkpt\s+([^>]*?)\/?>([\s\S]*?)(?:<\/trkpt>|(?=<trkpt)|$)/g;
+    let match;
+    while ((match = trkptPattern.exec(text)) !== null) {
+        const lat = Number((match[1].match(/lat="([^"]+)"/) || [])[1]);
+        const lon = Number((match[1].match(/lon="([^"]+)"/) || [])[1]);
+        if (Number.isNaN(lat) || Number.isNaN(lon)) continue;
+
+        const time = (match[2].match(/<time>([^<]+)<\/time>/) || [])[1];
+        const ele = (match[2].match(/<ele>([^<]+)<\/ele>/) || [])[1];
+        points.push(makeRecord(lat, lon, time ? new Date(time) : null, ele ? { altitude: Number(ele) } : {}));
+    }
+    return points;
+}
+
+function parseGeoJson(text) {
+    const geojson = JSON.parse(text);
+    const features = geojson.type === 'FeatureCollection' ? geojson.features
+        : geojson.type === 'Feature' ? [geojson]
+        : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+    const points = [];
+    for (const feature of features) {
+        const geometry = feature.geometry || {};
+        const properties = feature.properties || {};
+        const times = properties.coordTimes || properties.times || [];
+
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates
+            : geometry.type === 'Point' ? [[geometry.coordinates]]
+            : [];
+
+        lines.forEach((line, lineIndex) => {
+            const lineTimes = Array.isArray(times[0]) ? times[lineIndex] || [] : times;
+            line.forEach(([lon, lat, ele], i) => {
+                const time = lineTimes[i] || (geometry.type === 'Point' ? properties.time : null);
+                points.push(makeRecord(lat, lon, time ? new Date(time) : null, ele !== undefined ? { altitude: ele } : {}));
+            });
+        });
+    }
+    return points;
+}
+
+/**
+ * Parse decoded_records.log lines, grouped by IMEI
+ * @returns {Map<string, Array<Object>>} Records per IMEI
+ */
+function parseDecodedLog(text) {
+    const tracks = new Map();
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            continue; // Partial or non-JSON line
+        }
+
+        const { imei, ...record } = entry;
+        if (!tracks.has(imei)) tracks.set(imei, []);
+        tracks.get(imei).push({ ...record, timestamp: new Date(record.timestamp) });
+    }
+    return tracks;
+}
+
+/**
+ * Fill in missing timestamps and sort
+ */
+function normalizeTrack(records, intervalSeconds) {
+    let previous = null;
+    for (const record of records) {
+        if (!record.timestamp || Number.isNaN(record.timestamp.getTime())) {
+            record.timestamp = new Date(previous ? previous.getTime() + intervalSeconds * 1000 : Date.now());
+        }
+        previous = record.timestamp;
+    }
+    return records.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Load tracks from a file
+ * @returns {Array<{imei: string|null, records: Array<Object>}>} Tracks (imei set for .log input)
+ */
+function loadTracks(file, intervalSeconds) {
+    const text = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+
+    if (extension === '.log') {
+        return [...parseDecodedLog(text)].map(([imei, records]) => ({
+            imei,
+            records: normalizeTrack(records, intervalSeconds)
+        }));
+    }
+
+    const records = extension === '.gpx' ? parseGpx(text) : parseGeoJson(text);
+    return [{ imei: null, records: normalizeTrack(records, intervalSeconds) }];
+}
+
+// ============================================
+// DEVICE SIMULATION
+// ============================================
+
+/**
+ * Wrap a socket so reads can be awaited
+ */
+function createReader(socket) {
+    let buffered = Buffer.alloc(0);
+    let waiting = null;
+
+    const check = () => {
+        if (waiting && buffered.length >= waiting.length) {
+            const chunk = buffered.slice(0, waiting.length);
+            buffered = buffered.slice(waiting.length);
+            const { resolve } = waiting;
+            waiting = null;
+            resolve(chunk);
+        }
+    };
+
+    socket.on('data', (data) => {
+        buffered = Buffer.concat([buffered, data]);
+        check();
+    });
+    socket.on('close', () => {
+        if (waiting) waiting.reject(new Error('Connection closed by listener'));
+    });
+
+    return (length) => new Promise((resolve, reject) => {
+        waiting = { length, resolve, reject };
+        check();
+    });
+}
+
+async function writeSplit(socket, packet, splitBytes) {
+    if (!splitBytes) {
+        socket.write(packet);
+        return;
+    }
+    for (let offset = 0; offset < packet.length; offset += splitBytes) {
+        socket.write(packet.slice(offset, offset + splitBytes));
+        await sleep(20);
+    }
+}
+
+/**
+ * Group records into the packets a device would send, including the backlog
+ * dumped after each simulated signal loss
+ */
+function planPackets(records, recordsPerPacket, gapEverySeconds, gapLengthSeconds) {
+    const packets = [];
+    const start = records[0].timestamp.getTime();
+    let pending = [];
+
+    const inGap = (time) => {
+        if (!gapEverySeconds) return false;
+        const elapsed = (time - start) / 1000;
+        const cycle = elapsed % (gapEverySeconds + gapLengthSeconds);
+        return elapsed >= gapEverySeconds && cycle >= gapEverySeconds;
+    };
+
+    for (const record of records) {
+        pending.push(record);
+        if (inGap(record.timestamp.getTime())) continue; // No signal: keep buffering
+
+        // A backlog from a gap goes out in full-size packets as soon as signal returns
+        while (pending.length >= recordsPerPacket) {
+            const size = pending.length > recordsPerPacket ? MAX_RECORDS_PER_PACKET : recordsPerPacket;
+            packets.push({ sendAt: record.timestamp.getTime(), records: pending.splice(0, size) });
+        }
+    }
+    if (pending.length > 0) {
+        packets.push({ sendAt: records[records.length - 1].timestamp.getTime(), records: pending });
+    }
+    return packets;
+}
+
+/**
+ * Replay one track as one device
+ */
+async function runDevice(imei, records, settings, label) {
+    const socket = net.connect(settings.port, settings.host);
+    const read = createReader(socket);
+    await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('error', reject);
+    });
+
+    // IMEI handshake: 2-byte length + ASCII IMEI, server answers 0x01 (accept) or 0x00 (refuse)
+    const handshake = Buffer.alloc(2 + imei.length);
+    handshake.writeUInt16BE(imei.length, 0);
+    handshake.write(imei, 2, 'ascii');
+    socket.write(handshake);
+
+    const accepted = (await read(1))[0];
+    if (accepted !== 0x01) {
+        console.error(`${label} ⛔ ${imei} refused by listener (register it in the devices table)`);
+        socket.destroy();
+        return { sent: 0, acked: 0 };
+    }
+    console.log(`${label} 📍 ${imei} connected, replaying ${records.length} records`);
+
+    const packets = planPackets(records, settings.recordsPerPacket, settings.gapEvery, settings.gapLength);
+    const trackStart = records[0].timestamp.getTime();
+    const wallStart = Date.now();
+    let sent = 0;
+    let acked = 0;
+
+    for (const packet of packets) {
+        if (settings.speed > 0) {
+            const due = wallStart + (packet.sendAt - trackStart) / settings.speed;
+            await sleep(Math.max(0, due - Date.now()));
+        }
+
+        await writeSplit(socket, encodeCodec8Packet(packet.records), settings.split);
+        sent += packet.records.length;
+
+        const ack = (await read(4)).readUInt32BE(0);
+        acked += ack;
+        const marker = ack === packet.records.length ? '✅' : '⚠️ ';
+        console.log(`${label} ${marker} sent ${packet.records.length} record(s), ACK ${ack} (${sent}/${records.length})`);
+    }
+
+    socket.end();
+    return { sent, acked };
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main() {
+    if (options.help || !options.file) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^#!.*\n/, ''));
+        process.exit(options.help ? 0 : 1);
+    }
+
+    const settings = {
+        host: options.host,
+        port: Number(options.port),
+        speed: Number(options.speed),
+        recordsPerPacket: Math.min(Math.max(Number(options['records-per-packet']), 1), MAX_RECORDS_PER_PACKET),
+        split: options.split ? Number(options.split) : null,
+        gapEvery: options['gap-every'] ? Number(options['gap-every']) : null,
+        gapLength: Number(options['gap-length'])
+    };
+
+    const tracks = loadTracks(options.file, Number(options.interval)).filter(track => track.records.length > 0);
+    if (tracks.length === 0) {
+        console.error(`No points found in ${options.file}`);
+        process.exit(1);
+    }
+
+    // One job per fake device; each device replays its track from a staggered start
+    const deviceCount = Number(options.devices);
+    const baseImei = options.imei ? BigInt(options.imei) : 359000000000001n;
+    const jobs = [];
+    for (let i = 0; i < deviceCount; i++) {
+        const track = tracks[i % tracks.length];
+        const imei = options.imei || !track.imei ? (baseImei + BigInt(i)).toString() : track.imei;
+
+        // Shift the track so it looks live (the worker treats old points as late data)
+        const shift = options['keep-timestamps']
+            ? 0
+            : Date.now() - track.records[0].timestamp.getTime() + i * Number(options.stagger) * 1000;
+        const records = track.records.map(record => ({
+            ...record,
+            timestamp: new Date(record.timestamp.getTime() + shift)
+        }));
+
+        jobs.push({ imei, records, delayMs: settings.speed > 0 ? (i * Number(options.stagger) * 1000) / settings.speed : 0 });
+    }
+
+    console.log(`🚚 Simulating ${jobs.length} device(s) against ${settings.host}:${settings.port} at ${settings.speed ? `${settings.speed}x` : 'max'} speed`);
+
+    const results = await Promise.all(jobs.map(async (job, i) => {
+        await sleep(job.delayMs);
+        try {
+            return await runDevice(job.imei, job.records, settings, `[${i + 1}]`);
+        } catch (error) {
+            console.error(`[${i + 1}] ❌ ${job.imei}: ${error.message}`);
+            return { sent: 0, acked: 0 };
+        }
+    }));
+
+    const sent = results.reduce((sum, result) => sum + result.sent, 0);
+    const acked = results.reduce((sum, result) => sum + result.acked, 0);
+    console.log(`\n📊 Done: ${sent} records sent, ${acked} acknowledged`);
+    process.exit(acked === sent ? 0 : 1);
+}
+
+main().catch((error) => {
+    console.error('❌ Simulator failed:', error.message);
+    process.exit(1);
+});
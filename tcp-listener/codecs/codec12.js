@@ -0,0 +1,65 @@
+/**
+ * Teltonika Codec 12 (GPRS commands)
+ * Encodes server → device commands and decodes device → server responses
+ */
+
+const { crc16Ibm } = require('./crc16');
+
+const CODEC_12 = 0x0C;
+const TYPE_COMMAND = 0x05;
+const TYPE_RESPONSE = 0x06;
+
+/**
+ * Encode a text command (e.g. "getinfo", "setparam 1000:30") as a Codec 12 frame
+ * @param {string} command - Command text
+ * @returns {Buffer} Frame ready to write to the device socket
+ */
+function encodeCodec12Command(command) {
+    const payload = Buffer.from(command, 'ascii');
+
+    // Codec ID (1) + quantity 1 (1) + type (1) + command size (4) + command + quantity 2 (1)
+    const dataLength = 8 + payload.length;
+    const frame = Buffer.alloc(4 + 4 + dataLength + 4);
+
+    let offset = 4; // Preamble is 4 zero bytes
+    frame.writeUInt32BE(dataLength, offset); offset += 4;
+    frame.writeUInt8(CODEC_12, offset); offset += 1;
+    frame.writeUInt8(1, offset); offset += 1;
+    frame.writeUInt8(TYPE_COMMAND, offset); offset += 1;
+    frame.writeUInt32BE(payload.length, offset); offset += 4;
+    payload.copy(frame, offset); offset += payload.length;
+    frame.writeUInt8(1, offset); offset += 1;
+    frame.writeUInt32BE(crc16Ibm(frame, 8, offset), offset);
+
+    return frame;
+}
+
+/**
+ * Decode a Codec 12 response frame
+ * @param {Buffer} buffer - Full frame (preamble through CRC)
+ * @returns {{type: number, text: string}} Message type and response text
+ */
+function decodeCodec12Response(buffer) {
+    const codecId = buffer.readUInt8(8);
+    if (codecId !== CODEC_12) {
+        throw new Error(`Unsupported codec: ${codecId}`);
+    }
+
+    const type = buffer.readUInt8(10);
+    if (type !== TYPE_RESPONSE) {
+        throw new Error(`Unexpected Codec 12 message type: ${type}`);
+    }
+
+    const size = buffer.readUInt32BE(11);
+    const text = buffer.toString('ascii', 15, 15 + size);
+
+    return { type, text };
+}
+
+module.exports = {
+    CODEC_12,
+    TYPE_COMMAND,
+    TYPE_RESPONSE,
+    encodeCodec12Command,
+    decodeCodec12Response
+};
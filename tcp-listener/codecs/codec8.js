@@ -0,0 +1,340 @@
+/**
+ * Teltonika Codec 8 / Codec 8 Extended Decoders
+ * Pure functions that turn a raw AVL data packet (Buffer) into decoded records
+ */
+
+const { crc16Ibm } = require('./crc16');
+
+const CODEC_8 = 0x08;
+const CODEC_8_EXTENDED = 0x8E;
+
+// Preamble (4) + data field length (4) + codec ID (1) + number of data 1 (1)
+const AVL_HEADER_LENGTH = 10;
+
+// Offset of the codec ID in a TCP AVL packet (after preamble and data field length)
+const TCP_AVL_DATA_OFFSET = 8;
+
+/**
+ * Read a fixed-size unsigned IO value
+ * @param {Buffer} buffer - Packet buffer
+ * @param {number} offset - Offset of the value
+ * @param {number} size - Value size in bytes (1, 2, 4 or 8)
+ * @returns {number|bigint} IO value (8-byte values are returned as BigInt)
+ */
+function readIOValue(buffer, offset, size) {
+    if (size === 1) return buffer.readUInt8(offset);
+    if (size === 2) return buffer.readUInt16BE(offset);
+    if (size === 4) return buffer.readUInt32BE(offset);
+    return buffer.readBigUInt64BE(offset);
+}
+
+/**
+ * Parse the timestamp, priority and GPS element shared by Codec 8 and 8E records
+ * @param {Buffer} buffer - Packet buffer
+ * @param {number} offset - Offset of the record
+ * @returns {{record: Object, offset: number}} Partial record and offset of the IO element
+ */
+function parseGPSElement(buffer, offset) {
+    const timestamp = buffer.readBigUInt64BE(offset); offset += 8;
+    const priority = buffer.readUInt8(offset); offset += 1;
+    const lon = buffer.readInt32BE(offset) / 1e7; offset += 4;
+    const lat = buffer.readInt32BE(offset) / 1e7; offset += 4;
+    const altitude = buffer.readUInt16BE(offset); offset += 2;
+    const angle = buffer.readUInt16BE(offset); offset += 2;
+    const satellites = buffer.readUInt8(offset); offset += 1;
+    const speed = buffer.readUInt16BE(offset); offset += 2;
+
+    return {
+        record: {
+            timestamp: new Date(Number(timestamp)),
+            priority, lat, lon, altitude, angle, satellites, speed
+        },
+        offset
+    };
+}
+
+/**
+ * Parse a single Codec 8 AVL record (1-byte IO IDs and counts)
+ * @param {Buffer} buffer - Packet buffer
+ * @param {number} offset - Offset of the record
+ * @returns {{record: Object, offset: number}} Decoded record and offset of the next record
+ */
+function parseCodec8Record(buffer, offset) {
+    const gps = parseGPSElement(buffer, offset);
+    offset = gps.offset;
+
+    const eventIOId = buffer.readUInt8(offset); offset += 1;
+    offset += 1; // Total IO count
+
+    const io = {};
+    for (const size of [1, 2, 4, 8]) {
+        const count = buffer.readUInt8(offset); offset += 1;
+        for (let j = 0; j < count; j++) {
+            const id = buffer.readUInt8(offset); offset += 1;
+            io[id] = readIOValue(buffer, offset, size);
+            offset += size;
+        }
+    }
+
+    return {
+        record: { ...gps.record, eventIOId, io },
+        offset
+    };
+}
+
+/**
+ * Parse a single Codec 8 Extended AVL record (2-byte IO IDs and counts,
+ * plus variable-length IO elements)
+ * @param {Buffer} buffer - Packet buffer
+ * @param {number} offset - Offset of the record
+ * @returns {{record: Object, offset: number}} Decoded record and offset of the next record
+ */
+function parseCodec8ExtendedRecord(buffer, offset) {
+    const gps = parseGPSElement(buffer, offset);
+    offset = gps.offset;
+
+    const eventIOId = buffer.readUInt16BE(offset); offset += 2;
+    offset += 2; // Total IO count
+
+    const io = {};
+    for (const size of [1, 2, 4, 8]) {
+        const count = buffer.readUInt16BE(offset); offset += 2;
+        for (let j = 0; j < count; j++) {
+            const id = buffer.readUInt16BE(offset); offset += 2;
+            io[id] = readIOValue(buffer, offset, size);
+            offset += size;
+        }
+    }
+
+    // Variable-length elements (NX) are kept as hex strings
+    const variableCount = buffer.readUInt16BE(offset); offset += 2;
+    for (let j = 0; j < variableCount; j++) {
+        const id = buffer.readUInt16BE(offset); offset += 2;
+        const length = buffer.readUInt16BE(offset); offset += 2;
+        io[id] = buffer.toString('hex', offset, offset + length);
+        offset += length;
+    }
+
+    return {
+        record: { ...gps.record, eventIOId, io },
+        offset
+    };
+}
+
+/**
+ * Decode the records of an AVL data array with the given record parser
+ * @param {Buffer} buffer - Buffer containing the AVL data array
+ * @param {number} start - Offset of the codec ID
+ * @param {number} expectedCodec - Codec ID the parser understands
+ * @param {Function} parseRecord - Record parser
+ * @returns {Array<Object>} Decoded records
+ */
+function decodeRecords(buffer, start, expectedCodec, parseRecord) {
+    if (buffer.length < start + 3) {
+        throw new Error(`AVL packet too short: ${buffer.length} bytes`);
+    }
+
+    const codecId = buffer.readUInt8(start);
+    if (codecId !== expectedCodec) {
+        throw new Error(`Unsupported codec: ${codecId}`);
+    }
+
+    const recordCount = buffer.readUInt8(start + 1);
+    let offset = start + 2;
+
+    const records = [];
+    for (let i = 0; i < recordCount; i++) {
+        const parsed = parseRecord(buffer, offset);
+        records.push(parsed.record);
+        offset = parsed.offset;
+    }
+
+    // Number of data 2 must repeat number of data 1
+    const trailingCount = buffer.readUInt8(offset);
+    if (trailingCount !== recordCount) {
+        throw new Error(`Record count mismatch: header ${recordCount}, trailer ${trailingCount}`);
+    }
+
+    return records;
+}
+
+/**
+ * Decode a Codec 8 AVL packet
+ * @param {Buffer} buffer - Full AVL packet (preamble through CRC)
+ * @returns {Array<Object>} Decoded records
+ */
+function decodeCodec8(buffer) {
+    return decodeRecords(buffer, TCP_AVL_DATA_OFFSET, CODEC_8, parseCodec8Record);
+}
+
+/**
+ * Decode a Codec 8 Extended AVL packet
+ * @param {Buffer} buffer - Full AVL packet (preamble through CRC)
+ * @returns {Array<Object>} Decoded records
+ */
+function decodeCodec8Extended(buffer) {
+    return decodeRecords(buffer, TCP_AVL_DATA_OFFSET, CODEC_8_EXTENDED, parseCodec8ExtendedRecord);
+}
+
+/**
+ * Verify the CRC-16/IBM of an AVL packet
+ * The checksum covers codec ID through number of data 2 and is stored in the
+ * last 4 bytes of the packet (upper two bytes are always zero)
+ * @param {Buffer} buffer - Full AVL packet (preamble through CRC)
+ * @returns {{valid: boolean, expected: number, actual: number}} Verification result
+ */
+function verifyAvlPacketCrc(buffer) {
+    const dataLength = buffer.readUInt32BE(4);
+    const expected = buffer.readUInt32BE(8 + dataLength);
+    const actual = crc16Ibm(buffer, 8, 8 + dataLength);
+
+    return { valid: expected === actual, expected, actual };
+}
+
+/**
+ * Build the acknowledgement the server sends after storing an AVL packet:
+ * the number of accepted records as a 4-byte big-endian integer
+ * @param {number} recordCount - Number of records stored
+ * @returns {Buffer} ACK payload
+ */
+function encodeRecordCountAck(recordCount) {
+    const ack = Buffer.alloc(4);
+    ack.writeUInt32BE(recordCount, 0);
+    return ack;
+}
+
+/**
+ * Smallest Codec 8 IO group (1, 2, 4 or 8 bytes) that holds a value
+ * @param {number|bigint|string} value - IO value (8-byte values may be BigInt or numeric strings)
+ * @returns {number|null} Size in bytes, or null if the value can't be encoded
+ */
+function ioValueSize(value) {
+    let numeric;
+    try {
+        numeric = BigInt(value);
+    } catch (error) {
+        return null; // Variable-length (hex string) elements only exist in Codec 8E
+    }
+
+    if (numeric < 0n) return null;
+    if (numeric <= 0xFFn) return 1;
+    if (numeric <= 0xFFFFn) return 2;
+    if (numeric <= 0xFFFFFFFFn) return 4;
+    if (numeric <= 0xFFFFFFFFFFFFFFFFn) return 8;
+    return null;
+}
+
+/**
+ * Encode a single record in Codec 8 layout
+ * @param {Object} record - Record in the decoder's shape
+ * @returns {Buffer} Encoded AVL record
+ */
+function encodeCodec8Record(record) {
+    const groups = { 1: [], 2: [], 4: [], 8: [] };
+    for (const [id, value] of Object.entries(record.io || {})) {
+        const size = ioValueSize(value);
+        if (size !== null && Number(id) <= 0xFF) {
+            groups[size].push([Number(id), value]);
+        }
+    }
+
+    const ioCount = groups[1].length + groups[2].length + groups[4].length + groups[8].length;
+    const ioLength = 2 + 4 + groups[1].length * 2 + groups[2].length * 3 + groups[4].length * 5 + groups[8].length * 9;
+    const buffer = Buffer.alloc(24 + ioLength);
+
+    let offset = 0;
+    buffer.writeBigUInt64BE(BigInt(new Date(record.timestamp).getTime()), offset); offset += 8;
+    buffer.writeUInt8(record.priority || 0, offset); offset += 1;
+    buffer.writeInt32BE(Math.round(record.lon * 1e7), offset); offset += 4;
+    buffer.writeInt32BE(Math.round(record.lat * 1e7), offset); offset += 4;
+    buffer.writeUInt16BE(Math.max(0, Math.round(record.altitude || 0)), offset); offset += 2;
+    buffer.writeUInt16BE(Math.round(record.angle || 0) % 360, offset); offset += 2;
+    buffer.writeUInt8(record.satellites || 0, offset); offset += 1;
+    buffer.writeUInt16BE(Math.round(record.speed || 0), offset); offset += 2;
+
+    buffer.writeUInt8(record.eventIOId || 0, offset); offset += 1;
+    buffer.writeUInt8(ioCount, offset); offset += 1;
+    for (const size of [1, 2, 4, 8]) {
+        buffer.writeUInt8(groups[size].length, offset); offset += 1;
+        for (const [id, value] of groups[size]) {
+            buffer.writeUInt8(id, offset); offset += 1;
+            if (size === 1) buffer.writeUInt8(Number(value), offset);
+            else if (size === 2) buffer.writeUInt16BE(Number(value), offset);
+            else if (size === 4) buffer.writeUInt32BE(Number(value), offset);
+            else buffer.writeBigUInt64BE(BigInt(value), offset);
+            offset += size;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Encode records as a complete Codec 8 TCP AVL packet (preamble through CRC).
+ * Used by the tracker simulator; the server never sends AVL data.
+ * @param {Array<Object>} records - Records in the decoder's shape (at most 255)
+ * @returns {Buffer} AVL packet
+ */
+function encodeCodec8Packet(records) {
+    if (records.length === 0 || records.length > 255) {
+        throw new Error(`Codec 8 packets hold 1-255 records, got ${records.length}`);
+    }
+
+    const data = Buffer.concat([
+        Buffer.from([CODEC_8, records.length]),
+        ...records.map(encodeCodec8Record),
+        Buffer.from([records.length])
+    ]);
+
+    const packet = Buffer.alloc(8 + data.length + 4);
+    packet.writeUInt32BE(data.length, 4);
+    data.copy(packet, 8);
+    packet.writeUInt32BE(crc16Ibm(data), 8 + data.length);
+    return packet;
+}
+
+/**
+ * Decode an AVL data array (codec ID through number of data 2) using the
+ * decoder for its codec ID. Shared by the TCP and UDP framings.
+ * @param {Buffer} buffer - Buffer containing the AVL data array
+ * @param {number} start - Offset of the codec ID
+ * @returns {Array<Object>} Decoded records
+ */
+function decodeAvlData(buffer, start) {
+    if (buffer.length <= start) {
+        throw new Error(`AVL packet too short: ${buffer.length} bytes`);
+    }
+
+    const codecId = buffer.readUInt8(start);
+    if (codecId === CODEC_8) return decodeRecords(buffer, start, CODEC_8, parseCodec8Record);
+    if (codecId === CODEC_8_EXTENDED) return decodeRecords(buffer, start, CODEC_8_EXTENDED, parseCodec8ExtendedRecord);
+
+    throw new Error(`Unsupported codec: ${codecId}`);
+}
+
+/**
+ * Decode an AVL packet using the decoder for its codec ID
+ * @param {Buffer} buffer - Full AVL packet (preamble through CRC)
+ * @returns {Array<Object>} Decoded records
+ */
+function decodeAvlPacket(buffer) {
+    if (buffer.length < AVL_HEADER_LENGTH) {
+        throw new Error(`AVL packet too short: ${buffer.length} bytes`);
+    }
+
+    return decodeAvlData(buffer, TCP_AVL_DATA_OFFSET);
+}
+
+module.exports = {
+    CODEC_8,
+    CODEC_8_EXTENDED,
+    decodeAvlData,
+    decodeAvlPacket,
+    decodeCodec8,
+    decodeCodec8Extended,
+    encodeCodec8Packet,
+    encodeRecordCountAck,
+    parseCodec8Record,
+    parseCodec8ExtendedRecord,
+    verifyAvlPacketCrc
+};
@@ -0,0 +1,26 @@
+/**
+ * CRC-16/IBM (a.k.a. CRC-16/ARC)
+ * Checksum used by Teltonika to protect AVL data and GPRS command packets
+ */
+
+/**
+ * Calculate CRC-16/IBM over a buffer (polynomial 0xA001 reflected, initial value 0)
+ * @param {Buffer} buffer - Data to checksum
+ * @param {number} start - Start offset (inclusive, default 0)
+ * @param {number} end - End offset (exclusive, default buffer.length)
+ * @returns {number} 16-bit CRC
+ */
+function crc16Ibm(buffer, start = 0, end = buffer.length) {
+    let crc = 0x0000;
+
+    for (let i = start; i < end; i++) {
+        crc ^= buffer[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+        }
+    }
+
+    return crc;
+}
+
+module.exports = { crc16Ibm };
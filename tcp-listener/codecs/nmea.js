@@ -0,0 +1,204 @@
+/**
+ * NMEA 0183 Parser
+ * Validates and parses $--RMC / $--GGA sentences and assembles them into fixes
+ * with the same record shape as the Teltonika decoders
+ */
+
+const KNOTS_TO_KMH = 1.852;
+
+/**
+ * Verify the *HH checksum (XOR of every character between $ and *)
+ * @param {string} sentence - Sentence starting with $
+ * @returns {boolean} True if a checksum is present and matches
+ */
+function verifyNmeaChecksum(sentence) {
+    const star = sentence.lastIndexOf('*');
+    if (!sentence.startsWith('$') || star === -1 || star + 3 > sentence.length) {
+        return false;
+    }
+
+    let checksum = 0;
+    for (let i = 1; i < star; i++) {
+        checksum ^= sentence.charCodeAt(i);
+    }
+
+    return checksum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+/**
+ * Convert ddmm.mmmm / dddmm.mmmm plus hemisphere to decimal degrees
+ */
+function parseCoordinate(value, hemisphere) {
+    if (!value) return null;
+
+    const dot = value.indexOf('.');
+    const degreeDigits = (dot === -1 ? value.length : dot) - 2;
+    const degrees = Number(value.slice(0, degreeDigits));
+    const minutes = Number(value.slice(degreeDigits));
+    if (Number.isNaN(degrees) || Number.isNaN(minutes)) return null;
+
+    const decimal = degrees + minutes / 60;
+    return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+}
+
+function parseOptionalNumber(value) {
+    if (value === undefined || value === '') return null;
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : null;
+}
+
+/**
+ * Parse hhmmss(.sss) into milliseconds since midnight UTC
+ */
+function parseTimeOfDay(value) {
+    if (!value || value.length < 6) return null;
+
+    const hours = Number(value.slice(0, 2));
+    const minutes = Number(value.slice(2, 4));
+    const seconds = Number(value.slice(4));
+    if ([hours, minutes, seconds].some(Number.isNaN)) return null;
+
+    return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000);
+}
+
+/**
+ * Parse ddmmyy into a UTC midnight timestamp (two-digit years pivot at 1980)
+ */
+function parseDate(value) {
+    if (!value || value.length !== 6) return null;
+
+    const year = Number(value.slice(4, 6));
+    const date = Date.UTC(year >= 80 ? 1900 + year : 2000 + year, Number(value.slice(2, 4)) - 1, Number(value.slice(0, 2)));
+    return Number.isNaN(date) ? null : date;
+}
+
+/**
+ * Parse a single NMEA sentence
+ * @param {string} sentence - Sentence including $ and checksum
+ * @returns {Object|null} Parsed RMC/GGA fields, or null for other sentence types
+ * @throws {Error} If the checksum is missing or wrong
+ */
+function parseNmeaSentence(sentence) {
+    if (!verifyNmeaChecksum(sentence)) {
+        throw new Error(`Bad NMEA checksum: ${sentence}`);
+    }
+
+    const fields = sentence.slice(1, sentence.lastIndexOf('*')).split(',');
+    const type = fields[0].slice(-3); // Ignore the talker ID (GP, GN, GL, ...)
+
+    if (type === 'RMC') {
+        // $GPRMC,time,status,lat,N/S,lon,E/W,speed(kn),course,ddmmyy,...
+        const date = fields[9];
+        const speedKnots = parseOptionalNumber(fields[7]);
+        return {
+            type,
+            timeOfDay: parseTimeOfDay(fields[1]),
+            valid: fields[2] === 'A',
+            lat: parseCoordinate(fields[3], fields[4]),
+            lon: parseCoordinate(fields[5], fields[6]),
+            speed: speedKnots === null ? null : speedKnots * KNOTS_TO_KMH,
+            angle: parseOptionalNumber(fields[8]),
+            date: parseDate(date)
+        };
+    }
+
+    if (type === 'GGA') {
+        // $GPGGA,time,lat,N/S,lon,E/W,quality,satellites,hdop,altitude,M,...
+        return {
+            type,
+            timeOfDay: parseTimeOfDay(fields[1]),
+            valid: Number(fields[6]) > 0,
+            lat: parseCoordinate(fields[2], fields[3]),
+            lon: parseCoordinate(fields[4], fields[5]),
+            satellites: parseOptionalNumber(fields[7]),
+            altitude: parseOptionalNumber(fields[9])
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Assembles RMC and GGA sentences that share a UTC time into one fix.
+ * RMC carries the date, speed and course; GGA adds satellites and altitude.
+ * A fix is emitted once both have arrived, or when a sentence for a newer
+ * time supersedes it (units that only send one of the two).
+ */
+class NmeaFixAssembler {
+    constructor() {
+        this.pending = null;
+    }
+
+    /**
+     * Add a parsed sentence
+     * @param {Object} sentence - Result of parseNmeaSentence
+     * @returns {Array<Object>} Records completed by this sentence (usually zero or one)
+     */
+    push(sentence) {
+        const completed = [];
+        if (!sentence || sentence.timeOfDay === null) return completed;
+
+        if (this.pending && this.pending.timeOfDay !== sentence.timeOfDay) {
+            completed.push(this.flush());
+        }
+
+        if (!this.pending) {
+            this.pending = { timeOfDay: sentence.timeOfDay };
+        }
+        this.pending[sentence.type] = sentence;
+
+        if (this.pending.RMC && this.pending.GGA) {
+            completed.push(this.flush());
+        }
+        return completed.filter(Boolean);
+    }
+
+    /**
+     * Emit whatever is pending
+     * @returns {Object|null} Record, or null if nothing pending or no valid fix
+     */
+    flush() {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return null;
+
+        const rmc = pending.RMC;
+        const gga = pending.GGA;
+        const position = rmc && rmc.valid ? rmc : (gga && gga.valid ? gga : null);
+        if (!position || position.lat === null || position.lon === null) return null;
+
+        return {
+            timestamp: resolveTimestamp(rmc ? rmc.date : null, pending.timeOfDay),
+            priority: null,
+            lat: position.lat,
+            lon: position.lon,
+            altitude: gga ? gga.altitude : null,
+            angle: rmc ? rmc.angle : null,
+            satellites: gga ? gga.satellites : null,
+            speed: rmc ? rmc.speed : null,
+            eventIOId: null,
+            io: null
+        };
+    }
+}
+
+/**
+ * Combine an RMC date with a time of day. GGA-only fixes have no date, so
+ * today's UTC date is used (yesterday's if that would put the fix in the future).
+ */
+function resolveTimestamp(date, timeOfDay) {
+    if (date !== null) {
+        return new Date(date + timeOfDay);
+    }
+
+    const now = Date.now();
+    const today = now - (now % 86400000);
+    const timestamp = today + timeOfDay;
+    return new Date(timestamp > now + 3600000 ? timestamp - 86400000 : timestamp);
+}
+
+module.exports = {
+    verifyNmeaChecksum,
+    parseNmeaSentence,
+    NmeaFixAssembler
+};
@@ -0,0 +1,58 @@
+/**
+ * Teltonika UDP framing
+ * Every datagram carries its own header and IMEI instead of a TCP handshake:
+ *   length (2) | packet ID (2) | not usable byte (1) | AVL packet ID (1) |
+ *   IMEI length (2) | IMEI | AVL data array (codec ID .. number of data 2)
+ * There is no CRC; the server replies with a 7-byte ACK echoing the IDs.
+ */
+
+const { decodeAvlData } = require('./codec8');
+
+// Length (2) + packet ID (2) + not usable byte (1) + AVL packet ID (1) + IMEI length (2)
+const UDP_HEADER_LENGTH = 8;
+
+/**
+ * Decode a Teltonika UDP datagram
+ * @param {Buffer} buffer - Datagram
+ * @returns {{packetId: number, avlPacketId: number, imei: string, records: Array<Object>}} Decoded datagram
+ */
+function decodeUdpDatagram(buffer) {
+    if (buffer.length < UDP_HEADER_LENGTH) {
+        throw new Error(`UDP datagram too short: ${buffer.length} bytes`);
+    }
+
+    const length = buffer.readUInt16BE(0);
+    if (length + 2 !== buffer.length) {
+        throw new Error(`UDP length mismatch: header ${length + 2}, datagram ${buffer.length}`);
+    }
+
+    const packetId = buffer.readUInt16BE(2);
+    const avlPacketId = buffer.readUInt8(5);
+    const imeiLength = buffer.readUInt16BE(6);
+    const imei = buffer.toString('ascii', UDP_HEADER_LENGTH, UDP_HEADER_LENGTH + imeiLength);
+    const records = decodeAvlData(buffer, UDP_HEADER_LENGTH + imeiLength);
+
+    return { packetId, avlPacketId, imei, records };
+}
+
+/**
+ * Build the UDP acknowledgement for a datagram
+ * @param {number} packetId - Packet ID from the datagram
+ * @param {number} avlPacketId - AVL packet ID from the datagram
+ * @param {number} acceptedCount - Number of records stored
+ * @returns {Buffer} ACK datagram
+ */
+function encodeUdpAck(packetId, avlPacketId, acceptedCount) {
+    const ack = Buffer.alloc(7);
+    ack.writeUInt16BE(5, 0);
+    ack.writeUInt16BE(packetId, 2);
+    ack.writeUInt8(0x01, 4);
+    ack.writeUInt8(avlPacketId, 5);
+    ack.writeUInt8(acceptedCount, 6);
+    return ack;
+}
+
+module.exports = {
+    decodeUdpDatagram,
+    encodeUdpAck
+};
@@ -0,0 +1,30 @@
+/**
+ * AVL Dead Letters
+ * A frame whose CRC is valid but which fails to decode can't be fixed by
+ * resending it. It is stored in avl_dead_letters before the device gets an
+ * ACK, so acknowledging it never drops records we don't have.
+ */
+
+/**
+ * Store an undecodable AVL frame
+ * @param {Object} pool - pg Pool (or client)
+ * @param {string} deviceId - Device IMEI
+ * @param {Buffer} frame - Complete frame (preamble to CRC)
+ * @param {Error} error - Decode error
+ * @returns {Promise<number>} Declared record count to acknowledge
+ * @throws {Error} If the frame could not be stored; the frame must not be acknowledged then
+ */
+async function storeDeadLetter(pool, deviceId, frame, error) {
+    // Number of Data 1 follows the preamble, data field length and codec ID
+    const declared = frame.readUInt8(9);
+
+    await pool.query(
+        `INSERT INTO avl_dead_letters (device_id, raw_frame, declared_records, error_message)
+         VALUES ($1, $2, $3, $4)`,
+        [deviceId, frame, declared, error.message]
+    );
+
+    return declared;
+}
+
+module.exports = { storeDeadLetter };
@@ -0,0 +1,146 @@
+/**
+ * Listener Internal API
+ * Small HTTP server used by the backend to reach connected trackers.
+ * Not exposed outside the docker network, and every request must carry the
+ * shared LISTENER_API_TOKEN as "Authorization: Bearer <token>".
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * Check the request's bearer token against the shared secret
+ * @param {http.IncomingMessage} req - Request
+ * @param {Buffer} expected - SHA-256 of the shared secret
+ * @returns {boolean} True if the token matches
+ */
+function hasValidToken(req, expected) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+
+    // Hash both sides so the comparison is constant-time regardless of length
+    const provided = crypto.createHash('sha256').update(match[1].trim()).digest();
+    return crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra response headers
+ */
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        let tooLarge = false;
+        req.on('data', (chunk) => {
+            if (tooLarge) return;
+            raw += chunk;
+            if (raw.length > 64 * 1024) {
+                // Stop buffering but keep the socket open so the 413 can be sent;
+                // the caller closes the connection once the response is written
+                tooLarge = true;
+                raw = '';
+                reject(Object.assign(new Error('Request body too large'), { status: 413, code: 'body_too_large', closeConnection: true }));
+            }
+        });
+        req.on('end', () => {
+            if (tooLarge) return;
+            if (!raw) return resolve({});
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create the internal API server
+ * @param {Object} handlers - Listener callbacks
+ * @param {Function} handlers.listDevices - () => Array of connected device summaries
+ * @param {Function} handlers.getStatus - () => Listener status (uptime, sockets, devices)
+ * @param {Function} handlers.sendCommand - (imei, command) => Promise<string> device response
+ * @param {Object} logger - Winston logger
+ * @param {string|null} apiToken - Shared secret (null rejects every request)
+ * @returns {http.Server} HTTP server (not yet listening)
+ */
+function createInternalApi(handlers, logger, apiToken) {
+    const expected = apiToken ? crypto.createHash('sha256').update(apiToken).digest() : null;
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (!expected) {
+            return sendJSON(res, 503, {
+                error: 'internal_api_auth_not_configured',
+                message: 'Set LISTENER_API_TOKEN on the listener and backend to enable the internal API'
+            });
+        }
+        if (!hasValidToken(req, expected)) {
+            return sendJSON(res, 401, { error: 'unauthorized', message: 'A valid listener API token is required' });
+        }
+
+        try {
+            // GET /status - listener uptime, open sockets and per-device activity
+            if (req.method === 'GET' && url.pathname === '/status') {
+                return sendJSON(res, 200, handlers.getStatus());
+            }
+
+            // GET /devices - trackers currently connected
+            if (req.method === 'GET' && url.pathname === '/devices') {
+                return sendJSON(res, 200, { devices: handlers.listDevices() });
+            }
+
+            // POST /devices/:imei/commands - send a Codec 12 command and wait for the reply
+            const commandMatch = url.pathname.match(/^\/devices\/([^/]+)\/commands$/);
+            if (req.method === 'POST' && commandMatch) {
+                const imei = decodeURIComponent(commandMatch[1]);
+                const { command } = await readJSONBody(req);
+
+                if (typeof command !== 'string' || command.trim() === '') {
+                    return sendJSON(res, 400, { error: 'invalid_command', message: 'command must be a non-empty string' });
+                }
+
+                const sentAt = new Date();
+                const response = await handlers.sendCommand(imei, command.trim());
+
+                return sendJSON(res, 200, {
+                    imei,
+                    command: command.trim(),
+                    response,
+                    sentAt: sentAt.toISOString(),
+                    respondedAt: new Date().toISOString()
+                });
+            }
+
+            sendJSON(res, 404, { error: 'not_found', message: `No route for ${req.method} ${url.pathname}` });
+        } catch (error) {
+            if (!error.status || error.status >= 500) {
+                logger.error('Internal API error', { error: error.message, path: url.pathname });
+            }
+            if (error.closeConnection) {
+                res.on('finish', () => req.destroy());
+            }
+            sendJSON(res, error.status || 500, {
+                error: error.code || 'internal_error',
+                message: error.message
+            }, error.closeConnection ? { Connection: 'close' } : {});
+        }
+    });
+}
+
+module.exports = createInternalApi;
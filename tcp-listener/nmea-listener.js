@@ -0,0 +1,197 @@
+/**
+ * NMEA 0183 Listener
+ * Receives raw $--RMC / $--GGA sentences from legacy AVL units over TCP and
+ * UDP on the same port, assembles fixes and stores them like Codec 8 records.
+ *
+ * Device ID sources:
+ *   prefix  - each line starts with the unit ID, e.g. "UNIT42,$GPRMC,..."
+ *   address - ID is derived from the sender IP, e.g. "nmea-10.0.0.7"
+ */
+
+const net = require('net');
+const dgram = require('dgram');
+const { parseNmeaSentence, NmeaFixAssembler } = require('./codecs/nmea');
+
+const MAX_LINE_LENGTH = 1024;
+const DEVICE_CHECK_TTL_MS = 60000;
+
+/**
+ * Create the NMEA listener
+ * @param {Object} handlers - Listener callbacks
+ * @param {Function} handlers.checkDevice - (imei) => Promise<'allowed'|'inactive'|'unknown'>
+ * @param {Function} handlers.quarantineDevice - (imei, remoteAddress) => Promise
+ * @param {Function} handlers.storeRecords - (imei, records) => Promise<number> stored count
+ * @param {Object} logger - Winston logger
+ * @param {Object} options - Listener options
+ * @param {string} options.deviceIdSource - 'prefix' or 'address'
+ * @param {string} options.addressIdPrefix - Prefix for address-derived device IDs
+ * @param {number} options.fixTimeoutMs - Emit an incomplete fix after this long
+ * @returns {{listen: Function, close: Function}} Listener controls
+ */
+function createNmeaListener(handlers, logger, options = {}) {
+    const deviceIdSource = options.deviceIdSource || 'prefix';
+    const addressIdPrefix = options.addressIdPrefix ?? 'nmea-';
+    const fixTimeoutMs = options.fixTimeoutMs || 2000;
+
+    // Per-device fix assembly, shared by TCP and UDP
+    const assemblers = new Map();
+    // Registry lookups, cached so every sentence doesn't hit the database
+    const deviceChecks = new Map();
+
+    async function isAllowed(deviceId, remoteAddress) {
+        const cached = deviceChecks.get(deviceId);
+        if (cached && Date.now() - cached.checkedAt < DEVICE_CHECK_TTL_MS) {
+            return cached.status === 'allowed';
+        }
+
+        const status = await handlers.checkDevice(deviceId);
+        deviceChecks.set(deviceId, { status, checkedAt: Date.now() });
+
+        if (status !== 'allowed') {
+            logger.warn('Refused NMEA device', { deviceId, status, remoteAddress });
+            if (status === 'unknown') {
+                await handlers.quarantineDevice(deviceId, remoteAddress);
+            }
+        }
+        return status === 'allowed';
+    }
+
+    async function store(deviceId, records) {
+        if (records.length === 0) return;
+        await handlers.storeRecords(deviceId, records);
+    }
+
+    function getAssembler(deviceId) {
+        let entry = assemblers.get(deviceId);
+        if (!entry) {
+            entry = { assembler: new NmeaFixAssembler(), timer: null };
+            assemblers.set(deviceId, entry);
+        }
+        return entry;
+    }
+
+    function resolveDeviceId(line, remoteIp) {
+        const start = line.indexOf('$');
+        if (start === -1) return { deviceId: null, sentence: null };
+
+        const sentence = line.slice(start).trim();
+        if (deviceIdSource === 'address') {
+            return { deviceId: `${addressIdPrefix}${remoteIp.replace(/^::ffff:/, '')}`, sentence };
+        }
+
+        // Strip the separator between the unit ID and the sentence
+        const deviceId = line.slice(0, start).replace(/[\s,;:#|]+$/, '').trim();
+        return { deviceId: deviceId || null, sentence };
+    }
+
+    /**
+     * Handle one line of input
+     * @param {string} line - Raw line (may carry a device ID prefix)
+     * @param {string} remoteIp - Sender IP
+     * @param {string} remoteAddress - Sender address for logging
+     */
+    async function handleLine(line, remoteIp, remoteAddress) {
+        const { deviceId, sentence } = resolveDeviceId(line, remoteIp);
+        if (!sentence) return;
+        if (!deviceId) {
+            logger.warn('NMEA sentence without device ID prefix', { remoteAddress, line });
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = parseNmeaSentence(sentence);
+        } catch (err) {
+            logger.warn('Invalid NMEA sentence', { deviceId, error: err.message });
+            return;
+        }
+        if (!parsed) return; // Sentence types we don't use (GSA, GSV, VTG, ...)
+
+        if (!(await isAllowed(deviceId, remoteAddress))) return;
+
+        const entry = getAssembler(deviceId);
+        clearTimeout(entry.timer);
+        await store(deviceId, entry.assembler.push(parsed));
+
+        // Units that only send RMC or GGA never complete a fix; emit it after a pause
+        if (entry.assembler.pending) {
+            entry.timer = setTimeout(() => {
+                store(deviceId, [entry.assembler.flush()].filter(Boolean)).catch((err) => {
+                    logger.error('NMEA store error', { deviceId, error: err.message });
+                });
+            }, fixTimeoutMs);
+        }
+    }
+
+    // TCP: newline-delimited stream, lines handled in order
+    const tcpServer = net.createServer((socket) => {
+        const remoteAddress = `${socket.remoteAddress}:${socket.remotePort}`;
+        let pendingText = '';
+        let processing = Promise.resolve();
+
+        logger.info('NMEA TCP connection', { remoteAddress });
+
+        socket.setEncoding('ascii');
+        socket.on('data', (chunk) => {
+            pendingText += chunk;
+            const lines = pendingText.split(/\r?\n/);
+            pendingText = lines.pop();
+
+            if (pendingText.length > MAX_LINE_LENGTH) {
+                logger.warn('Dropping oversized NMEA line', { remoteAddress, length: pendingText.length });
+                pendingText = '';
+            }
+
+            for (const line of lines) {
+                processing = processing.then(() => handleLine(line, socket.remoteAddress, remoteAddress)).catch((err) => {
+                    logger.error('NMEA line error', { remoteAddress, error: err.message });
+                });
+            }
+        });
+
+        socket.on('error', (err) => {
+            logger.warn('NMEA TCP socket error', { remoteAddress, error: err.message });
+        });
+    });
+
+    // UDP: one or more lines per datagram
+    const udpSocket = dgram.createSocket('udp4');
+    let udpBound = false;
+    udpSocket.on('message', (message, rinfo) => {
+        const remoteAddress = `${rinfo.address}:${rinfo.port}`;
+        const lines = message.toString('ascii').split(/\r?\n/);
+
+        lines.reduce(
+            (chain, line) => chain.then(() => handleLine(line, rinfo.address, remoteAddress)),
+            Promise.resolve()
+        ).catch((err) => {
+            logger.error('NMEA datagram error', { remoteAddress, error: err.message });
+        });
+    });
+    udpSocket.on('error', (err) => {
+        logger.error('NMEA UDP socket error', { error: err.message });
+    });
+
+    return {
+        listen(port, host, callback) {
+            tcpServer.listen(port, host, () => {
+                udpSocket.bind(port, host, () => {
+                    udpBound = true;
+                    if (callback) callback();
+                });
+            });
+        },
+
+        close() {
+            for (const entry of assemblers.values()) {
+                clearTimeout(entry.timer);
+            }
+            tcpServer.close();
+            if (udpBound) {
+                udpSocket.close();
+            }
+        }
+    };
+}
+
+module.exports = createNmeaListener;
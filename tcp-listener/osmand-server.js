@@ -0,0 +1,153 @@
+/**
+ * OsmAnd HTTP Ingestion
+ * Accepts positions from phone-based trackers (OsmAnd, Traccar Client) that
+ * report over HTTP using the OsmAnd query-string protocol:
+ *   GET/POST /?id=<device>&lat=<deg>&lon=<deg>&timestamp=<unix|ISO>&speed=<knots>&bearing=<deg>
+ */
+
+const http = require('http');
+
+const KNOTS_TO_KMH = 1.852;
+
+/**
+ * Read a urlencoded request body (POST variant of the protocol)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<URLSearchParams>} Parsed body parameters
+ */
+function readFormBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', (chunk) => {
+            raw += chunk;
+            if (raw.length > 16 * 1024) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(new URLSearchParams(raw)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse an OsmAnd timestamp: unix seconds, unix milliseconds or a date string
+ * @param {string|null} value - Raw timestamp parameter
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+function parseTimestamp(value) {
+    if (!value) return new Date();
+
+    if (/^\d+$/.test(value)) {
+        const numeric = Number(value);
+        // Values that fit in 32 bits are seconds, larger ones milliseconds
+        return new Date(numeric < 2 ** 31 ? numeric * 1000 : numeric);
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function parseOptionalNumber(value) {
+    if (value === null || value === '') return null;
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : null;
+}
+
+/**
+ * Convert OsmAnd parameters to the record shape used by the Teltonika decoders
+ * @param {URLSearchParams} params - Merged query and body parameters
+ * @returns {{imei: string, record: Object}} Device ID and record
+ */
+function parsePosition(params) {
+    const imei = params.get('id') || params.get('deviceid');
+    if (!imei) {
+        throw Object.assign(new Error('Missing device id'), { status: 400 });
+    }
+
+    const lat = Number(params.get('lat'));
+    const lon = Number(params.get('lon'));
+    if (!params.get('lat') || !params.get('lon') ||
+        !(lat >= -90 && lat <= 90) || !(lon >= -180 && lon <= 180)) {
+        throw Object.assign(new Error('Missing or invalid lat/lon'), { status: 400 });
+    }
+
+    const timestamp = parseTimestamp(params.get('timestamp'));
+    if (!timestamp) {
+        throw Object.assign(new Error('Invalid timestamp'), { status: 400 });
+    }
+
+    const speedKnots = parseOptionalNumber(params.get('speed'));
+
+    return {
+        imei,
+        record: {
+            timestamp,
+            priority: null,
+            lat,
+            lon,
+            altitude: parseOptionalNumber(params.get('altitude')),
+            angle: parseOptionalNumber(params.get('bearing')),
+            satellites: null,
+            speed: speedKnots === null ? null : speedKnots * KNOTS_TO_KMH,
+            accuracy: parseOptionalNumber(params.get('accuracy')),
+            eventIOId: null,
+            io: null
+        }
+    };
+}
+
+/**
+ * Create the OsmAnd ingestion server
+ * @param {Object} handlers - Listener callbacks
+ * @param {Function} handlers.checkDevice - (imei) => Promise<'allowed'|'inactive'|'unknown'>
+ * @param {Function} handlers.quarantineDevice - (imei, remoteAddress) => Promise
+ * @param {Function} handlers.storeRecords - (imei, records) => Promise<number> stored count
+ * @param {Object} logger - Winston logger
+ * @returns {http.Server} HTTP server (not yet listening)
+ */
+function createOsmAndServer(handlers, logger) {
+    return http.createServer(async (req, res) => {
+        const remoteAddress = `${req.socket.remoteAddress}:${req.socket.remotePort}`;
+
+        try {
+            if (req.method !== 'GET' && req.method !== 'POST') {
+                throw Object.assign(new Error('Method not allowed'), { status: 405 });
+            }
+
+            const params = new URL(req.url, 'http://localhost').searchParams;
+            if (req.method === 'POST') {
+                for (const [key, value] of await readFormBody(req)) {
+                    params.set(key, value);
+                }
+            }
+
+            const { imei, record } = parsePosition(params);
+
+            const status = await handlers.checkDevice(imei);
+            if (status !== 'allowed') {
+                logger.warn('Refused OsmAnd position', { imei, status, remoteAddress });
+                if (status === 'unknown') {
+                    await handlers.quarantineDevice(imei, remoteAddress);
+                }
+                throw Object.assign(new Error(`Device ${imei} is not allowed`), { status: 403 });
+            }
+
+            // A failed insert returns 503 so the app keeps the position and retries
+            const stored = await handlers.storeRecords(imei, [record]);
+            if (stored === 0) {
+                throw Object.assign(new Error('Failed to store position'), { status: 503 });
+            }
+
+            res.writeHead(200);
+            res.end();
+        } catch (error) {
+            if (!error.status || error.status >= 500) {
+                logger.error('OsmAnd ingestion error', { error: error.message, remoteAddress });
+            }
+            res.writeHead(error.status || 500, { 'Content-Type': 'text/plain' });
+            res.end(error.status ? error.message : 'Internal error');
+        }
+    });
+}
+
+module.exports = createOsmAndServer;
@@ -1,12 +1,30 @@
 const net = require('net');
+const dgram = require('dgram');
 const fs = require('fs');
 const { Pool } = require('pg');
 const { createClient } = require('redis');
 const createLogger = require('./shared/logger');
+const { decodeAvlPacket, encodeRecordCountAck, verifyAvlPacketCrc } = require('./codecs/codec8');
+const { CODEC_12, encodeCodec12Command, decodeCodec12Response } = require('./codecs/codec12');
+const { decodeUdpDatagram, encodeUdpAck } = require('./codecs/udp');
+const { storeDeadLetter } = require('./dead-letters');
+const createInternalApi = require('./internal-api');
+const createOsmAndServer = require('./osmand-server');
+const createNmeaListener = require('./nmea-listener');
 require('dotenv').config();
 
 // Config
 const PORT = process.env.LISTENER_PORT || 5500;
+const UDP_PORT = process.env.LISTENER_UDP_PORT || PORT;
+const API_PORT = process.env.LISTENER_API_PORT || 5501;
+const API_TOKEN = process.env.LISTENER_API_TOKEN || null; // Shared with the backend; unset disables the internal API
+const OSMAND_PORT = process.env.OSMAND_PORT || 5055;
+const NMEA_PORT = process.env.NMEA_PORT; // NMEA ingestion is off unless a port is set
+const NMEA_DEVICE_ID_SOURCE = process.env.NMEA_DEVICE_ID_SOURCE || 'prefix'; // 'prefix' or 'address'
+const NMEA_ADDRESS_ID_PREFIX = process.env.NMEA_ADDRESS_ID_PREFIX ?? 'nmea-';
+const COMMAND_TIMEOUT_MS = Number(process.env.COMMAND_TIMEOUT_MS) || 30000;
+const SOCKET_IDLE_TIMEOUT_MS = Number(process.env.SOCKET_IDLE_TIMEOUT_MS) || 300000; // Devices report every 30s
+const MAX_BUFFER_BYTES = Number(process.env.MAX_BUFFER_BYTES) || 131072; // Far above any real AVL packet
 const REDIS_URL = process.env.REDIS_URL || 'redis://redis:6379';
 const BACKEND_URL = process.env.BACKEND_URL || 'http://backend:3000/api';
 const logDecoded = (msg) => fs.appendFileSync('decoded_records.log', msg + '\n');
@@ -49,147 +67,434 @@ redis.connect().then(() => {
     logger.error('Failed to connect to Redis', { error: err.message });
 });
 
-// Codec 8 decoder
-function decodeCodec8(buffer) {
-    let offset = 0;
-    offset += 4; // Preamble
+// JSON.stringify can't serialize the BigInt values of 8-byte IO elements (logs and io_elements JSONB)
+function jsonReplacer(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
 
-    const dataLength = buffer.readUInt32BE(offset);
-    offset += 4;
+// Columns written per record by storeRecords (order matches recordValues)
+const INSERT_COLUMNS = [
+    'device_id', 'longitude', 'latitude', 'recorded_at',
+    'altitude', 'speed', 'bearing', 'accuracy', 'satellites', 'priority', 'event_io_id', 'io_elements'
+];
+
+function recordValues(imei, record) {
+    return [
+        imei, record.lon, record.lat, record.timestamp,
+        record.altitude, record.speed, record.angle, record.accuracy ?? null, record.satellites,
+        record.priority, record.eventIOId, record.io ? JSON.stringify(record.io, jsonReplacer) : null
+    ];
+}
 
-    const codecId = buffer.readUInt8(offset);
-    offset += 1;
+/**
+ * Queue a device for processing once it has accumulated enough unprocessed points
+ * @param {string} imei - Device IMEI
+ */
+async function queueDeviceIfReady(imei) {
+    const countResult = await pool.query(
+        'SELECT COUNT(*) as count FROM gps_raw_data WHERE device_id = $1 AND processed = FALSE',
+        [imei]
+    );
+
+    const unprocessedCount = parseInt(countResult.rows[0].count);
+
+    // Only queue if we have 4+ unprocessed points AND device isn't already queued
+    if (unprocessedCount >= 4) {
+        try {
+            // Use Redis SET to prevent duplicate queueing; workers consume the stream as a group.
+            // No MAXLEN trim: it could drop pending jobs (workers delete jobs once acked)
+            const added = await redis.sAdd('gps:devices_queued', imei);
+            if (added) {
+                await redis.xAdd('gps:jobs', '*', { deviceId: imei });
+                log(`📤 Queued ${imei} for processing (${unprocessedCount} points)`);
+            } else {
+                log(`⏭️  ${imei} already queued (${unprocessedCount} points)`);
+            }
+        } catch (redisErr) {
+            logError(`Redis publish error for ${imei}: ${redisErr.message}`);
+        }
+    }
+}
 
-    const recordCount = buffer.readUInt8(offset);
-    offset += 1;
+/**
+ * Insert the records of one AVL packet in a single transaction and queue the device
+ * @param {string} imei - Device IMEI
+ * @param {Array<Object>} records - Decoded AVL records
+ * @returns {Promise<number>} Number of records durably stored (all or nothing)
+ */
+async function storeRecords(imei, records) {
+    if (records.length === 0) return 0;
+
+    for (const record of records) {
+        const line = JSON.stringify({ imei, ...record }, jsonReplacer);
+        log(`✅ Decoded Record: ${line}`);
+        logDecoded(line);
+    }
+
+    // One multi-row INSERT: ($1, ..., $12, NOW(), FALSE), ($13, ..., $24, NOW(), FALSE), ...
+    const params = [];
+    const rows = records.map((record) => {
+        const placeholders = recordValues(imei, record).map((value) => {
+            params.push(value);
+            return `$${params.length}`;
+        });
+        return `(${placeholders.join(', ')}, NOW(), FALSE)`;
+    });
+
+    let client;
+    let inserted;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        // Re-sent records (same device and timestamp) are skipped, not duplicated
+        const result = await client.query(
+            `INSERT INTO gps_raw_data (${INSERT_COLUMNS.join(', ')}, received_at, processed)
+             VALUES ${rows.join(', ')}
+             ON CONFLICT (device_id, recorded_at) DO NOTHING`,
+            params
+        );
+        await client.query('COMMIT');
+        inserted = result.rowCount;
+    } catch (dbErr) {
+        if (client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        logError(`DB insert error for ${imei} (${records.length} records): ${dbErr.message}`);
+        return 0;
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
 
-    if (codecId !== 0x08) {
-        throw new Error(`Unsupported codec: ${codecId}`);
+    if (inserted < records.length) {
+        log(`♻️  Skipped ${records.length - inserted} duplicate records for ${imei}`);
     }
 
-    const records = [];
-
-    for (let i = 0; i < recordCount; i++) {
-        const timestamp = buffer.readBigUInt64BE(offset); offset += 8;
-        const priority = buffer.readUInt8(offset); offset += 1;
-        const lon = buffer.readInt32BE(offset) / 1e7; offset += 4;
-        const lat = buffer.readInt32BE(offset) / 1e7; offset += 4;
-        const altitude = buffer.readUInt16BE(offset); offset += 2;
-        const angle = buffer.readUInt16BE(offset); offset += 2;
-        const satellites = buffer.readUInt8(offset); offset += 1;
-        const speed = buffer.readUInt16BE(offset); offset += 2;
-        const eventIOId = buffer.readUInt8(offset); offset += 1;
-        const totalIO = buffer.readUInt8(offset); offset += 1;
-
-        const io = {};
-        for (let size of [1, 2, 4, 8]) {
-            const count = buffer.readUInt8(offset); offset += 1;
-            for (let j = 0; j < count; j++) {
-                const id = buffer.readUInt8(offset); offset += 1;
-                let value;
-                if (size === 1) value = buffer.readUInt8(offset);
-                else if (size === 2) value = buffer.readUInt16BE(offset);
-                else if (size === 4) value = buffer.readUInt32BE(offset);
-                else if (size === 8) value = buffer.readBigUInt64BE(offset);
-                offset += size;
-                io[id] = value;
-            }
+    // Check the queue threshold once per packet rather than once per record
+    if (inserted > 0) {
+        try {
+            await queueDeviceIfReady(imei);
+        } catch (dbErr) {
+            logError(`Queue check error for ${imei}: ${dbErr.message}`);
         }
+    }
 
-        records.push({
-            timestamp: new Date(Number(timestamp)),
-            priority, lat, lon, altitude, angle, satellites, speed, eventIOId, io
-        });
+    // Duplicates are already stored, so they count as accepted
+    return records.length;
+}
+
+/**
+ * Look up a device in the registry
+ * @param {string} imei - Device IMEI
+ * @returns {Promise<string>} 'allowed', 'inactive' or 'unknown'
+ */
+async function checkDevice(imei) {
+    const result = await pool.query('SELECT active FROM devices WHERE imei = $1', [imei]);
+
+    if (result.rows.length === 0) return 'unknown';
+    return result.rows[0].active ? 'allowed' : 'inactive';
+}
+
+/**
+ * Record a connection attempt from an unregistered IMEI
+ * @param {string} imei - Device IMEI
+ * @param {string} remoteAddress - Peer address
+ */
+async function quarantineDevice(imei, remoteAddress) {
+    try {
+        await pool.query(
+            `INSERT INTO quarantined_devices (imei, last_remote_address)
+             VALUES ($1, $2)
+             ON CONFLICT (imei) DO UPDATE SET
+                last_seen_at = NOW(),
+                last_remote_address = EXCLUDED.last_remote_address,
+                connection_attempts = quarantined_devices.connection_attempts + 1`,
+            [imei, remoteAddress]
+        );
+    } catch (dbErr) {
+        logError(`Quarantine insert error for ${imei}: ${dbErr.message}`);
     }
+}
+
+// Live device connections by IMEI (used to send Codec 12 commands and for status)
+const connections = new Map();
+// Every open TCP socket, including ones that haven't completed the handshake
+const openSockets = new Set();
+const startedAt = new Date();
 
-    return records;
+function apiError(status, code, message) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+/**
+ * Send a Codec 12 GPRS command to a connected device and wait for its response
+ * @param {string} imei - Device IMEI
+ * @param {string} command - Command text (e.g. "getinfo")
+ * @returns {Promise<string>} Device response text
+ */
+function sendCommand(imei, command) {
+    const connection = connections.get(imei);
+    if (!connection) {
+        return Promise.reject(apiError(404, 'device_not_connected', `Device ${imei} is not connected`));
+    }
+    if (connection.pendingCommand) {
+        return Promise.reject(apiError(409, 'command_pending', `Device ${imei} is still answering "${connection.pendingCommand.command}"`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            connection.pendingCommand = null;
+            reject(apiError(504, 'command_timeout', `No response from ${imei} within ${COMMAND_TIMEOUT_MS}ms`));
+        }, COMMAND_TIMEOUT_MS);
+
+        connection.pendingCommand = { command, resolve, reject, timer };
+        connection.socket.write(encodeCodec12Command(command));
+        log(`📨 Sent command to ${imei}: ${command}`);
+    });
+}
+
+/**
+ * Resolve the pending command of a connection with a Codec 12 response frame
+ * @param {Object} connection - Connection entry
+ * @param {Buffer} packet - Codec 12 frame
+ */
+function handleCommandResponse(connection, packet) {
+    const { text } = decodeCodec12Response(packet);
+    log(`📩 Command response from ${connection.imei}: ${text}`);
+
+    const pending = connection.pendingCommand;
+    if (!pending) {
+        logError(`Unsolicited command response from ${connection.imei}: ${text}`);
+        return;
+    }
+
+    clearTimeout(pending.timer);
+    connection.pendingCommand = null;
+    pending.resolve(text);
+}
+
+function listDevices() {
+    return [...connections.values()].map(connection => ({
+        imei: connection.imei,
+        remoteAddress: connection.remoteAddress,
+        connectedAt: connection.connectedAt.toISOString(),
+        lastSeenAt: connection.lastSeenAt.toISOString(),
+        bytesReceived: connection.bytesReceived,
+        packetsReceived: connection.packetsReceived,
+        recordsStored: connection.recordsStored,
+        commandPending: Boolean(connection.pendingCommand)
+    }));
+}
+
+function getStatus() {
+    return {
+        startedAt: startedAt.toISOString(),
+        uptimeSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+        openSockets: openSockets.size,
+        connectedDevices: connections.size,
+        idleTimeoutMs: SOCKET_IDLE_TIMEOUT_MS,
+        maxBufferBytes: MAX_BUFFER_BYTES,
+        devices: listDevices()
+    };
 }
 
 // TCP Server
 const server = net.createServer((socket) => {
     log(`📡 New connection from ${socket.remoteAddress}:${socket.remotePort}`);
 
+    const remoteAddress = `${socket.remoteAddress}:${socket.remotePort}`;
     let imei = null;
+    let closing = false;
     let buffer = Buffer.alloc(0);
+    let processing = Promise.resolve();
+
+    // Registered in connections once the IMEI handshake succeeds
+    const connection = {
+        imei: null,
+        socket,
+        remoteAddress,
+        connectedAt: new Date(),
+        lastSeenAt: new Date(),
+        bytesReceived: 0,
+        packetsReceived: 0,
+        recordsStored: 0,
+        pendingCommand: null
+    };
+    openSockets.add(connection);
+
+    // Drop a stream we can't make sense of; the device reconnects and resends
+    function dropConnection(reason) {
+        closing = true;
+        log(`✂️  Dropping ${imei || 'unidentified'} connection from ${remoteAddress}: ${reason}`);
+        logError(`Dropped ${imei || 'unidentified'} from ${remoteAddress}: ${reason}, buffer head ${buffer.slice(0, 64).toString('hex')}`);
+        buffer = Buffer.alloc(0);
+        socket.destroy();
+    }
+
+    async function handleData(data) {
+        if (closing) return; // Ignore anything sent after we decided to close the socket
 
-    socket.on('data', async (data) => {
         buffer = Buffer.concat([buffer, data]);
+        if (buffer.length > MAX_BUFFER_BYTES) {
+            dropConnection(`buffered ${buffer.length} bytes without a complete frame`);
+            return;
+        }
 
         // Step 1: IMEI handshake
         if (!imei && buffer.length >= 2) {
             const imeiLength = buffer.readUInt16BE(0);
+            if (imeiLength === 0 || imeiLength > 32) {
+                dropConnection(`invalid IMEI length ${imeiLength}`);
+                return;
+            }
             if (buffer.length >= imeiLength + 2) {
-                imei = buffer.slice(2, imeiLength + 2).toString();
-                log(`📍 IMEI received: ${imei}`);
-                socket.write(Buffer.from([0x01])); // ACK
+                const receivedImei = buffer.slice(2, imeiLength + 2).toString();
                 buffer = buffer.slice(imeiLength + 2);
+                log(`📍 IMEI received: ${receivedImei}`);
+
+                let status;
+                try {
+                    status = await checkDevice(receivedImei);
+                } catch (dbErr) {
+                    // Can't store anything without the database; refuse so the device keeps its data
+                    logError(`Device lookup error for ${receivedImei}: ${dbErr.message}`);
+                    status = 'lookup_failed';
+                }
+
+                if (status !== 'allowed') {
+                    closing = true;
+                    buffer = Buffer.alloc(0);
+                    log(`⛔ Refused ${receivedImei} from ${remoteAddress} (${status})`);
+                    if (status === 'unknown') {
+                        await quarantineDevice(receivedImei, remoteAddress);
+                    }
+                    socket.end(Buffer.from([0x00])); // NACK
+                    return;
+                }
+
+                imei = receivedImei;
+                socket.write(Buffer.from([0x01])); // ACK
+
+                // A reconnecting device replaces its stale connection
+                connection.imei = imei;
+                connections.set(imei, connection);
             } else {
                 return; // Wait for more data
             }
         }
 
-        // Step 2: AVL data
+        // Step 2: AVL data and command responses
         while (buffer.length >= 8) {
+            if (buffer.readUInt32BE(0) !== 0) {
+                dropConnection('frame does not start with the 4-byte zero preamble');
+                return;
+            }
+
             const avlLen = buffer.readUInt32BE(4); // read after preamble
             const totalPacketLen = 4 + 4 + avlLen + 4; // preamble + length + payload + CRC
+            if (totalPacketLen > MAX_BUFFER_BYTES) {
+                dropConnection(`declared frame length ${totalPacketLen} exceeds ${MAX_BUFFER_BYTES} bytes`);
+                return;
+            }
 
             if (buffer.length < totalPacketLen) return; // Wait for full frame
 
             const avlPacket = buffer.slice(0, totalPacketLen);
             buffer = buffer.slice(totalPacketLen);
+            connection.packetsReceived++;
+
+            // Reject corrupt frames without an ACK so the device resends them
+            const crc = verifyAvlPacketCrc(avlPacket);
+            if (!crc.valid) {
+                log(`❌ CRC mismatch for ${imei}: expected ${crc.expected}, got ${crc.actual}`);
+                logError(`CRC mismatch for ${imei}: expected ${crc.expected}, got ${crc.actual}, packet ${avlPacket.toString('hex')}`);
+                continue;
+            }
 
-            try {
-                const records = decodeCodec8(avlPacket);
-                for (const record of records) {
-                    const line = JSON.stringify({ imei, ...record });
-                    log(`✅ Decoded Record: ${line}`);
-                    logDecoded(line);
-
-                    // Insert into DB
-                    try {
-                        await pool.query(
-                            'INSERT INTO gps_raw_data (device_id, longitude, latitude, recorded_at, received_at, processed) VALUES ($1, $2, $3, $4, NOW(), FALSE)',
-                            [imei, record.lon, record.lat, record.timestamp]
-                        );
-                        
-                        // Check if device has accumulated enough points to process
-                        const countResult = await pool.query(
-                            'SELECT COUNT(*) as count FROM gps_raw_data WHERE device_id = $1 AND processed = FALSE',
-                            [imei]
-                        );
-                        
-                        const unprocessedCount = parseInt(countResult.rows[0].count);
-                        
-                        // Only queue if we have 4+ unprocessed points AND device isn't already queued
-                        if (unprocessedCount >= 4) {
-                            try {
-                                // Use Redis SET to prevent duplicate queueing
-                                const added = await redis.sAdd('gps:devices_queued', imei);
-                                if (added) {
-                                    await redis.lPush('gps:queue', imei);
-                                    log(`📤 Queued ${imei} for processing (${unprocessedCount} points)`);
-                                } else {
-                                    log(`⏭️  ${imei} already queued (${unprocessedCount} points)`);
-                                }
-                            } catch (redisErr) {
-                                logError(`Redis publish error for ${imei}: ${redisErr.message}`);
-                            }
-                        }
-                    } catch (dbErr) {
-                        logError(`DB insert error for ${imei}: ${dbErr.message}`);
-                    }
+            // Codec 12 frames are replies to commands we sent, not AVL data
+            if (avlPacket.readUInt8(8) === CODEC_12) {
+                try {
+                    handleCommandResponse(connection, avlPacket);
+                } catch (err) {
+                    log(`❌ Decode Error: ${err.message}`);
+                    logError(`Codec 12 decode error for ${imei}: ${err.stack}, packet ${avlPacket.toString('hex')}`);
                 }
+                continue;
+            }
+
+            let records;
+            try {
+                records = decodeAvlPacket(avlPacket);
             } catch (err) {
+                // The CRC is valid, so resending can't fix it: without an ACK the device would
+                // retry this frame forever. Keep the raw frame in avl_dead_letters, then ACK its
+                // declared record count so the device moves on.
                 log(`❌ Decode Error: ${err.message}`);
-                logError(`Decode error for ${imei}: ${err.stack}`);
+                logError(`Decode error for ${imei}: ${err.stack}, packet ${avlPacket.toString('hex')}`);
+                try {
+                    const declared = await storeDeadLetter(pool, imei, avlPacket, err);
+                    socket.write(encodeRecordCountAck(declared));
+                    log(`📥 Stored undecodable frame from ${imei} as a dead letter (${declared} records)`);
+                } catch (storeErr) {
+                    // Not stored anywhere durable: let the device resend it later
+                    logError(`Dead letter store error for ${imei}: ${storeErr.stack}`);
+                    dropConnection(`undecodable frame could not be stored (${storeErr.message})`);
+                    return;
+                }
+                continue;
+            }
+
+            try {
+                const stored = await storeRecords(imei, records);
+                connection.recordsStored += stored;
+
+                // Only acknowledge what was written; a short count makes the device resend
+                socket.write(encodeRecordCountAck(stored));
+                if (stored < records.length) {
+                    log(`⚠️  Failed to store ${records.length} records for ${imei}, device will resend`);
+                }
+            } catch (err) {
+                log(`❌ Store Error: ${err.message}`);
+                logError(`Store error for ${imei}: ${err.stack}`);
             }
         }
+    }
+
+    // Handle chunks one at a time so packets are stored and acknowledged in order
+    socket.on('data', (data) => {
+        connection.bytesReceived += data.length;
+        connection.lastSeenAt = new Date();
+        processing = processing.then(() => handleData(data)).catch((err) => {
+            logError(`Data handler error for ${imei}: ${err.stack}`);
+        });
     });
 
     socket.on('end', () => {
         log(`🔌 Connection from ${socket.remoteAddress}:${socket.remotePort} closed`);
     });
 
+    // Trackers that stop talking (lost power, dead zone) leave half-open sockets behind
+    socket.setTimeout(SOCKET_IDLE_TIMEOUT_MS);
+    socket.on('timeout', () => {
+        log(`⏱️  Closing idle connection ${imei || 'unidentified'} from ${remoteAddress} (no data for ${SOCKET_IDLE_TIMEOUT_MS / 1000}s)`);
+        socket.destroy();
+    });
+
+    socket.on('close', () => {
+        openSockets.delete(connection);
+        if (!imei) return;
+
+        if (connection.pendingCommand) {
+            clearTimeout(connection.pendingCommand.timer);
+            connection.pendingCommand.reject(apiError(502, 'device_disconnected', `Device ${imei} disconnected before responding`));
+            connection.pendingCommand = null;
+        }
+        if (connections.get(imei) === connection) {
+            connections.delete(imei);
+        }
+    });
+
     socket.on('error', (err) => {
         log(`❌ Socket error from ${socket.remoteAddress}:${socket.remotePort}: ${err.message}`);
     });
@@ -199,6 +504,80 @@ server.listen(PORT, '0.0.0.0', () => {
     log(`🚀 Teltonika TCP listener running on 0.0.0.0:${PORT}`);
 });
 
+/**
+ * Handle a Teltonika UDP datagram: check the device, store, then ACK
+ * @param {Buffer} message - Datagram
+ * @param {Object} rinfo - Sender info from dgram
+ */
+async function handleUdpDatagram(message, rinfo) {
+    const remoteAddress = `${rinfo.address}:${rinfo.port}`;
+
+    let datagram;
+    try {
+        datagram = decodeUdpDatagram(message);
+    } catch (err) {
+        log(`❌ UDP Decode Error from ${remoteAddress}: ${err.message}`);
+        logError(`UDP decode error from ${remoteAddress}: ${err.stack}, datagram ${message.toString('hex')}`);
+        return;
+    }
+
+    const { imei, records, packetId, avlPacketId } = datagram;
+
+    // No ACK for refused devices; there is no handshake to reject over UDP
+    const status = await checkDevice(imei);
+    if (status !== 'allowed') {
+        log(`⛔ Refused UDP datagram from ${imei} at ${remoteAddress} (${status})`);
+        if (status === 'unknown') {
+            await quarantineDevice(imei, remoteAddress);
+        }
+        return;
+    }
+
+    const stored = await storeRecords(imei, records);
+    udpServer.send(encodeUdpAck(packetId, avlPacketId, stored), rinfo.port, rinfo.address);
+    if (stored < records.length) {
+        log(`⚠️  Failed to store ${records.length} UDP records for ${imei}, device will resend`);
+    }
+}
+
+// Teltonika UDP transport (same port as TCP by default)
+const udpServer = dgram.createSocket('udp4');
+udpServer.on('message', (message, rinfo) => {
+    handleUdpDatagram(message, rinfo).catch((err) => {
+        logError(`UDP handler error from ${rinfo.address}:${rinfo.port}: ${err.stack}`);
+    });
+});
+udpServer.on('error', (err) => {
+    logger.error('UDP socket error', { error: err.message });
+});
+udpServer.bind(UDP_PORT, '0.0.0.0', () => {
+    log(`🚀 Teltonika UDP listener running on 0.0.0.0:${UDP_PORT}`);
+});
+
+// Internal API (backend → device commands)
+const internalApi = createInternalApi({ listDevices, getStatus, sendCommand }, logger, API_TOKEN);
+internalApi.listen(API_PORT, '0.0.0.0', () => {
+    log(`🛠️  Listener internal API running on 0.0.0.0:${API_PORT}`);
+});
+
+// OsmAnd HTTP ingestion (phone-based trackers)
+const osmandServer = createOsmAndServer({ checkDevice, quarantineDevice, storeRecords }, logger);
+osmandServer.listen(OSMAND_PORT, '0.0.0.0', () => {
+    log(`📱 OsmAnd HTTP listener running on 0.0.0.0:${OSMAND_PORT}`);
+});
+
+// NMEA 0183 ingestion (legacy AVL units, TCP + UDP)
+let nmeaListener = null;
+if (NMEA_PORT) {
+    nmeaListener = createNmeaListener({ checkDevice, quarantineDevice, storeRecords }, logger, {
+        deviceIdSource: NMEA_DEVICE_ID_SOURCE,
+        addressIdPrefix: NMEA_ADDRESS_ID_PREFIX
+    });
+    nmeaListener.listen(NMEA_PORT, '0.0.0.0', () => {
+        log(`🛰️  NMEA listener running on 0.0.0.0:${NMEA_PORT} (TCP + UDP, device ID from ${NMEA_DEVICE_ID_SOURCE})`);
+    });
+}
+
 // Graceful shutdown
 async function shutdown(signal) {
     logger.warn(`Received ${signal}, shutting down gracefully`);
@@ -207,6 +586,12 @@ async function shutdown(signal) {
     server.close(() => {
         logger.info('TCP server closed');
     });
+    udpServer.close();
+    internalApi.close();
+    osmandServer.close();
+    if (nmeaListener) {
+        nmeaListener.close();
+    }
 
     // Close connections
     await redis.disconnect();
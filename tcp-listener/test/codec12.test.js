@@ -0,0 +1,28 @@
+/**
+ * Codec 12 command channel tests
+ * Fixture is the getinfo command from the Teltonika protocol documentation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crc16Ibm } = require('../codecs/crc16');
+const { encodeCodec12Command, decodeCodec12Response } = require('../codecs/codec12');
+
+const CODEC_12_GETINFO_SAMPLE = Buffer.from('000000000000000F0C010500000007676574696E666F0100004312', 'hex');
+
+test('encodeCodec12Command matches the getinfo sample', () => {
+    assert.deepEqual(encodeCodec12Command('getinfo'), CODEC_12_GETINFO_SAMPLE);
+});
+
+test('decodeCodec12Response reads the response text', () => {
+    // A response is a command frame with type 0x06
+    const response = encodeCodec12Command('RTC:2019/7/22 7:53 GPS:1');
+    response.writeUInt8(0x06, 10);
+    response.writeUInt32BE(crc16Ibm(response, 8, response.length - 4), response.length - 4);
+
+    assert.deepEqual(decodeCodec12Response(response), { type: 0x06, text: 'RTC:2019/7/22 7:53 GPS:1' });
+});
+
+test('decodeCodec12Response rejects commands', () => {
+    assert.throws(() => decodeCodec12Response(CODEC_12_GETINFO_SAMPLE), /Unexpected Codec 12 message type: 5/);
+});
@@ -0,0 +1,48 @@
+/**
+ * Codec 8 encoder tests (used by the tracker simulator)
+ * Encoded packets are checked by decoding them again.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeAvlPacket, encodeCodec8Packet, verifyAvlPacketCrc } = require('../codecs/codec8');
+
+const RECORD = {
+    timestamp: new Date('2026-01-15T07:30:00.000Z'),
+    priority: 0,
+    lat: 43.6423,
+    lon: -72.5173,
+    altitude: 312,
+    angle: 270,
+    satellites: 11,
+    speed: 38,
+    eventIOId: 0,
+    io: { 1: 1, 66: 12800, 182: 9 }
+};
+
+test('encodeCodec8Packet round-trips through the decoder', () => {
+    const packet = encodeCodec8Packet([RECORD]);
+
+    assert.equal(verifyAvlPacketCrc(packet).valid, true);
+    assert.deepEqual(decodeAvlPacket(packet), [RECORD]);
+});
+
+test('encodeCodec8Packet picks the IO group from the value size', () => {
+    const io = { 1: 255, 2: 256, 3: 65536, 4: '4294967296' };
+    const [decoded] = decodeAvlPacket(encodeCodec8Packet([{ ...RECORD, io }]));
+
+    assert.deepEqual(decoded.io, { 1: 255, 2: 256, 3: 65536, 4: 4294967296n });
+});
+
+test('encodeCodec8Packet leaves out IO elements Codec 8 cannot carry', () => {
+    // Codec 8 has 1-byte IO IDs and no variable-length elements
+    const io = { 1: 1, 300: 5, 385: 'A1B2', 21: -1 };
+    const [decoded] = decodeAvlPacket(encodeCodec8Packet([{ ...RECORD, io }]));
+
+    assert.deepEqual(decoded.io, { 1: 1 });
+});
+
+test('encodeCodec8Packet rejects an empty or oversized record list', () => {
+    assert.throws(() => encodeCodec8Packet([]), /1-255 records, got 0/);
+    assert.throws(() => encodeCodec8Packet(new Array(256).fill(RECORD)), /1-255 records, got 256/);
+});
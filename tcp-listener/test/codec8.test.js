@@ -0,0 +1,56 @@
+/**
+ * Codec 8 / Codec 8 Extended decoder tests
+ * Fixtures are the sample packets from the Teltonika protocol documentation
+ * (wiki.teltonika-gps.com, "Teltonika Data Sending Protocols" / "Codec")
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeAvlPacket } = require('../codecs/codec8');
+
+const hex = (value) => Buffer.from(value, 'hex');
+
+const CODEC_8_SAMPLE = hex(
+    '000000000000003608010000016B40D8EA30010000000000000000000000000000000105021503010101425E0F01F10000601A014E0000000000000000010000C7CF'
+);
+const CODEC_8E_SAMPLE = hex(
+    '000000000000004A8E010000016B412CEE000100000000000000000000000000000000010005000100010100010011001D00010010015E2C880002000B000000003544C87A000E000000001DD7E06A00000100002994'
+);
+const CODEC_12_GETINFO_SAMPLE = hex('000000000000000F0C010500000007676574696E666F0100004312');
+
+test('decodeAvlPacket decodes the Codec 8 sample', () => {
+    const records = decodeAvlPacket(CODEC_8_SAMPLE);
+
+    assert.equal(records.length, 1);
+    assert.deepEqual(records[0], {
+        timestamp: new Date('2019-06-10T10:04:46.000Z'),
+        priority: 1,
+        lat: 0,
+        lon: 0,
+        altitude: 0,
+        angle: 0,
+        satellites: 0,
+        speed: 0,
+        eventIOId: 1,
+        io: { 1: 1, 21: 3, 66: 24079, 78: 0n, 241: 24602 }
+    });
+});
+
+test('decodeAvlPacket decodes the Codec 8 Extended sample', () => {
+    const records = decodeAvlPacket(CODEC_8E_SAMPLE);
+
+    assert.equal(records.length, 1);
+    assert.deepEqual(records[0].timestamp, new Date('2019-06-10T11:36:32.000Z'));
+    assert.equal(records[0].eventIOId, 1);
+    assert.deepEqual(records[0].io, { 1: 1, 11: 893700218n, 14: 500686954n, 16: 22949000, 17: 29 });
+});
+
+test('decodeAvlPacket rejects a record count mismatch', () => {
+    const mismatched = Buffer.from(CODEC_8_SAMPLE);
+    mismatched[mismatched.length - 5] = 2; // Number of data 2
+    assert.throws(() => decodeAvlPacket(mismatched), /Record count mismatch/);
+});
+
+test('decodeAvlPacket rejects unsupported codecs', () => {
+    assert.throws(() => decodeAvlPacket(CODEC_12_GETINFO_SAMPLE), /Unsupported codec: 12/);
+});
@@ -0,0 +1,43 @@
+/**
+ * Frame CRC and record count ACK tests
+ * Fixture is the Codec 8 sample packet from the Teltonika protocol documentation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crc16Ibm } = require('../codecs/crc16');
+const { encodeRecordCountAck, verifyAvlPacketCrc } = require('../codecs/codec8');
+
+const hex = (value) => Buffer.from(value, 'hex');
+
+const CODEC_8_SAMPLE = hex(
+    '000000000000003608010000016B40D8EA30010000000000000000000000000000000105021503010101425E0F01F10000601A014E0000000000000000010000C7CF'
+);
+const CODEC_8E_SAMPLE = hex(
+    '000000000000004A8E010000016B412CEE000100000000000000000000000000000000010005000100010100010011001D00010010015E2C880002000B000000003544C87A000E000000001DD7E06A00000100002994'
+);
+
+test('crc16Ibm matches the CRC-16/ARC check value', () => {
+    assert.equal(crc16Ibm(Buffer.from('123456789', 'ascii')), 0xBB3D);
+});
+
+test('crc16Ibm honours start and end offsets', () => {
+    const dataLength = CODEC_8_SAMPLE.readUInt32BE(4);
+    assert.equal(crc16Ibm(CODEC_8_SAMPLE, 8, 8 + dataLength), 0xC7CF);
+});
+
+test('verifyAvlPacketCrc accepts the sample packets', () => {
+    assert.deepEqual(verifyAvlPacketCrc(CODEC_8_SAMPLE), { valid: true, expected: 0xC7CF, actual: 0xC7CF });
+    assert.deepEqual(verifyAvlPacketCrc(CODEC_8E_SAMPLE), { valid: true, expected: 0x2994, actual: 0x2994 });
+});
+
+test('verifyAvlPacketCrc rejects a corrupted packet', () => {
+    const corrupted = Buffer.from(CODEC_8_SAMPLE);
+    corrupted[20] ^= 0xFF;
+    assert.equal(verifyAvlPacketCrc(corrupted).valid, false);
+});
+
+test('encodeRecordCountAck writes the count as 4 bytes big-endian', () => {
+    assert.equal(encodeRecordCountAck(1).toString('hex'), '00000001');
+    assert.equal(encodeRecordCountAck(0).toString('hex'), '00000000');
+});
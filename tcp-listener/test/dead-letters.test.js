@@ -0,0 +1,64 @@
+/**
+ * AVL dead letter tests
+ * A frame with a valid CRC that fails to decode is stored before it is
+ * acknowledged; when it can't be stored it must not be acknowledged.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crc16Ibm } = require('../codecs/crc16');
+const { decodeAvlPacket } = require('../codecs/codec8');
+const { storeDeadLetter } = require('../dead-letters');
+
+// Codec 8 sample from the Teltonika documentation with Number of Data 2 set to 2
+// (it holds one record) and the CRC recomputed: valid CRC, but undecodable
+function undecodableFrame() {
+    const frame = Buffer.from(
+        '000000000000003608010000016B40D8EA30010000000000000000000000000000000105021503010101425E0F01F10000601A014E0000000000000000010000C7CF',
+        'hex'
+    );
+    frame[frame.length - 5] = 2;
+    frame.writeUInt32BE(crc16Ibm(frame, 8, frame.length - 4), frame.length - 4);
+    return frame;
+}
+
+function capturingPool(failure = null) {
+    const queries = [];
+    return {
+        queries,
+        query: async (sql, params) => {
+            if (failure) throw failure;
+            queries.push({ sql, params });
+            return { rows: [], rowCount: 1 };
+        }
+    };
+}
+
+test('storeDeadLetter stores the raw frame and returns the declared record count', async () => {
+    const frame = undecodableFrame();
+    const decodeError = (() => {
+        try {
+            decodeAvlPacket(frame);
+        } catch (err) {
+            return err;
+        }
+        assert.fail('frame should not decode');
+    })();
+    const pool = capturingPool();
+
+    const declared = await storeDeadLetter(pool, '352093086403655', frame, decodeError);
+
+    assert.equal(declared, 1);
+    assert.equal(pool.queries.length, 1);
+    assert.match(pool.queries[0].sql, /INSERT INTO avl_dead_letters/);
+    assert.deepEqual(pool.queries[0].params, ['352093086403655', frame, 1, decodeError.message]);
+});
+
+test('storeDeadLetter rejects when the frame could not be stored', async () => {
+    const pool = capturingPool(new Error('connection terminated'));
+
+    await assert.rejects(
+        storeDeadLetter(pool, '352093086403655', undecodableFrame(), new Error('Record count mismatch')),
+        /connection terminated/
+    );
+});
@@ -0,0 +1,59 @@
+/**
+ * Listener internal API authentication tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createInternalApi = require('../internal-api');
+
+const handlers = {
+    listDevices: () => [{ imei: '356307042441013' }],
+    getStatus: () => ({ uptimeSeconds: 1, openSockets: 1, devices: [] }),
+    sendCommand: async () => 'ok'
+};
+const logger = { error: () => {} };
+
+/**
+ * Start an internal API on a free port, run fn against its base URL, then close it
+ */
+async function withApi(apiToken, fn) {
+    const server = createInternalApi(handlers, logger, apiToken);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('requests with the shared token are served', async () => {
+    await withApi('s3cret', async (base) => {
+        const response = await fetch(`${base}/devices`, { headers: { Authorization: 'Bearer s3cret' } });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { devices: [{ imei: '356307042441013' }] });
+    });
+});
+
+test('requests without or with a wrong token are rejected', async () => {
+    await withApi('s3cret', async (base) => {
+        assert.equal((await fetch(`${base}/status`)).status, 401);
+        assert.equal((await fetch(`${base}/status`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+        const command = await fetch(`${base}/devices/356307042441013/commands`, {
+            method: 'POST',
+            headers: { Authorization: 'Bearer s3cret-but-longer' },
+            body: JSON.stringify({ command: 'cpureset' })
+        });
+        assert.equal(command.status, 401);
+    });
+});
+
+test('every request is rejected while no token is configured', async () => {
+    await withApi(null, async (base) => {
+        const response = await fetch(`${base}/devices`, { headers: { Authorization: 'Bearer ' } });
+
+        assert.equal(response.status, 503);
+        assert.equal((await response.json()).error, 'internal_api_auth_not_configured');
+    });
+});
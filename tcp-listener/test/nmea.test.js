@@ -0,0 +1,122 @@
+/**
+ * NMEA 0183 parser tests
+ * RMC and GGA fixtures are the widely published 12:35:19 UTC examples
+ * (48°07.038'N 11°31.000'E, 23 March 1994)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyNmeaChecksum, parseNmeaSentence, NmeaFixAssembler } = require('../codecs/nmea');
+
+const RMC = '$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A';
+const GGA = '$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47';
+
+/**
+ * Append a correct *HH checksum to a sentence body (without $)
+ */
+function sentence(body) {
+    let checksum = 0;
+    for (const char of body) {
+        checksum ^= char.charCodeAt(0);
+    }
+    return `$${body}*${checksum.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+test('verifyNmeaChecksum accepts correct checksums in either case', () => {
+    assert.equal(verifyNmeaChecksum(RMC), true);
+    assert.equal(verifyNmeaChecksum(GGA), true);
+    assert.equal(verifyNmeaChecksum(RMC.replace('*6A', '*6a')), true);
+});
+
+test('verifyNmeaChecksum rejects wrong, missing or truncated checksums', () => {
+    assert.equal(verifyNmeaChecksum(RMC.replace('*6A', '*6B')), false);
+    assert.equal(verifyNmeaChecksum(RMC.replace('022.4', '022.5')), false);
+    assert.equal(verifyNmeaChecksum(RMC.slice(0, RMC.indexOf('*'))), false);
+    assert.equal(verifyNmeaChecksum(RMC.slice(0, -1)), false);
+    assert.equal(verifyNmeaChecksum(RMC.slice(1)), false);
+});
+
+test('parseNmeaSentence throws on a bad checksum', () => {
+    assert.throws(() => parseNmeaSentence(RMC.replace('*6A', '*00')), /Bad NMEA checksum/);
+});
+
+test('parseNmeaSentence reads RMC fields', () => {
+    const rmc = parseNmeaSentence(RMC);
+
+    assert.equal(rmc.type, 'RMC');
+    assert.equal(rmc.timeOfDay, (12 * 3600 + 35 * 60 + 19) * 1000);
+    assert.equal(rmc.valid, true);
+    assert.ok(Math.abs(rmc.lat - (48 + 7.038 / 60)) < 1e-9);
+    assert.ok(Math.abs(rmc.lon - (11 + 31 / 60)) < 1e-9);
+    assert.ok(Math.abs(rmc.speed - 22.4 * 1.852) < 1e-9); // knots to km/h
+    assert.equal(rmc.angle, 84.4);
+    assert.equal(rmc.date, Date.UTC(1994, 2, 23));
+});
+
+test('parseNmeaSentence reads GGA fields', () => {
+    const gga = parseNmeaSentence(GGA);
+
+    assert.equal(gga.type, 'GGA');
+    assert.equal(gga.valid, true);
+    assert.ok(Math.abs(gga.lat - (48 + 7.038 / 60)) < 1e-9);
+    assert.equal(gga.satellites, 8);
+    assert.equal(gga.altitude, 545.4);
+});
+
+test('parseNmeaSentence negates southern and western coordinates', () => {
+    const rmc = parseNmeaSentence(sentence('GNRMC,070000.00,A,4336.0000,S,07230.0000,W,0.0,,150126,,,A'));
+
+    assert.equal(rmc.lat, -43.6);
+    assert.equal(rmc.lon, -72.5);
+    assert.equal(rmc.angle, null);
+    assert.equal(rmc.date, Date.UTC(2026, 0, 15));
+});
+
+test('parseNmeaSentence handles fractional seconds and missing fields', () => {
+    const rmc = parseNmeaSentence(sentence('GPRMC,070005.250,V,,,,,,,150126,,'));
+
+    assert.equal(rmc.timeOfDay, (7 * 3600 + 5.25) * 1000);
+    assert.equal(rmc.valid, false);
+    assert.equal(rmc.lat, null);
+    assert.equal(rmc.speed, null);
+
+    const gga = parseNmeaSentence(sentence('GPGGA,070005,,,,,0,00,,,M,,M,,'));
+    assert.equal(gga.valid, false);
+    assert.equal(gga.altitude, null);
+});
+
+test('parseNmeaSentence ignores other sentence types', () => {
+    assert.equal(parseNmeaSentence(sentence('GPGSA,A,3,04,05,,09,12,,,24,,,,,2.5,1.3,2.1')), null);
+});
+
+test('NmeaFixAssembler combines RMC and GGA for the same time into one record', () => {
+    const assembler = new NmeaFixAssembler();
+
+    assert.deepEqual(assembler.push(parseNmeaSentence(RMC)), []);
+    const [record] = assembler.push(parseNmeaSentence(GGA));
+
+    assert.deepEqual(record.timestamp, new Date('1994-03-23T12:35:19.000Z'));
+    assert.equal(record.satellites, 8);
+    assert.equal(record.altitude, 545.4);
+    assert.equal(record.angle, 84.4);
+    assert.equal(assembler.flush(), null);
+});
+
+test('NmeaFixAssembler emits an RMC-only fix when a newer time arrives', () => {
+    const assembler = new NmeaFixAssembler();
+    const next = sentence('GPRMC,123520,A,4807.040,N,01131.000,E,022.4,084.4,230394,003.1,W');
+
+    assembler.push(parseNmeaSentence(RMC));
+    const [record] = assembler.push(parseNmeaSentence(next));
+
+    assert.deepEqual(record.timestamp, new Date('1994-03-23T12:35:19.000Z'));
+    assert.equal(record.satellites, null);
+    assert.equal(assembler.flush().timestamp.getTime(), Date.UTC(1994, 2, 23, 12, 35, 20));
+});
+
+test('NmeaFixAssembler drops fixes without a valid position', () => {
+    const assembler = new NmeaFixAssembler();
+
+    assembler.push(parseNmeaSentence(sentence('GPRMC,070005,V,,,,,,,150126,,')));
+    assert.equal(assembler.flush(), null);
+});
@@ -0,0 +1,32 @@
+/**
+ * Teltonika UDP framing tests
+ * Fixture is the UDP sample datagram from the Teltonika protocol documentation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeUdpDatagram, encodeUdpAck } = require('../codecs/udp');
+
+const UDP_SAMPLE = Buffer.from(
+    '003DCAFE0105000F33353230393330383634303336353508010000016B4F815B30010000000000000000000000000000000103021503010101425DBC000001',
+    'hex'
+);
+
+test('decodeUdpDatagram decodes the UDP sample', () => {
+    const datagram = decodeUdpDatagram(UDP_SAMPLE);
+
+    assert.equal(datagram.packetId, 0xCAFE);
+    assert.equal(datagram.avlPacketId, 0x05);
+    assert.equal(datagram.imei, '352093086403655');
+    assert.equal(datagram.records.length, 1);
+    assert.deepEqual(datagram.records[0].timestamp, new Date('2019-06-13T06:23:26.000Z'));
+    assert.deepEqual(datagram.records[0].io, { 1: 1, 21: 3, 66: 23996 });
+});
+
+test('decodeUdpDatagram rejects a length mismatch', () => {
+    assert.throws(() => decodeUdpDatagram(UDP_SAMPLE.subarray(0, UDP_SAMPLE.length - 1)), /UDP length mismatch/);
+});
+
+test('encodeUdpAck matches the sample acknowledgement', () => {
+    assert.equal(encodeUdpAck(0xCAFE, 0x05, 1).toString('hex'), '0005cafe010501');
+});
@@ -9,11 +9,19 @@ module.exports = {
     // Redis Configuration
     redis: {
         url: process.env.REDIS_URL || 'redis://redis:6379',
-        queues: {
-            gps: 'gps:queue',
-            devicesQueued: 'gps:devices_queued'
+        streams: {
+            jobs: 'gps:jobs', // Device processing jobs (consumer group below)
+            deadLetters: 'gps:jobs:dead' // Jobs that failed maxDeliveries times
         },
-        popTimeout: 5 // seconds to wait for queue pop
+        devicesQueued: 'gps:devices_queued', // Devices with a job in flight (set, prevents duplicate jobs)
+        legacyQueue: 'gps:queue', // Old list-based queue, drained into the stream on startup
+        consumerGroup: 'gps-workers',
+        consumerName: process.env.WORKER_NAME || null, // Stable consumer name; defaults to Worker-<hostname>, which changes on every redeploy
+        blockMs: 5000, // How long XREADGROUP waits for a new job
+        claimIdleMs: parseInt(process.env.QUEUE_CLAIM_IDLE_MS) || 2 * 60 * 1000, // Reclaim jobs pending this long
+        claimIntervalMs: 30 * 1000, // How often to look for stale jobs
+        maxDeliveries: parseInt(process.env.QUEUE_MAX_DELIVERIES) || 5, // Dead-letter after this many attempts
+        maxStreamLength: 10000 // Approximate cap on the dead-letter stream (MAXLEN ~); jobs are deleted once acked
     },
     
     // PostgreSQL Configuration
@@ -29,7 +37,39 @@ module.exports = {
     // OSRM Configuration
     osrm: {
         baseUrl: process.env.OSRM_BASE || 'http://osrm:5000',
-        timeout: 10000 // milliseconds
+        timeout: 10000, // milliseconds
+        
+        // Match request options
+        match: {
+            timestamps: process.env.OSRM_MATCH_TIMESTAMPS !== 'false', // Send recorded_at so OSRM can judge plausible speeds
+            radiuses: process.env.OSRM_MATCH_RADIUSES !== 'false', // Per-point search radius from fix quality
+            gaps: process.env.OSRM_MATCH_GAPS || 'split', // 'split' starts a new matching at large time gaps, 'ignore' doesn't
+            tidy: process.env.OSRM_MATCH_TIDY === 'true', // Let OSRM drop clustered/stationary points (the filter already drops parked jitter; tidied points aren't recorded as unmatched)
+            defaultRadiusMeters: 10, // Radius when a point carries no accuracy information
+            minRadiusMeters: 5,
+            maxRadiusMeters: 50, // Large radiuses snap to parallel roads and slow OSRM down
+            metersPerHdop: 5, // Radius = HDOP x this (typical user range error)
+            hdopIoId: 182, // Teltonika GNSS HDOP IO element (value x10)
+            lowSatelliteCount: 5, // Below this many satellites...
+            lowSatelliteRadiusMeters: 25 // ...use this radius if nothing better is known
+        }
+    },
+    
+    // Map Matching Configuration
+    matching: {
+        primary: process.env.MAP_MATCHER || 'osrm', // 'osrm' or 'postgis' (municipalities.map_matcher overrides)
+        fallback: process.env.MAP_MATCHER_FALLBACK ?? 'postgis', // Tried when the primary fails; empty to disable
+        
+        // Offline HMM matcher against road_segments
+        postgis: {
+            searchRadiusMeters: 30, // Candidate segments within this distance of a fix
+            maxCandidates: 5, // Candidate segments per fix
+            gpsSigmaMeters: 10, // GPS noise standard deviation (emission probability)
+            transitionBetaMeters: 50, // Tolerance for straight-line vs road distance (transition probability)
+            maxRouteDifferenceMeters: 300, // Larger differences break the trace into a new matching
+            nodeToleranceMeters: 2, // Segment endpoints closer than this are connected
+            nonAdjacentPenaltyMeters: 25 // Added to hops between segments that don't touch
+        }
     },
     
     // Processing Configuration
@@ -39,6 +79,58 @@ module.exports = {
         minMovementMeters: 50, // Minimum movement to process batch
         maxConnectionGapMinutes: 5, // Max gap to connect points
         maxRetries: 3, // Max retries before abandoning points
+        
+        // Outlier / jitter filtering before map matching (dropped points keep a drop_reason)
+        filter: {
+            minSatellites: 4, // Fewer satellites = unreliable fix (0 = no fix, last position repeated)
+            maxSpeedKmh: 150, // Faster than any plow truck = multipath spike or bad fix
+            maxAccelerationMs2: 5, // Implied speed change per second between fixes
+            jitterMeters: 5, // Moves smaller than this...
+            jitterMaxSpeedKmh: 3 // ...while the tracker reports standing still are parked jitter
+        },
         statisticsIntervalMs: 5 * 60 * 1000 // Log stats every 5 minutes
+    },
+
+    // Segment Activation Configuration
+    activation: {
+        minOverlapPercent: parseFloat(process.env.SEGMENT_MIN_OVERLAP_PERCENT || '50'), // Share of a segment a pass must cover to mark it plowed
+        coverageWindowMinutes: parseInt(process.env.SEGMENT_COVERAGE_WINDOW_MINUTES) || 30 // Partial passes within this window add up
+    },
+
+    // Trip Detection Configuration
+    trips: {
+        stopSpeedKmh: 3, // At or below this speed the vehicle is stationary
+        stopRadiusMeters: 50, // Creeping around within this radius still counts as stopped
+        minStopSeconds: 5 * 60, // Stationary this long = stop (garage, fuel, lunch), ends the trip
+        maxGapSeconds: 15 * 60, // No fixes for this long = tracker off, ends the trip
+        minTripMeters: 200, // Shorter trips are yard moves and are discarded
+        closeIntervalMs: 60 * 1000, // How often to close trips of vehicles that went silent
+        lockKey: 'gps:trip_close_lock' // Only one worker scans per interval
+    },
+
+    // Partial Batch Flush Configuration
+    // The listener only queues a device at 4+ points; this picks up the rest
+    flush: {
+        intervalMs: parseInt(process.env.FLUSH_INTERVAL_MS) || 60 * 1000, // How often to scan for stale points
+        maxAgeMs: parseInt(process.env.FLUSH_MAX_AGE_MS) || 5 * 60 * 1000, // Queue devices whose oldest unprocessed point is older than this
+        lockKey: 'gps:flush_lock' // Only one worker scans per interval
+    },
+
+    // Scheduled Maintenance Configuration
+    // Daily counter resets at municipality-local midnight, data retention and
+    // removal of queue consumers left behind by old workers
+    maintenance: {
+        intervalMs: parseInt(process.env.MAINTENANCE_INTERVAL_MS) || 5 * 60 * 1000, // How often to check for due tasks
+        lockKey: 'gps:maintenance_lock', // Only one worker runs maintenance per interval
+        retention: {
+            everyHours: 24, // Purge at most once a day
+            gpsRawDataDays: parseInt(process.env.GPS_RETENTION_DAYS || '0'), // Processed GPS points older than this are deleted; opt-in, the raw points can't be recovered (0 = keep forever)
+            processingLogDays: parseInt(process.env.PROCESSING_LOG_RETENTION_DAYS || '30'), // 0 = keep forever
+            batchSize: 10000 // Rows deleted per statement (keeps locks short)
+        },
+        consumerCleanup: {
+            everyHours: 24, // Check at most once a day
+            idleMs: parseInt(process.env.QUEUE_CONSUMER_IDLE_MS) || 24 * 60 * 60 * 1000 // Remove job queue consumers idle this long with nothing pending
+        }
     }
 };
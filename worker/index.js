@@ -8,6 +8,10 @@ const os = require('os');
 const config = require('./config/config');
 const DatabaseService = require('./services/database.service');
 const GPSProcessor = require('./services/gps-processor');
+const JobQueueService = require('./services/job-queue.service');
+const FlushSchedulerService = require('./services/flush-scheduler.service');
+const MaintenanceSchedulerService = require('./services/maintenance-scheduler.service');
+const TripCloseSchedulerService = require('./services/trip-close-scheduler.service');
 const createLogger = require('./shared/logger');
 
 class Worker {
@@ -16,12 +20,16 @@ class Worker {
         this.db = new DatabaseService(config.postgres);
         this.processor = new GPSProcessor(this.db, config);
         this.redis = null;
+        this.queue = null;
+        this.flushScheduler = null;
+        this.maintenanceScheduler = null;
+        this.tripCloseScheduler = null;
         this.isShuttingDown = false;
 
         // Initialize Winston logger with unique worker ID
         const backendUrl = process.env.BACKEND_URL || 'http://backend:3000/api';
-        const workerName = `Worker-${process.env.HOSTNAME || os.hostname()}`;
-        this.logger = createLogger(workerName, backendUrl);
+        this.workerName = config.redis.consumerName || `Worker-${process.env.HOSTNAME || os.hostname()}`;
+        this.logger = createLogger(this.workerName, backendUrl);
 
         // Pass logger to processor
         this.processor.setLogger(this.logger);
@@ -40,6 +48,27 @@ class Worker {
         await this.redis.connect();
         this.logger.info('Connected to Redis queue');
 
+        this.queue = new JobQueueService(this.redis, this.config.redis, this.workerName, this.logger);
+        await this.queue.initialize();
+
+        // Queue devices whose last few points would otherwise wait for more data
+        this.flushScheduler = new FlushSchedulerService(
+            this.db, this.queue, this.redis, this.config.flush, this.workerName, this.logger
+        );
+        this.flushScheduler.start();
+
+        // Close trips of vehicles that were switched off (no later point closes them)
+        this.tripCloseScheduler = new TripCloseSchedulerService(
+            this.db, this.redis, this.config.trips, this.workerName, this.logger
+        );
+        this.tripCloseScheduler.start();
+
+        // Daily counter resets and data retention (one worker per interval)
+        this.maintenanceScheduler = new MaintenanceSchedulerService(
+            this.db, this.redis, this.config.maintenance, this.workerName, this.logger, this.queue
+        );
+        this.maintenanceScheduler.start();
+
         // Log initial statistics
         await this.logStatistics();
 
@@ -55,24 +84,23 @@ class Worker {
      * Main processing loop
      */
     async run() {
-        this.logger.info('Listening for jobs on gps:queue...');
+        this.logger.info(`Listening for jobs on ${this.config.redis.streams.jobs} (group ${this.config.redis.consumerGroup})...`);
 
         while (!this.isShuttingDown) {
             try {
-                // BRPOP blocks until a job is available
-                const result = await this.redis.brPop(
-                    this.config.redis.queues.gps,
-                    this.config.redis.popTimeout
-                );
-
-                if (result) {
-                    const deviceId = result.element;
-                    this.logger.info(`Received job for device: ${deviceId}`);
-
-                    await this.processor.processDevice(deviceId);
-
-                    // Remove device from queued set
-                    await this.redis.sRem(this.config.redis.queues.devicesQueued, deviceId);
+                // XREADGROUP blocks until a job is available (or reclaims a stale one)
+                const job = await this.queue.nextJob();
+
+                if (job) {
+                    this.logger.info(`Received job ${job.id} for device: ${job.deviceId}`);
+
+                    try {
+                        await this.processor.processDevice(job.deviceId);
+                        await this.queue.ack(job);
+                    } catch (error) {
+                        // Left pending for another attempt, or dead-lettered
+                        await this.queue.fail(job, error);
+                    }
                 }
             } catch (error) {
                 this.logger.error('Error in main loop', { error: error.message, stack: error.stack });
@@ -110,6 +138,18 @@ class Worker {
         this.isShuttingDown = true;
 
         try {
+            if (this.flushScheduler) {
+                this.flushScheduler.stop();
+            }
+            if (this.maintenanceScheduler) {
+                this.maintenanceScheduler.stop();
+            }
+            if (this.tripCloseScheduler) {
+                this.tripCloseScheduler.stop();
+            }
+            if (this.queue) {
+                await this.queue.close();
+            }
             if (this.redis) {
                 await this.redis.quit();
             }
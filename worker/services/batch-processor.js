@@ -4,13 +4,112 @@
  */
 
 const polyline = require('@mapbox/polyline');
-const { calculateBearing, coordinatesToWKT, hasSignificantMovement } = require('../utils/geo-calculations');
+const {
+    calculateDistance,
+    calculateBearing,
+    coordinatesToWKT,
+    hasSignificantMovement,
+    calculateImpliedSpeed,
+    checkCoordinate
+} = require('../utils/geo-calculations');
 
 class BatchProcessor {
     constructor(config = {}) {
         this.batchSize = config.batchSize || 5;
         this.timeWindowMinutes = config.timeWindowMinutes || 2;
         this.minMovementMeters = config.minMovementMeters || 50;
+        this.filter = {
+            minSatellites: 4,
+            maxSpeedKmh: 150,
+            maxAccelerationMs2: 5,
+            jitterMeters: 5,
+            jitterMaxSpeedKmh: 3,
+            ...config.filter
+        };
+    }
+
+    /**
+     * Remove GPS points that can't be real before map matching
+     *
+     * Rejects unusable coordinates, fixes with too few satellites, points that
+     * imply impossible speeds or accelerations from the last accepted point
+     * (multipath spikes, cold-start fixes far off) and small moves while parked.
+     * @param {Array<Object>} points - GPS points in time order
+     * @param {Object|null} anchor - Last accepted (processed) point, never dropped
+     * @returns {{kept: Array<Object>, dropped: Array<{point: Object, reason: string}>}} Filter result
+     */
+    filterPoints(points, anchor = null) {
+        const { minSatellites, maxSpeedKmh, maxAccelerationMs2, jitterMeters, jitterMaxSpeedKmh } = this.filter;
+        const kept = [];
+        const dropped = [];
+
+        // Per-point checks
+        const candidates = [];
+        for (const point of points) {
+            const coordinateProblem = checkCoordinate(point.latitude, point.longitude);
+            if (coordinateProblem) {
+                dropped.push({ point, reason: coordinateProblem });
+            } else if (point.satellites != null && point.satellites < minSatellites) {
+                dropped.push({ point, reason: 'low_satellites' });
+            } else {
+                candidates.push(point);
+            }
+        }
+
+        // Motion checks against the last accepted point
+        let previous = anchor;
+        let previousSpeed = null;
+
+        for (let i = 0; i < candidates.length; i++) {
+            const point = candidates[i];
+            if (!previous) {
+                kept.push(point);
+                previous = point;
+                continue;
+            }
+
+            const speed = calculateImpliedSpeed(previous, point);
+            if (speed === null) {
+                dropped.push({ point, reason: 'duplicate_timestamp' });
+                continue;
+            }
+
+            if (speed > maxSpeedKmh) {
+                // Cold start: the first fix was the outlier if the next two agree with each other
+                const next = candidates[i + 1];
+                const nextSpeed = next ? calculateImpliedSpeed(point, next) : null;
+                if (previous !== anchor && kept.length === 1 && nextSpeed !== null && nextSpeed <= maxSpeedKmh) {
+                    dropped.push({ point: kept.pop(), reason: 'impossible_speed' });
+                    kept.push(point);
+                    previous = point;
+                    previousSpeed = null;
+                } else {
+                    dropped.push({ point, reason: 'impossible_speed' });
+                }
+                continue;
+            }
+
+            const distance = calculateDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+            if (distance < jitterMeters && point.speed != null && point.speed <= jitterMaxSpeedKmh) {
+                dropped.push({ point, reason: 'jitter' });
+                continue;
+            }
+
+            if (previousSpeed !== null) {
+                const seconds = (new Date(point.recorded_at) - new Date(previous.recorded_at)) / 1000;
+                const acceleration = Math.abs(speed - previousSpeed) / 3.6 / seconds;
+                if (acceleration > maxAccelerationMs2) {
+                    dropped.push({ point, reason: 'impossible_acceleration' });
+                    continue;
+                }
+            }
+
+            kept.push(point);
+            previous = point;
+            previousSpeed = speed;
+        }
+
+        return { kept, dropped };
     }
 
     /**
@@ -64,7 +163,7 @@ class BatchProcessor {
         // Convert to WKT for PostGIS
         const wkt = coordinatesToWKT(matchedRoute.coordinates);
         
-        // Calculate bearing
+        // Overall heading, stored with the polyline (pass direction is computed per segment)
         const firstCoord = matchedRoute.coordinates[0];
         const lastCoord = matchedRoute.coordinates[matchedRoute.coordinates.length - 1];
         const bearing = calculateBearing(
@@ -25,9 +25,10 @@ class DatabaseService {
      */
     async getLastProcessedPoint(deviceId) {
         const result = await this.pool.query(`
-            SELECT id, longitude, latitude, recorded_at
+            SELECT id, longitude, latitude, recorded_at,
+                   altitude, speed, bearing, accuracy, satellites, io_elements
             FROM gps_raw_data
-            WHERE device_id = $1 AND processed = TRUE
+            WHERE device_id = $1 AND processed = TRUE AND drop_reason IS NULL
             ORDER BY recorded_at DESC
             LIMIT 1
         `, [deviceId]);
@@ -42,7 +43,8 @@ class DatabaseService {
      */
     async getUnprocessedPoints(deviceId) {
         const result = await this.pool.query(`
-            SELECT id, longitude, latitude, recorded_at
+            SELECT id, longitude, latitude, recorded_at,
+                   altitude, speed, bearing, accuracy, satellites, io_elements
             FROM gps_raw_data
             WHERE device_id = $1 AND processed = FALSE
             ORDER BY recorded_at ASC
@@ -51,34 +53,339 @@ class DatabaseService {
         return result.rows;
     }
 
+    /**
+     * Get the digital input mapping (blade, spreader, ignition) for a device
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<Object|null>} IO mapping or null if the device has none
+     */
+    async getDeviceIOMapping(deviceId) {
+        const result = await this.pool.query(`
+            SELECT blade_down_io_id, spreader_on_io_id, ignition_io_id,
+                   blade_down_value, spreader_on_value
+            FROM device_io_mappings
+            WHERE device_id = $1
+        `, [deviceId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Get the municipalities a device may plow in: its home municipality plus
+     * any extra service areas
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<Array<string>|null>} Municipality IDs, or null if the device is unrestricted
+     */
+    async getDeviceServiceArea(deviceId) {
+        const result = await this.pool.query(
+            'SELECT get_device_service_area($1) AS municipality_ids',
+            [deviceId]
+        );
+
+        return result.rows[0].municipality_ids;
+    }
+
+    /**
+     * Undo processing from a point in time onwards so late-arriving points can be
+     * processed in order: deletes the affected polylines and their segment passes,
+     * rolls back the plow counters and last-plowed times they set, rewinds trip
+     * detection to the late point and marks the points unprocessed
+     * @param {Object} client - Database client
+     * @param {string} deviceId - Device ID
+     * @param {Date} fromTime - Timestamp of the earliest late point
+     * @returns {Promise<{polylines: number, points: number}>} Number of polylines removed and points reopened
+     */
+    async reopenProcessedWindow(client, deviceId, fromTime) {
+        try {
+            await client.query('BEGIN');
+
+            // Polylines that end after the late point contain or follow it
+            const polylines = await client.query(`
+                SELECT id, batch_id
+                FROM cached_polylines
+                WHERE device_id = $1 AND end_time >= $2
+            `, [deviceId, fromTime]);
+
+            const polylineIds = polylines.rows.map(row => row.id);
+            const batchIds = polylines.rows.map(row => row.batch_id);
+
+            if (polylineIds.length > 0) {
+                // Activating passes will be counted again when the window is reprocessed
+                await client.query(`
+                    UPDATE road_segments rs
+                    SET plow_count_today = GREATEST(rs.plow_count_today - su.passes, 0),
+                        plow_count_total = GREATEST(rs.plow_count_total - su.passes, 0),
+                        updated_at = NOW()
+                    FROM (
+                        SELECT segment_id, COUNT(*) AS passes
+                        FROM segment_updates
+                        WHERE polyline_id = ANY($1) AND pass_type = 'plowing' AND activated
+                        GROUP BY segment_id
+                    ) su
+                    WHERE rs.id = su.segment_id
+                `, [polylineIds]);
+
+                const removed = await client.query(
+                    'DELETE FROM segment_updates WHERE polyline_id = ANY($1) RETURNING segment_id',
+                    [polylineIds]
+                );
+                await client.query('DELETE FROM cached_polylines WHERE id = ANY($1)', [polylineIds]);
+
+                // Roll back to the passes that remain (segments without any keep their values)
+                await client.query(
+                    'SELECT refresh_segment_last_plowed($1)',
+                    [removed.rows.map(row => row.segment_id)]
+                );
+            }
+
+            // Trips are re-detected from the late point on: drop later trips and
+            // rewind the one that was in progress at that time to its last fix
+            // before the late point, so detection resumes exactly there
+            await client.query(`
+                DELETE FROM trips
+                WHERE device_id = $1 AND start_time >= $2
+            `, [deviceId, fromTime]);
+            await client.query(`
+                WITH rewound AS (
+                    SELECT t.id, prior.recorded_at, prior.location
+                    FROM trips t
+                    LEFT JOIN LATERAL (
+                        SELECT g.recorded_at, ST_SetSRID(ST_MakePoint(g.longitude, g.latitude), 4326) AS location
+                        FROM gps_raw_data g
+                        WHERE g.device_id = t.device_id
+                          AND g.recorded_at >= t.start_time
+                          AND g.recorded_at < $2
+                          AND g.drop_reason IS NULL
+                        ORDER BY g.recorded_at DESC
+                        LIMIT 1
+                    ) prior ON TRUE
+                    WHERE t.device_id = $1
+                      AND t.start_time < $2
+                      AND (t.end_time IS NULL OR t.end_time >= $2)
+                )
+                UPDATE trips t
+                SET status = 'open',
+                    end_time = NULL, end_location = NULL, end_reason = NULL,
+                    dwell_start_time = CASE WHEN t.dwell_start_time < $2 THEN t.dwell_start_time END,
+                    dwell_location = CASE WHEN t.dwell_start_time < $2 THEN t.dwell_location END,
+                    last_point_time = COALESCE(rewound.recorded_at, t.start_time),
+                    last_location = COALESCE(rewound.location, t.start_location),
+                    updated_at = NOW()
+                FROM rewound
+                WHERE t.id = rewound.id
+            `, [deviceId, fromTime]);
+
+            // Reopen the points of those batches plus anything processed after the late point
+            // (stationary batches have no polyline)
+            const points = await client.query(`
+                UPDATE gps_raw_data
+                SET processed = FALSE, batch_id = NULL,
+                    match_status = NULL, polyline_id = NULL, snap_distance_m = NULL, drop_reason = NULL
+                WHERE device_id = $1
+                  AND processed = TRUE
+                  AND (recorded_at >= $2 OR batch_id = ANY($3))
+            `, [deviceId, fromTime, batchIds]);
+
+            await client.query('COMMIT');
+
+            return { polylines: polylineIds.length, points: points.rowCount };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+    }
+
     /**
      * Mark GPS points as processed
      * @param {Array<number>} pointIds - Array of point IDs
      * @param {string} batchId - Batch ID
+     * @param {Object} client - Database client (defaults to the pool)
      * @returns {Promise<void>}
      */
-    async markPointsAsProcessed(pointIds, batchId) {
+    async markPointsAsProcessed(pointIds, batchId, client = this.pool) {
         if (pointIds.length === 0) return;
         
-        await this.pool.query(`
+        await client.query(`
             UPDATE gps_raw_data 
             SET processed = TRUE, batch_id = $1
             WHERE id = ANY($2)
         `, [batchId, pointIds]);
     }
 
+    /**
+     * Mark filtered-out GPS points as processed and record why they were dropped
+     * @param {Array<{point: Object, reason: string}>} dropped - Points rejected by the filter
+     * @returns {Promise<void>}
+     */
+    async markPointsDropped(dropped) {
+        if (dropped.length === 0) return;
+
+        await this.pool.query(`
+            UPDATE gps_raw_data g
+            SET processed = TRUE, drop_reason = d.reason
+            FROM UNNEST($1::bigint[], $2::text[]) AS d(id, reason)
+            WHERE g.id = d.id
+        `, [
+            dropped.map(d => d.point.id),
+            dropped.map(d => d.reason)
+        ]);
+    }
+
+    /**
+     * Find the nearest road segments to each GPS point (map-matching candidates)
+     * @param {Array<Object>} points - GPS points (longitude, latitude)
+     * @param {number} radiusMeters - Search radius
+     * @param {number} limit - Maximum candidates per point
+     * @returns {Promise<Array<Array<Object>>>} Candidates per point index, nearest first
+     */
+    async findSegmentCandidates(points, radiusMeters, limit) {
+        const result = await this.pool.query(`
+            WITH pts AS (
+                SELECT idx - 1 AS point_index, ST_SetSRID(ST_MakePoint(lon, lat), 4326) AS geom
+                FROM UNNEST($1::float8[], $2::float8[]) WITH ORDINALITY AS t(lon, lat, idx)
+            )
+            SELECT p.point_index,
+                   c.id AS segment_id,
+                   c.segment_length,
+                   c.distance,
+                   ST_LineLocatePoint(c.geometry, p.geom) AS fraction,
+                   ST_X(ST_ClosestPoint(c.geometry, p.geom)) AS snapped_lon,
+                   ST_Y(ST_ClosestPoint(c.geometry, p.geom)) AS snapped_lat,
+                   ST_X(ST_StartPoint(c.geometry)) AS start_lon,
+                   ST_Y(ST_StartPoint(c.geometry)) AS start_lat,
+                   ST_X(ST_EndPoint(c.geometry)) AS end_lon,
+                   ST_Y(ST_EndPoint(c.geometry)) AS end_lat
+            FROM pts p
+            CROSS JOIN LATERAL (
+                SELECT rs.id, rs.geometry, rs.segment_length,
+                       ST_Distance(rs.geometry::geography, p.geom::geography) AS distance
+                FROM road_segments rs
+                WHERE ST_DWithin(rs.geometry::geography, p.geom::geography, $3)
+                ORDER BY rs.geometry <-> p.geom
+                LIMIT $4
+            ) c
+            ORDER BY p.point_index, c.distance
+        `, [
+            points.map(p => p.longitude),
+            points.map(p => p.latitude),
+            radiusMeters,
+            limit
+        ]);
+
+        const candidates = points.map(() => []);
+        for (const row of result.rows) {
+            candidates[row.point_index].push({
+                segmentId: row.segment_id,
+                segmentLength: row.segment_length,
+                distance: row.distance,
+                fraction: row.fraction,
+                snapped: [row.snapped_lon, row.snapped_lat],
+                start: [row.start_lon, row.start_lat],
+                end: [row.end_lon, row.end_lat]
+            });
+        }
+        return candidates;
+    }
+
+    /**
+     * Cut stretches out of road segments so matched geometry follows the road
+     * @param {Array<{segmentId: number, fromFraction: number, toFraction: number}>} pieces -
+     *   Stretches in travel order (toFraction < fromFraction runs against the segment)
+     * @returns {Promise<Array<Array<Array<number>>>>} [lon, lat] coordinates per piece
+     */
+    async getSegmentSubstrings(pieces) {
+        const result = await this.pool.query(`
+            SELECT p.idx - 1 AS piece_index,
+                   ST_AsGeoJSON(CASE
+                       WHEN p.from_fraction <= p.to_fraction
+                           THEN ST_LineSubstring(rs.geometry, p.from_fraction, p.to_fraction)
+                       ELSE ST_Reverse(ST_LineSubstring(rs.geometry, p.to_fraction, p.from_fraction))
+                   END) AS geojson
+            FROM UNNEST($1::bigint[], $2::float8[], $3::float8[]) WITH ORDINALITY AS p(segment_id, from_fraction, to_fraction, idx)
+            JOIN road_segments rs ON rs.id = p.segment_id
+        `, [
+            pieces.map(p => p.segmentId),
+            pieces.map(p => p.fromFraction),
+            pieces.map(p => p.toFraction)
+        ]);
+
+        const lines = pieces.map(() => []);
+        for (const row of result.rows) {
+            // Equal fractions give a point
+            const geometry = JSON.parse(row.geojson);
+            lines[row.piece_index] = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+        }
+        return lines;
+    }
+
+    /**
+     * Get the map matcher override of the municipality containing a point
+     * @param {number} longitude - Longitude
+     * @param {number} latitude - Latitude
+     * @returns {Promise<string|null>} Matcher name or null to use the default
+     */
+    async getMunicipalityMatcher(longitude, latitude) {
+        const result = await this.pool.query(`
+            SELECT map_matcher
+            FROM municipalities
+            WHERE ST_Contains(boundary, ST_SetSRID(ST_MakePoint($1, $2), 4326))
+            LIMIT 1
+        `, [longitude, latitude]);
+
+        return result.rows[0] ? result.rows[0].map_matcher : null;
+    }
+
+    /**
+     * Record map-matching results for GPS points
+     * @param {Array<{id: number, polylineId: number, distance: number}>} matched - Points snapped into a polyline
+     * @param {Array<number>} unmatchedIds - Points OSRM could not match (null tracepoints)
+     * @param {Object} client - Database client (defaults to the pool)
+     * @returns {Promise<void>}
+     */
+    async recordMatchResults(matched, unmatchedIds, client = this.pool) {
+        if (matched.length > 0) {
+            await client.query(`
+                UPDATE gps_raw_data g
+                SET match_status = 'matched', polyline_id = m.polyline_id, snap_distance_m = m.distance
+                FROM UNNEST($1::bigint[], $2::bigint[], $3::real[]) AS m(id, polyline_id, distance)
+                WHERE g.id = m.id
+            `, [
+                matched.map(p => p.id),
+                matched.map(p => p.polylineId),
+                matched.map(p => p.distance)
+            ]);
+        }
+
+        if (unmatchedIds.length > 0) {
+            await client.query(`
+                UPDATE gps_raw_data
+                SET match_status = 'unmatched', polyline_id = NULL, snap_distance_m = NULL
+                WHERE id = ANY($1)
+            `, [unmatchedIds]);
+        }
+    }
+
     /**
      * Save a polyline to the cache
      * @param {Object} polylineData - Polyline data
-     * @returns {Promise<number>} Polyline ID
+     * @param {Object} client - Database client (defaults to the pool)
+     * @returns {Promise<{id: number, municipalityIds: Array<string>}>} Polyline ID and the municipalities it falls in
      */
-    async savePolyline(polylineData) {
-        const result = await this.pool.query(`
+    async savePolyline(polylineData, client = this.pool) {
+        const result = await client.query(`
             INSERT INTO cached_polylines (
                 device_id, start_time, end_time, encoded_polyline,
                 geometry, bearing,
-                osrm_confidence, point_count, batch_id, osrm_duration_ms
-            ) VALUES ($1, $2, $3, $4, ST_GeomFromText($5, 4326), $6, $7, $8, $9, $10)
+                osrm_confidence, point_count, batch_id, osrm_duration_ms,
+                blade_down, spreader_on, matcher, municipality_ids
+            ) VALUES (
+                $1, $2, $3, $4, ST_GeomFromText($5, 4326), $6, $7, $8, $9, $10, $11, $12, $13,
+                -- Every municipality the polyline crosses into, even briefly
+                ARRAY(
+                    SELECT id FROM municipalities
+                    WHERE ST_Intersects(boundary, ST_GeomFromText($5, 4326))
+                    ORDER BY id
+                )
+            )
             ON CONFLICT (device_id, start_time, end_time) 
             DO UPDATE SET 
                 encoded_polyline = EXCLUDED.encoded_polyline,
@@ -86,8 +393,12 @@ class DatabaseService {
                 bearing = EXCLUDED.bearing,
                 osrm_confidence = EXCLUDED.osrm_confidence,
                 batch_id = EXCLUDED.batch_id,
-                osrm_duration_ms = EXCLUDED.osrm_duration_ms
-            RETURNING id
+                osrm_duration_ms = EXCLUDED.osrm_duration_ms,
+                blade_down = EXCLUDED.blade_down,
+                spreader_on = EXCLUDED.spreader_on,
+                matcher = EXCLUDED.matcher,
+                municipality_ids = EXCLUDED.municipality_ids
+            RETURNING id, municipality_ids
         `, [
             polylineData.deviceId,
             polylineData.startTime,
@@ -98,10 +409,16 @@ class DatabaseService {
             polylineData.confidence,
             polylineData.pointCount,
             polylineData.batchId,
-            polylineData.osrmDuration
+            polylineData.osrmDuration,
+            polylineData.bladeDown,
+            polylineData.spreaderOn,
+            polylineData.matcher || 'osrm'
         ]);
         
-        return result.rows[0].id;
+        return {
+            id: result.rows[0].id,
+            municipalityIds: result.rows[0].municipality_ids
+        };
     }
 
     /**
@@ -157,6 +474,218 @@ class DatabaseService {
         return parseInt(result.rows[0].failure_count) || 0;
     }
 
+    /**
+     * Get trip detection state for a device
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<{openTrip: Object|null, lastPointTime: Date|null}>} Open trip and the
+     *   latest point already covered by trip detection
+     */
+    async getTripState(deviceId) {
+        const result = await this.pool.query(`
+            SELECT id, status,
+                   start_time, ST_X(start_location) AS start_lon, ST_Y(start_location) AS start_lat,
+                   last_point_time, ST_X(last_location) AS last_lon, ST_Y(last_location) AS last_lat,
+                   dwell_start_time, ST_X(dwell_location) AS dwell_lon, ST_Y(dwell_location) AS dwell_lat
+            FROM trips
+            WHERE device_id = $1
+            ORDER BY (status = 'open') DESC, last_point_time DESC
+            LIMIT 1
+        `, [deviceId]);
+
+        const row = result.rows[0];
+        if (!row) {
+            return { openTrip: null, lastPointTime: null };
+        }
+
+        const fix = (time, longitude, latitude) => ({ time: new Date(time), longitude, latitude });
+        return {
+            openTrip: row.status === 'open' ? {
+                id: row.id,
+                start: fix(row.start_time, row.start_lon, row.start_lat),
+                last: fix(row.last_point_time, row.last_lon, row.last_lat),
+                dwell: row.dwell_start_time ? fix(row.dwell_start_time, row.dwell_lon, row.dwell_lat) : null
+            } : null,
+            lastPointTime: new Date(row.last_point_time)
+        };
+    }
+
+    /**
+     * Persist trip detection results
+     * @param {string} deviceId - Device ID
+     * @param {Array<Object>} closedTrips - Trips closed by the latest points (from TripDetector)
+     * @param {Object|null} openTrip - Trip still open, or null
+     * @param {number} minTripMeters - Closed trips shorter than this are discarded (yard moves)
+     * @returns {Promise<{closed: number, discarded: number}>} Counts of closed and discarded trips
+     */
+    async saveTrips(deviceId, closedTrips, openTrip, minTripMeters) {
+        const client = await this.pool.connect();
+        const point = (index) => `ST_SetSRID(ST_MakePoint($${index}, $${index + 1}), 4326)`;
+
+        try {
+            await client.query('BEGIN');
+
+            const tripIds = [];
+            const trips = [
+                ...closedTrips.map(trip => ({ ...trip, status: 'closed' })),
+                ...(openTrip ? [{ ...openTrip, status: 'open', end: null, endReason: null }] : [])
+            ];
+
+            for (const trip of trips) {
+                const end = trip.end || { time: null, longitude: null, latitude: null };
+                const dwell = trip.dwell || { time: null, longitude: null, latitude: null };
+                const params = [
+                    trip.status,
+                    trip.start.time, trip.start.longitude, trip.start.latitude,
+                    trip.last.time, trip.last.longitude, trip.last.latitude,
+                    dwell.time, dwell.longitude, dwell.latitude,
+                    end.time, end.longitude, end.latitude,
+                    trip.endReason
+                ];
+                const dwellLocation = `CASE WHEN $8::timestamptz IS NULL THEN NULL ELSE ${point(9)} END`;
+                const endLocation = `CASE WHEN $11::timestamptz IS NULL THEN NULL ELSE ${point(12)} END`;
+
+                let result;
+                if (trip.id) {
+                    result = await client.query(`
+                        UPDATE trips
+                        SET status = $1,
+                            start_time = $2, start_location = ${point(3)},
+                            last_point_time = $5, last_location = ${point(6)},
+                            dwell_start_time = $8, dwell_location = ${dwellLocation},
+                            end_time = $11, end_location = ${endLocation},
+                            end_reason = $14,
+                            updated_at = NOW()
+                        WHERE id = $15
+                        RETURNING id
+                    `, [...params, trip.id]);
+                } else {
+                    result = await client.query(`
+                        INSERT INTO trips (
+                            status, start_time, start_location,
+                            last_point_time, last_location,
+                            dwell_start_time, dwell_location,
+                            end_time, end_location, end_reason, device_id
+                        ) VALUES (
+                            $1, $2, ${point(3)},
+                            $5, ${point(6)},
+                            $8, ${dwellLocation},
+                            $11, ${endLocation}, $14, $15
+                        )
+                        RETURNING id
+                    `, [...params, deviceId]);
+                }
+                tripIds.push(result.rows[0].id);
+            }
+
+            const discarded = await this.refreshTripStats(client, tripIds, minTripMeters);
+
+            await client.query('COMMIT');
+            return { closed: closedTrips.length - discarded, discarded };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Recompute trip distance, point count and max speed from gps_raw_data,
+     * then discard closed trips that are too short to be real trips
+     * @param {Object} client - Database client
+     * @param {Array<number>} tripIds - Trips to refresh
+     * @param {number} minTripMeters - Minimum distance of a closed trip
+     * @returns {Promise<number>} Number of trips discarded
+     */
+    async refreshTripStats(client, tripIds, minTripMeters) {
+        if (tripIds.length === 0) return 0;
+
+        await client.query(`
+            UPDATE trips t
+            SET distance_meters = COALESCE(s.distance, 0),
+                point_count = s.point_count,
+                max_speed = s.max_speed,
+                updated_at = NOW()
+            FROM trips t2
+            CROSS JOIN LATERAL (
+                SELECT COUNT(*) AS point_count,
+                       MAX(g.speed) AS max_speed,
+                       ST_Length(ST_MakeLine(
+                           ST_SetSRID(ST_MakePoint(g.longitude, g.latitude), 4326) ORDER BY g.recorded_at
+                       )::geography) AS distance
+                FROM gps_raw_data g
+                WHERE g.device_id = t2.device_id
+                  AND g.recorded_at BETWEEN t2.start_time AND COALESCE(t2.end_time, t2.last_point_time)
+                  AND g.drop_reason IS NULL
+            ) s
+            WHERE t.id = t2.id AND t.id = ANY($1)
+        `, [tripIds]);
+
+        const discarded = await client.query(`
+            DELETE FROM trips
+            WHERE id = ANY($1) AND status = 'closed' AND distance_meters < $2
+        `, [tripIds, minTripMeters]);
+
+        return discarded.rowCount;
+    }
+
+    /**
+     * Close open trips whose tracker has been silent longer than maxGapSeconds
+     * (the vehicle was switched off, so no later point will close them)
+     * @param {number} maxGapSeconds - Silence that ends a trip
+     * @param {number} minTripMeters - Minimum distance of a closed trip
+     * @returns {Promise<number>} Number of trips closed
+     */
+    async closeStaleTrips(maxGapSeconds, minTripMeters) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE trips
+                SET status = 'closed',
+                    end_time = COALESCE(dwell_start_time, last_point_time),
+                    end_location = COALESCE(dwell_location, last_location),
+                    end_reason = CASE WHEN dwell_start_time IS NOT NULL THEN 'stop' ELSE 'signal_lost' END,
+                    updated_at = NOW()
+                WHERE status = 'open'
+                  AND last_point_time < NOW() - ($1 * INTERVAL '1 second')
+                RETURNING id
+            `, [maxGapSeconds]);
+
+            const tripIds = result.rows.map(row => row.id);
+            const discarded = await this.refreshTripStats(client, tripIds, minTripMeters);
+
+            await client.query('COMMIT');
+            return tripIds.length - discarded;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Get devices whose oldest unprocessed point is older than maxAgeMs
+     * @param {number} maxAgeMs - Age threshold in milliseconds
+     * @returns {Promise<Array>} Rows with device_id, point_count, oldest_recorded_at
+     */
+    async getStaleUnprocessedDevices(maxAgeMs) {
+        const result = await this.pool.query(`
+            SELECT device_id,
+                   COUNT(*) AS point_count,
+                   MIN(recorded_at) AS oldest_recorded_at
+            FROM gps_raw_data
+            WHERE processed = FALSE
+            GROUP BY device_id
+            HAVING MIN(recorded_at) < NOW() - ($1 * INTERVAL '1 millisecond')
+        `, [maxAgeMs]);
+
+        return result.rows;
+    }
+
     /**
      * Get processing statistics
      * @returns {Promise<Object>} Statistics object
@@ -166,6 +695,149 @@ class DatabaseService {
         return result.rows[0];
     }
 
+    /**
+     * Record the start of a scheduled maintenance run
+     * @param {string} task - 'daily_reset' or 'retention'
+     * @param {string} workerName - Worker running the task
+     * @returns {Promise<number>} Run ID
+     */
+    async startMaintenanceRun(task, workerName) {
+        const result = await this.pool.query(`
+            INSERT INTO maintenance_runs (task, worker_name)
+            VALUES ($1, $2)
+            RETURNING id
+        `, [task, workerName]);
+
+        return result.rows[0].id;
+    }
+
+    /**
+     * Record the outcome of a maintenance run
+     * @param {number} runId - Run ID
+     * @param {Object} outcome - {status, rowsAffected, details, errorMessage}
+     * @returns {Promise<void>}
+     */
+    async finishMaintenanceRun(runId, outcome) {
+        await this.pool.query(`
+            UPDATE maintenance_runs
+            SET status = $2,
+                finished_at = NOW(),
+                duration_ms = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::INTEGER,
+                rows_affected = $3,
+                details = $4,
+                error_message = $5
+            WHERE id = $1
+        `, [
+            runId,
+            outcome.status,
+            outcome.rowsAffected ?? null,
+            outcome.details ? JSON.stringify(outcome.details) : null,
+            outcome.errorMessage || null
+        ]);
+    }
+
+    /**
+     * Get when a maintenance task last ran (completed, or still running on another worker)
+     * @param {string} task - Task name
+     * @returns {Promise<Date|null>} Start time of the last run, or null if it never ran
+     */
+    async getLastMaintenanceRunTime(task) {
+        const result = await this.pool.query(`
+            SELECT MAX(started_at) AS started_at
+            FROM maintenance_runs
+            WHERE task = $1
+              AND (
+                  status = 'completed'
+                  -- A worker that died mid-run leaves 'running' behind; don't let it block forever
+                  OR (status = 'running' AND started_at > NOW() - INTERVAL '1 hour')
+              )
+        `, [task]);
+
+        return result.rows[0].started_at;
+    }
+
+    /**
+     * Get municipalities that have passed local midnight since a point in time
+     * @param {Date|null} since - Last daily reset (null = never)
+     * @returns {Promise<Array<string>>} Municipality IDs ('unassigned' for segments
+     *   without a municipality, which follow the default timezone)
+     */
+    async getMunicipalitiesPastMidnight(since) {
+        const result = await this.pool.query(`
+            SELECT id
+            FROM (
+                SELECT id, timezone FROM municipalities
+                UNION ALL
+                SELECT 'unassigned', 'America/New_York'
+                WHERE EXISTS (SELECT 1 FROM road_segments WHERE municipality_id IS NULL)
+            ) zones
+            WHERE $1::timestamptz IS NULL
+               OR (NOW() AT TIME ZONE timezone)::DATE > ($1::timestamptz AT TIME ZONE timezone)::DATE
+            ORDER BY id
+        `, [since]);
+
+        return result.rows.map(row => row.id);
+    }
+
+    /**
+     * Reset plow_count_today for segments whose municipality has passed local midnight
+     * @returns {Promise<number>} Number of segments reset
+     */
+    async resetDailyPlowCounts() {
+        const result = await this.pool.query('SELECT reset_daily_plow_counts() AS reset_count');
+        return result.rows[0].reset_count;
+    }
+
+    /**
+     * Delete processed GPS points recorded before a cutoff, in batches
+     * @param {Date} cutoff - Points recorded before this are deleted
+     * @param {number} batchSize - Rows deleted per statement
+     * @returns {Promise<number>} Number of points deleted
+     */
+    async purgeGpsRawData(cutoff, batchSize) {
+        let deleted = 0;
+        let rowCount;
+        do {
+            const result = await this.pool.query(`
+                DELETE FROM gps_raw_data
+                WHERE id IN (
+                    SELECT id FROM gps_raw_data
+                    WHERE processed = TRUE AND recorded_at < $1
+                    LIMIT $2
+                )
+            `, [cutoff, batchSize]);
+            rowCount = result.rowCount;
+            deleted += rowCount;
+        } while (rowCount === batchSize);
+
+        return deleted;
+    }
+
+    /**
+     * Delete processing log entries created before a cutoff, in batches
+     * @param {Date} cutoff - Entries created before this are deleted
+     * @param {number} batchSize - Rows deleted per statement
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async purgeProcessingLog(cutoff, batchSize) {
+        let deleted = 0;
+        let rowCount;
+        do {
+            const result = await this.pool.query(`
+                DELETE FROM processing_log
+                WHERE id IN (
+                    SELECT id FROM processing_log
+                    WHERE created_at < $1
+                    LIMIT $2
+                )
+            `, [cutoff, batchSize]);
+            rowCount = result.rowCount;
+            deleted += rowCount;
+        } while (rowCount === batchSize);
+
+        return deleted;
+    }
+
     /**
      * Close the database pool
      * @returns {Promise<void>}
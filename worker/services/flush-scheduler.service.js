@@ -0,0 +1,85 @@
+/**
+ * Flush Scheduler Service
+ * Queues devices whose unprocessed points have been waiting too long.
+ *
+ * The listener only queues a device once it has 4+ unprocessed points, so a
+ * truck that parks or loses power after fewer points would leave the tail of
+ * its route undrawn until it moves again. Every worker runs the scheduler,
+ * but a short Redis lock lets only one of them scan per interval.
+ */
+
+class FlushSchedulerService {
+    /**
+     * @param {Object} databaseService - Worker database service
+     * @param {Object} queue - JobQueueService
+     * @param {Object} redis - Connected node-redis client (for the scan lock)
+     * @param {Object} flushConfig - config.flush
+     * @param {string} ownerName - Lock owner (worker name)
+     * @param {Object} logger - Logger instance
+     */
+    constructor(databaseService, queue, redis, flushConfig, ownerName, logger = null) {
+        this.db = databaseService;
+        this.queue = queue;
+        this.redis = redis;
+        this.config = flushConfig;
+        this.ownerName = ownerName;
+        this.logger = logger;
+        this.timer = null;
+    }
+
+    /**
+     * Start scanning on an interval
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch((error) => {
+                if (this.logger) {
+                    this.logger.error('Flush scan failed', { error: error.message });
+                }
+            });
+        }, this.config.intervalMs);
+
+        if (this.logger) {
+            this.logger.info(`Flush scheduler started (every ${this.config.intervalMs / 1000}s, max age ${this.config.maxAgeMs / 1000}s)`);
+        }
+    }
+
+    /**
+     * Stop scanning
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queue every device with stale unprocessed points, if this worker holds the lock
+     * @returns {Promise<number>} Number of devices queued
+     */
+    async runOnce() {
+        // Expires just before the next tick so the lock never needs releasing
+        const locked = await this.redis.set(this.config.lockKey, this.ownerName, {
+            NX: true,
+            PX: Math.max(this.config.intervalMs - 1000, 1000)
+        });
+        if (!locked) return 0;
+
+        const devices = await this.db.getStaleUnprocessedDevices(this.config.maxAgeMs);
+
+        let queued = 0;
+        for (const device of devices) {
+            if (await this.queue.enqueueDevice(device.device_id)) {
+                queued++;
+                if (this.logger) {
+                    this.logger.info(`⏰ Flushing ${device.device_id}: ${device.point_count} point(s) waiting since ${new Date(device.oldest_recorded_at).toISOString()}`);
+                }
+            }
+        }
+
+        return queued;
+    }
+}
+
+module.exports = FlushSchedulerService;
@@ -5,16 +5,25 @@
 
 const BatchProcessor = require('./batch-processor');
 const OSRMService = require('./osrm.service');
+const PostGISMatcherService = require('./postgis-matcher.service');
+const MapMatcherService = require('./map-matcher.service');
 const SegmentActivationService = require('./segment-activation.service');
-const { calculateDistance } = require('../utils/geo-calculations');
+const TripDetector = require('./trip-detector');
+const { calculateDistance, splitLineAtPoints } = require('../utils/geo-calculations');
+const { getImplementState, isBladeDown } = require('../utils/io-elements');
 
 class GPSProcessor {
     constructor(databaseService, config) {
         this.db = databaseService;
         this.config = config;
         this.batchProcessor = new BatchProcessor(config.processing);
-        this.osrm = new OSRMService(config.osrm.baseUrl);
-        this.segmentActivator = new SegmentActivationService();
+        this.osrm = new OSRMService(config.osrm.baseUrl, config.osrm.match);
+        this.matcher = new MapMatcherService({
+            osrm: this.osrm,
+            postgis: new PostGISMatcherService(databaseService, config.matching.postgis)
+        }, databaseService, config.matching);
+        this.segmentActivator = new SegmentActivationService(config.activation);
+        this.tripDetector = new TripDetector(config.trips);
         this.logger = null; // Will be set by Worker
     }
 
@@ -24,16 +33,18 @@ class GPSProcessor {
      */
     setLogger(logger) {
         this.logger = logger;
-        // Pass logger to segment activator as well
+        // Pass logger to segment activator and matcher as well
         if (this.segmentActivator) {
             this.segmentActivator.setLogger(logger);
         }
+        this.matcher.setLogger(logger);
     }
 
     /**
      * Process GPS data for a device
      * @param {string} deviceId - Device ID to process
      * @returns {Promise<void>}
+     * @throws {Error} If processing failed (the job is retried or dead-lettered)
      */
     async processDevice(deviceId) {
         const client = await this.db.getClient();
@@ -46,6 +57,7 @@ class GPSProcessor {
             } else {
                 console.error(`❌ Error processing device ${deviceId}:`, error);
             }
+            throw error;
         } finally {
             client.release();
         }
@@ -63,10 +75,43 @@ class GPSProcessor {
         }
         
         // Get the last processed point for seamless connection
-        const lastProcessed = await this.db.getLastProcessedPoint(deviceId);
+        let lastProcessed = await this.db.getLastProcessedPoint(deviceId);
         
         // Get unprocessed GPS points
-        const unprocessedPoints = await this.db.getUnprocessedPoints(deviceId);
+        let unprocessedPoints = await this.db.getUnprocessedPoints(deviceId);
+        
+        // Buffered uploads can arrive after newer points were processed. Splicing them onto
+        // the end would draw a line back in time, so reprocess the window they belong to.
+        if (lastProcessed && unprocessedPoints.length > 0 &&
+            new Date(unprocessedPoints[0].recorded_at) < new Date(lastProcessed.recorded_at)) {
+            const fromTime = unprocessedPoints[0].recorded_at;
+            const reopened = await this.db.reopenProcessedWindow(client, deviceId, fromTime);
+            if (this.logger) {
+                this.logger.warn(`   ⏪ Late points from ${new Date(fromTime).toISOString()} - reprocessing ${reopened.points} points (${reopened.polylines} polylines removed)`);
+            }
+            
+            lastProcessed = await this.db.getLastProcessedPoint(deviceId);
+            unprocessedPoints = await this.db.getUnprocessedPoints(deviceId);
+        }
+        
+        // Drop spikes, bad fixes and parked jitter before they reach the matcher
+        if (unprocessedPoints.length > 0) {
+            const { kept, dropped } = this.batchProcessor.filterPoints(unprocessedPoints, lastProcessed);
+            if (dropped.length > 0) {
+                await this.db.markPointsDropped(dropped);
+                if (this.logger) {
+                    const reasons = {};
+                    for (const { reason } of dropped) {
+                        reasons[reason] = (reasons[reason] || 0) + 1;
+                    }
+                    const summary = Object.entries(reasons).map(([reason, count]) => `${reason}: ${count}`).join(', ');
+                    this.logger.info(`   🧹 Dropped ${dropped.length} GPS point(s) (${summary})`);
+                }
+            }
+            unprocessedPoints = kept;
+        }
+        
+        await this.updateTrips(deviceId, unprocessedPoints, lastProcessed);
         
         // Combine points for processing
         let allPoints = [];
@@ -93,6 +138,16 @@ class GPSProcessor {
             if (this.logger) {
                 this.logger.warn(`   ⚠️  Not enough points (need at least 2, have ${allPoints.length})`);
             }
+
+            // A lone point the flush scheduler picked up will never get a partner;
+            // retire it so the device isn't flushed again every interval
+            const lone = unprocessedPoints[0];
+            if (lone && Date.now() - new Date(lone.recorded_at) > this.config.flush.maxAgeMs) {
+                await this.db.markPointsAsProcessed([lone.id], this.batchProcessor.generateBatchId());
+                if (this.logger) {
+                    this.logger.info(`   🗑️  Retired lone stale point ${lone.id} (nothing to draw)`);
+                }
+            }
             return;
         }
 
@@ -106,24 +161,126 @@ class GPSProcessor {
             this.logger.info(`   📦 Grouped into ${batches.length} time window(s)`);
         }
         
+        // Which inputs report blade down / spreader on for this device
+        const ioMapping = await this.db.getDeviceIOMapping(deviceId);
+        
+        // Which municipalities' roads this device may activate
+        const serviceArea = await this.db.getDeviceServiceArea(deviceId);
+        
         for (const batch of batches) {
             // Only mark the NEW points as processed
             const newPointsInBatch = batch.filter(p => 
                 !lastProcessed || p.id !== lastProcessed.id
             );
-            await this.processBatch(client, deviceId, batch, newPointsInBatch);
+            await this.processBatch(client, deviceId, batch, newPointsInBatch, ioMapping, serviceArea);
+        }
+    }
+
+    /**
+     * Advance trip detection over newly accepted points and persist the result
+     * @param {string} deviceId - Device ID
+     * @param {Array} points - Filtered unprocessed points in time order
+     * @param {Object|null} lastProcessed - Last processed point (context for the first move)
+     * @returns {Promise<void>}
+     */
+    async updateTrips(deviceId, points, lastProcessed) {
+        if (points.length === 0) return;
+
+        // A retried job sees points that trip detection already covered
+        const { openTrip, lastPointTime } = await this.db.getTripState(deviceId);
+        const seen = lastPointTime ? points.filter(p => new Date(p.recorded_at) <= lastPointTime) : [];
+        const fresh = points.slice(seen.length);
+        if (fresh.length === 0) return;
+
+        const previous = seen.length > 0 ? seen[seen.length - 1] : lastProcessed;
+        const { closed, open } = this.tripDetector.detect(openTrip, fresh, previous);
+        if (closed.length === 0 && !open) return;
+
+        const result = await this.db.saveTrips(deviceId, closed, open, this.config.trips.minTripMeters);
+
+        if (this.logger) {
+            for (const trip of closed) {
+                const minutes = (trip.end.time - trip.start.time) / 1000 / 60;
+                this.logger.info(`   🏁 Trip ended (${trip.endReason}): ${trip.start.time.toISOString()} → ${trip.end.time.toISOString()} (${minutes.toFixed(0)} min)`);
+            }
+            if (open && !openTrip) {
+                this.logger.info(`   🚦 Trip started at ${open.start.time.toISOString()}`);
+            }
+            if (result.discarded > 0) {
+                this.logger.info(`   ⏭️  Discarded ${result.discarded} trip(s) shorter than ${this.config.trips.minTripMeters}m`);
+            }
         }
     }
 
+    /**
+     * Split a matching into runs of consistent blade state. Points that don't
+     * report the blade stay in the run they fall in. Each run's geometry goes
+     * from its first fix to the first fix of the next run, so the stretch where
+     * the blade changed counts with the earlier state.
+     * @param {Object} matching - Matching from the map matcher (tracepoints with location)
+     * @param {Array<Object>} batch - Batch points the tracepoints index into
+     * @param {Object|null} ioMapping - Device IO mapping
+     * @returns {Array<Object>} The matching, or one matching per run (flagged bladeRun)
+     */
+    splitByBladeState(matching, batch, ioMapping) {
+        const runs = [];
+        let state = null;
+
+        for (const tracepoint of matching.tracepoints) {
+            const bladeDown = isBladeDown(batch[tracepoint.index], ioMapping);
+            if (runs.length === 0 || (bladeDown !== null && state !== null && bladeDown !== state)) {
+                runs.push([]);
+            }
+            if (bladeDown !== null) {
+                state = bladeDown;
+            }
+            runs[runs.length - 1].push(tracepoint);
+        }
+
+        // Without snapped locations there is nowhere to cut the geometry
+        if (runs.length < 2 || matching.tracepoints.some(t => !t.location)) {
+            return [matching];
+        }
+
+        // Cut at every fix, not just the run starts, so the cuts follow the
+        // route in order; pieces[k] runs from fix k-1 to fix k
+        const pieces = splitLineAtPoints(matching.coordinates, matching.tracepoints.map(t => t.location));
+        if (this.logger) {
+            this.logger.info(`   🔀 Blade changed ${runs.length - 1} time(s) - split matching into ${runs.length} passes`);
+        }
+
+        let first = 0;
+        return runs.map((tracepoints, i) => {
+            // From the run's first fix to the next run's first fix; the first run
+            // also takes the geometry before its first fix, the last the geometry after its last
+            const end = i === runs.length - 1 ? pieces.length : first + tracepoints.length + 1;
+            const coordinates = [];
+            for (const piece of pieces.slice(i === 0 ? 0 : first + 1, end)) {
+                for (const coord of piece) {
+                    const previous = coordinates[coordinates.length - 1];
+                    if (!previous || previous[0] !== coord[0] || previous[1] !== coord[1]) {
+                        coordinates.push(coord);
+                    }
+                }
+            }
+            first += tracepoints.length;
+
+            return { ...matching, coordinates, tracepoints, bladeRun: true };
+        });
+    }
+
     /**
      * Process a single batch of GPS points
      * @param {Object} client - Database client
      * @param {string} deviceId - Device ID
      * @param {Array} batch - Batch of GPS points
      * @param {Array} newPointsInBatch - New points in the batch
+     * @param {Object|null} ioMapping - Device IO mapping for blade/spreader detection
+     * @param {Array<string>|null} serviceArea - Municipalities the device serves (null = unrestricted)
      * @returns {Promise<void>}
+     * @throws {Error} If the batch failed and its points were not abandoned (the job is retried)
      */
-    async processBatch(client, deviceId, batch, newPointsInBatch) {
+    async processBatch(client, deviceId, batch, newPointsInBatch, ioMapping = null, serviceArea = null) {
         // Sort batch by recorded_at
         batch.sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
         
@@ -162,48 +319,128 @@ class GPSProcessor {
         });
         
         try {
-            // Call OSRM to match route
+            // Match route (OSRM, or the PostGIS fallback when it is unavailable)
             const osrmStart = Date.now();
-            const coordinates = batch.map(p => [p.longitude, p.latitude]);
-            const matchedRoute = await this.osrm.matchRoute(coordinates);
+            const match = await this.matcher.matchRoute(batch);
             const osrmDuration = Date.now() - osrmStart;
             
-            if (!matchedRoute) {
-                throw new Error('OSRM returned no matched route');
+            if (!match) {
+                throw new Error('No map matcher returned a matched route');
             }
+            const matchedRoute = match.result;
             
-            // Process the matched route
-            const polylineData = this.batchProcessor.processMatchedRoute(matchedRoute);
-            if (!polylineData) {
-                throw new Error('Failed to process matched route');
-            }
+            // OSRM splits the trace where it can't connect points (U-turns, gaps);
+            // save one polyline per matching so no part of the batch is lost.
+            // Matchings are split again where the blade goes up or down, so a
+            // pass is only plowing where the blade was actually down
+            const matchings = matchedRoute.matchings.flatMap(m => this.splitByBladeState(m, batch, ioMapping));
+            const newPointIds = new Set(pointIds);
+            const matchedPoints = [];
+            const unmatchedIds = matchedRoute.unmatchedIndices
+                .map(index => batch[index].id)
+                .filter(id => newPointIds.has(id));
+            const passTypes = [];
+            let lastPolylineId = null;
             
-            // Save polyline
-            const polylineId = await this.db.savePolyline({
-                deviceId,
-                startTime,
-                endTime,
-                encodedPolyline: polylineData.encodedPolyline,
-                wkt: polylineData.wkt,
-                bearing: polylineData.bearing,
-                confidence: polylineData.confidence,
-                pointCount: newPointsInBatch.length,
-                batchId,
-                osrmDuration
-            });
+            // Polylines, their segment activations and the processed flags commit
+            // together, so a failure part-way leaves nothing behind to double count on retry
+            await client.query('BEGIN');
+            try {
+                for (const matching of matchings) {
+                    const matchPoints = matching.tracepoints.map(t => batch[t.index]);
+                    const matchNewPoints = matching.tracepoints.filter(t => newPointIds.has(batch[t.index].id));
+                
+                    // Process the matched route (a blade-state run may be a single fix
+                    // plus the road up to the next run)
+                    const polylineData = matchPoints.length >= 2 || matching.bladeRun
+                        ? this.batchProcessor.processMatchedRoute(matching)
+                        : null;
+                    if (!polylineData) {
+                        // The blade changed at the last fix: nothing left to draw, the
+                        // fix is the end of the previous run (the next batch starts there)
+                        if (matching.bladeRun && lastPolylineId) {
+                            for (const tracepoint of matchNewPoints) {
+                                matchedPoints.push({
+                                    id: batch[tracepoint.index].id,
+                                    polylineId: lastPolylineId,
+                                    distance: tracepoint.distance
+                                });
+                            }
+                            continue;
+                        }
+                        if (this.logger) {
+                            this.logger.warn(`   ⚠️  Skipping matching with ${matchPoints.length} tracepoint(s) - no usable geometry`);
+                        }
+                        unmatchedIds.push(...matchNewPoints.map(t => batch[t.index].id));
+                        continue;
+                    }
+                
+                    const matchStart = matchPoints[0].recorded_at;
+                    const matchEnd = matchPoints[matchPoints.length - 1].recorded_at;
+                
+                    // Blade up throughout the run = deadheading; unknown (no sensor) counts as plowing
+                    const implementState = getImplementState(matchPoints, ioMapping);
+                    const passType = implementState.bladeDown === false ? 'deadheading' : 'plowing';
+                    passTypes.push(passType);
+                
+                    // Save polyline
+                    const { id: polylineId, municipalityIds } = await this.db.savePolyline({
+                        deviceId,
+                        startTime: matchStart,
+                        endTime: matchEnd,
+                        encodedPolyline: polylineData.encodedPolyline,
+                        wkt: polylineData.wkt,
+                        bearing: polylineData.bearing,
+                        confidence: polylineData.confidence,
+                        pointCount: matchPoints.length,
+                        batchId,
+                        osrmDuration,
+                        bladeDown: implementState.bladeDown,
+                        spreaderOn: implementState.spreaderOn,
+                        matcher: match.matcher
+                    }, client);
+                    lastPolylineId = polylineId;
+                
+                    if (serviceArea && this.logger) {
+                        const outside = municipalityIds.filter(id => !serviceArea.includes(id));
+                        if (outside.length > 0) {
+                            this.logger.info(`   🚧 Crossed into ${outside.join(', ')} (outside service area) - not activating those roads`);
+                        }
+                    }
+                
+                    // Activate road segments
+                    await this.segmentActivator.activateSegments(
+                        client, 
+                        polylineId, 
+                        deviceId, 
+                        polylineData.wkt, 
+                        matchEnd,
+                        passType,
+                        serviceArea
+                    );
+                
+                    for (const tracepoint of matchNewPoints) {
+                        matchedPoints.push({
+                            id: batch[tracepoint.index].id,
+                            polylineId,
+                            distance: tracepoint.distance
+                        });
+                    }
+                }
             
-            // Activate road segments
-            await this.segmentActivator.activateSegments(
-                client, 
-                polylineId, 
-                deviceId, 
-                polylineData.wkt, 
-                polylineData.bearing, 
-                endTime
-            );
+                if (passTypes.length === 0) {
+                    throw new Error(`${match.matcher} returned no usable matching`);
+                }
             
-            // Mark points as processed
-            await this.db.markPointsAsProcessed(pointIds, batchId);
+                // Mark points as processed and record which ones OSRM dropped
+                await this.db.markPointsAsProcessed(pointIds, batchId, client);
+                await this.db.recordMatchResults(matchedPoints, unmatchedIds, client);
+
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            }
             
             // Update processing log - success
             await this.db.logProcessing({
@@ -214,11 +451,12 @@ class GPSProcessor {
                 coordinateCount: newPointsInBatch.length,
                 status: 'completed',
                 osrmCalls: 1,
-                osrmSuccessRate: 1.0
+                osrmSuccessRate: pointIds.length > 0 ? matchedPoints.length / pointIds.length : 1.0
             });
             
             if (this.logger) {
-                this.logger.info(`   ✅ Batch processed successfully (${osrmDuration}ms, bearing: ${polylineData.bearing ? polylineData.bearing.toFixed(1) : 'N/A'}°)`);
+                const unmatchedNote = unmatchedIds.length > 0 ? `, ${unmatchedIds.length} unmatched` : '';
+                this.logger.info(`   ✅ Batch processed successfully (${match.matcher}, ${osrmDuration}ms, ${passTypes.length} matching(s): ${passTypes.join('/')}${unmatchedNote})`);
             }
             
         } catch (error) {
@@ -233,7 +471,8 @@ class GPSProcessor {
             }
 
             // After max retries, mark points as processed
-            if (failureCount >= this.config.processing.maxRetries && pointIds.length > 0) {
+            const abandoned = failureCount >= this.config.processing.maxRetries && pointIds.length > 0;
+            if (abandoned) {
                 if (this.logger) {
                     this.logger.warn(`   🗑️  Permanently abandoning ${pointIds.length} points after ${failureCount} failures`);
                 }
@@ -251,6 +490,12 @@ class GPSProcessor {
                 errorMessage: error.message,
                 errorCode: error.code || 'UNKNOWN'
             });
+
+            // Fail the job so it is retried (or dead-lettered) instead of acked;
+            // abandoned points are done with, so later batches can go ahead
+            if (!abandoned) {
+                throw error;
+            }
         }
     }
 }
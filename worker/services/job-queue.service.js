@@ -0,0 +1,288 @@
+/**
+ * Job Queue Service
+ * Redis Streams consumer group for device processing jobs.
+ *
+ * The listener XADDs a job per device (deduplicated by the gps:devices_queued set).
+ * Workers read with XREADGROUP and XACK when done. Jobs left pending by a crashed
+ * or failing worker are reclaimed with XAUTOCLAIM once idle, and jobs delivered
+ * too many times are moved to a dead-letter stream.
+ *
+ * The jobs stream is not trimmed by length: that would drop entries still pending
+ * in the group. Instead each job is deleted once acknowledged, so the stream only
+ * holds jobs that are new or in flight (at most one per device).
+ */
+
+/**
+ * Compare two stream entry IDs ("<ms>-<seq>")
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareStreamIds(a, b) {
+    const [aMs, aSeq] = a.split('-').map(BigInt);
+    const [bMs, bSeq] = b.split('-').map(BigInt);
+    if (aMs !== bMs) return aMs < bMs ? -1 : 1;
+    if (aSeq !== bSeq) return aSeq < bSeq ? -1 : 1;
+    return 0;
+}
+
+class JobQueueService {
+    /**
+     * @param {Object} redis - Connected node-redis client
+     * @param {Object} queueConfig - config.redis
+     * @param {string} consumerName - Unique consumer name for this worker
+     * @param {Object} logger - Logger instance
+     */
+    constructor(redis, queueConfig, consumerName, logger = null) {
+        this.redis = redis;
+        this.blockingRedis = null; // Own connection for XREADGROUP BLOCK, see initialize
+        this.config = queueConfig;
+        this.streams = queueConfig.streams;
+        this.consumerName = consumerName;
+        this.logger = logger;
+        this.lastClaimAt = 0;
+    }
+
+    /**
+     * Create the consumer group (and stream) if needed and move any jobs left
+     * in the old list-based queue onto the stream
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        // A blocked XREADGROUP holds its connection for up to blockMs; on the
+        // shared client it would delay the schedulers' lock and enqueue commands
+        this.blockingRedis = this.redis.duplicate();
+        this.blockingRedis.on('error', (err) => {
+            if (this.logger) this.logger.error('Redis error (job reader)', { error: err.message });
+        });
+        await this.blockingRedis.connect();
+
+        try {
+            await this.redis.xGroupCreate(this.streams.jobs, this.config.consumerGroup, '0', { MKSTREAM: true });
+            if (this.logger) {
+                this.logger.info(`Created consumer group ${this.config.consumerGroup} on ${this.streams.jobs}`);
+            }
+        } catch (error) {
+            if (!error.message.includes('BUSYGROUP')) throw error;
+        }
+
+        let migrated = 0;
+        let deviceId;
+        while ((deviceId = await this.redis.rPop(this.config.legacyQueue)) !== null) {
+            await this.enqueue(deviceId);
+            migrated++;
+        }
+        if (migrated > 0 && this.logger) {
+            this.logger.info(`Moved ${migrated} job(s) from legacy ${this.config.legacyQueue} list to ${this.streams.jobs}`);
+        }
+    }
+
+    /**
+     * Add a job for a device
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<string>} Stream entry ID
+     */
+    async enqueue(deviceId) {
+        return await this.redis.xAdd(this.streams.jobs, '*', { deviceId });
+    }
+
+    /**
+     * Add a job for a device unless it already has one in flight
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<boolean>} True if a job was added
+     */
+    async enqueueDevice(deviceId) {
+        const added = await this.redis.sAdd(this.config.devicesQueued, deviceId);
+        if (!added) return false;
+
+        await this.enqueue(deviceId);
+        return true;
+    }
+
+    /**
+     * Get the next job: a reclaimed stale job if one is due, otherwise a new one
+     * @returns {Promise<{id: string, deviceId: string, deliveries: number}|null>} Job or null on timeout
+     */
+    async nextJob() {
+        if (Date.now() - this.lastClaimAt >= this.config.claimIntervalMs) {
+            this.lastClaimAt = Date.now();
+            const stale = await this.claimStaleJob();
+            if (stale) return stale;
+        }
+
+        const result = await this.blockingRedis.xReadGroup(
+            this.config.consumerGroup,
+            this.consumerName,
+            { key: this.streams.jobs, id: '>' },
+            { COUNT: 1, BLOCK: this.config.blockMs }
+        );
+
+        const message = result && result[0].messages[0];
+        if (!message) return null;
+
+        return { id: message.id, deviceId: message.message.deviceId, deliveries: 1 };
+    }
+
+    /**
+     * Reclaim one job that has been pending longer than claimIdleMs (its worker
+     * died or the job failed there)
+     * @returns {Promise<Object|null>} Reclaimed job or null
+     */
+    async claimStaleJob() {
+        // Raw reply: node-redis drops the IDs of pending entries that no longer exist
+        const [, entries, deletedIds = []] = await this.redis.sendCommand([
+            'XAUTOCLAIM',
+            this.streams.jobs,
+            this.config.consumerGroup,
+            this.consumerName,
+            String(this.config.claimIdleMs),
+            '0-0',
+            'COUNT', '1'
+        ]);
+
+        // Deleted entries come back as null (Redis 6.2) or in the third element (Redis 7)
+        const lost = entries.some(entry => entry === null) || deletedIds.length > 0;
+        if (lost) {
+            await this.releaseLostJobs(deletedIds);
+        }
+
+        const entry = entries.find(Boolean);
+        if (!entry) return null;
+
+        const [id, fields] = entry;
+        const deviceId = fields[fields.indexOf('deviceId') + 1];
+
+        const [pending] = await this.redis.xPendingRange(
+            this.streams.jobs, this.config.consumerGroup, id, id, 1
+        );
+        const deliveries = pending ? pending.deliveriesCounter : 1;
+
+        if (this.logger) {
+            this.logger.warn(`Reclaimed stale job ${id} for device ${deviceId} (delivery ${deliveries})`);
+        }
+
+        return { id, deviceId, deliveries };
+    }
+
+    /**
+     * Clean up after pending jobs whose stream entries are gone (trimmed by an
+     * older listener or worker, or deleted by hand). Their device can no longer
+     * be read from the entry, so every device marked as queued without a job
+     * left in the stream is released to be queued again.
+     * @param {Array<string>} deletedIds - IDs of the lost entries, if known
+     * @returns {Promise<Array<string>>} Released device IDs
+     */
+    async releaseLostJobs(deletedIds) {
+        if (deletedIds.length > 0) {
+            await this.redis.xAck(this.streams.jobs, this.config.consumerGroup, deletedIds);
+        }
+
+        // Live jobs: still pending in the group, or not yet delivered. Entries
+        // acked before jobs were deleted on ack may still be in the stream.
+        const group = (await this.redis.xInfoGroups(this.streams.jobs))
+            .find(g => g.name === this.config.consumerGroup);
+        const pending = group.pending > 0
+            ? await this.redis.xPendingRange(this.streams.jobs, this.config.consumerGroup, '-', '+', group.pending)
+            : [];
+        const pendingIds = new Set(pending.map(entry => entry.id));
+
+        const entries = await this.redis.xRange(this.streams.jobs, '-', '+');
+        const withJob = new Set(entries
+            .filter(entry => pendingIds.has(entry.id) || compareStreamIds(entry.id, group.lastDeliveredId) > 0)
+            .map(entry => entry.message.deviceId));
+        const queued = await this.redis.sMembers(this.config.devicesQueued);
+
+        // A device added to the set but not yet to the stream may be released
+        // too; at worst it gets a second job, which finds nothing to process
+        const released = queued.filter(deviceId => !withJob.has(deviceId));
+        if (released.length > 0) {
+            await this.redis.sRem(this.config.devicesQueued, released);
+        }
+
+        if (this.logger) {
+            this.logger.warn(`Dropped ${deletedIds.length || 'unknown number of'} lost job(s); released ${released.length} device(s) to be queued again`, { devices: released });
+        }
+        return released;
+    }
+
+    /**
+     * Acknowledge a finished job and allow the device to be queued again
+     * @param {Object} job - Job from nextJob
+     * @returns {Promise<void>}
+     */
+    async ack(job) {
+        await this.redis.xAck(this.streams.jobs, this.config.consumerGroup, job.id);
+        await this.redis.xDel(this.streams.jobs, job.id);
+        await this.redis.sRem(this.config.devicesQueued, job.deviceId);
+    }
+
+    /**
+     * Handle a failed job: leave it pending to be reclaimed and retried, or
+     * dead-letter it once it has been delivered maxDeliveries times
+     * @param {Object} job - Job from nextJob
+     * @param {Error} error - Failure
+     * @returns {Promise<boolean>} True if the job was dead-lettered
+     */
+    async fail(job, error) {
+        if (job.deliveries < this.config.maxDeliveries) {
+            if (this.logger) {
+                this.logger.warn(`Job ${job.id} for device ${job.deviceId} failed (delivery ${job.deliveries}/${this.config.maxDeliveries}), will retry`, { error: error.message });
+            }
+            return false;
+        }
+
+        await this.redis.xAdd(this.streams.deadLetters, '*', {
+            deviceId: job.deviceId,
+            jobId: job.id,
+            deliveries: String(job.deliveries),
+            error: error.message,
+            consumer: this.consumerName,
+            failedAt: new Date().toISOString()
+        }, {
+            TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.config.maxStreamLength }
+        });
+        await this.ack(job);
+
+        if (this.logger) {
+            this.logger.error(`Job ${job.id} for device ${job.deviceId} dead-lettered after ${job.deliveries} deliveries`, { error: error.message });
+        }
+        return true;
+    }
+
+    /**
+     * Close the job reader connection
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.blockingRedis) {
+            await this.blockingRedis.quit();
+            this.blockingRedis = null;
+        }
+    }
+
+    /**
+     * Remove consumers left behind by workers that no longer exist (e.g. old
+     * container hostnames). Consumers still holding pending jobs are kept until
+     * claimStaleJob has moved those jobs elsewhere, since deleting a consumer
+     * drops its pending entries.
+     * @param {number} idleMs - Remove consumers idle at least this long
+     * @returns {Promise<Array<string>>} Removed consumer names
+     */
+    async pruneConsumers(idleMs) {
+        const consumers = await this.redis.xInfoConsumers(this.streams.jobs, this.config.consumerGroup);
+        const removed = [];
+
+        for (const consumer of consumers) {
+            if (consumer.name === this.consumerName || consumer.pending > 0 || consumer.idle < idleMs) {
+                continue;
+            }
+            await this.redis.xGroupDelConsumer(this.streams.jobs, this.config.consumerGroup, consumer.name);
+            removed.push(consumer.name);
+        }
+
+        if (removed.length > 0 && this.logger) {
+            this.logger.info(`Removed ${removed.length} idle consumer(s) from ${this.config.consumerGroup}: ${removed.join(', ')}`);
+        }
+        return removed;
+    }
+}
+
+module.exports = JobQueueService;
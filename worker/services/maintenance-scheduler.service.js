@@ -0,0 +1,180 @@
+/**
+ * Maintenance Scheduler Service
+ * Runs periodic database upkeep: resets plow_count_today at each
+ * municipality's local midnight, purges GPS points and processing log
+ * entries older than the retention policy and removes job queue consumers
+ * left behind by workers that no longer exist.
+ *
+ * Every worker runs the scheduler, but a short Redis lock lets only one of
+ * them check for due tasks per interval. Each run is recorded in
+ * maintenance_runs, which is also what decides whether a task is due, so
+ * schedules survive worker restarts.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MaintenanceSchedulerService {
+    /**
+     * @param {Object} databaseService - Worker database service
+     * @param {Object} redis - Connected node-redis client (for the leader lock)
+     * @param {Object} maintenanceConfig - config.maintenance
+     * @param {string} ownerName - Lock owner (worker name)
+     * @param {Object} logger - Logger instance
+     * @param {Object} jobQueue - Job queue service (for consumer cleanup)
+     */
+    constructor(databaseService, redis, maintenanceConfig, ownerName, logger = null, jobQueue = null) {
+        this.db = databaseService;
+        this.redis = redis;
+        this.config = maintenanceConfig;
+        this.ownerName = ownerName;
+        this.logger = logger;
+        this.queue = jobQueue;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start checking for due tasks on an interval
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch((error) => {
+                if (this.logger) {
+                    this.logger.error('Maintenance check failed', { error: error.message });
+                }
+            });
+        }, this.config.intervalMs);
+
+        if (this.logger) {
+            this.logger.info(`Maintenance scheduler started (every ${this.config.intervalMs / 1000}s, GPS retention ${this.config.retention.gpsRawDataDays || '∞'}d, log retention ${this.config.retention.processingLogDays || '∞'}d)`);
+        }
+    }
+
+    /**
+     * Stop checking
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Run every due task, if this worker holds the lock
+     * @returns {Promise<Array<string>>} Tasks that ran
+     */
+    async runOnce() {
+        // A long purge must not overlap the next tick on this worker
+        if (this.running) return [];
+
+        // Expires just before the next tick so the lock never needs releasing
+        const locked = await this.redis.set(this.config.lockKey, this.ownerName, {
+            NX: true,
+            PX: Math.max(this.config.intervalMs - 1000, 1000)
+        });
+        if (!locked) return [];
+
+        this.running = true;
+        try {
+            const ran = [];
+            if (await this.runDailyReset()) ran.push('daily_reset');
+            if (await this.runRetention()) ran.push('retention');
+            if (await this.runConsumerCleanup()) ran.push('consumer_cleanup');
+            return ran;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Reset daily plow counts once a municipality has passed local midnight
+     * @returns {Promise<boolean>} True if the task ran
+     */
+    async runDailyReset() {
+        const lastRun = await this.db.getLastMaintenanceRunTime('daily_reset');
+        const municipalities = await this.db.getMunicipalitiesPastMidnight(lastRun);
+        if (municipalities.length === 0) return false;
+
+        await this.runTask('daily_reset', async () => {
+            const reset = await this.db.resetDailyPlowCounts();
+            return { rowsAffected: reset, details: { municipalities } };
+        });
+        return true;
+    }
+
+    /**
+     * Purge data older than the retention policy, at most every retention.everyHours
+     * @returns {Promise<boolean>} True if the task ran
+     */
+    async runRetention() {
+        const retention = this.config.retention;
+        if (!retention.gpsRawDataDays && !retention.processingLogDays) return false;
+
+        const lastRun = await this.db.getLastMaintenanceRunTime('retention');
+        if (lastRun && Date.now() - new Date(lastRun) < retention.everyHours * 60 * 60 * 1000) {
+            return false;
+        }
+
+        await this.runTask('retention', async () => {
+            const details = {};
+            if (retention.gpsRawDataDays) {
+                const cutoff = new Date(Date.now() - retention.gpsRawDataDays * DAY_MS);
+                details.gps_raw_data = await this.db.purgeGpsRawData(cutoff, retention.batchSize);
+            }
+            if (retention.processingLogDays) {
+                const cutoff = new Date(Date.now() - retention.processingLogDays * DAY_MS);
+                details.processing_log = await this.db.purgeProcessingLog(cutoff, retention.batchSize);
+            }
+            const rowsAffected = Object.values(details).reduce((sum, count) => sum + count, 0);
+            return { rowsAffected, details };
+        });
+        return true;
+    }
+
+    /**
+     * Remove idle job queue consumers, at most every consumerCleanup.everyHours
+     * @returns {Promise<boolean>} True if the task ran
+     */
+    async runConsumerCleanup() {
+        if (!this.queue) return false;
+
+        const lastRun = await this.db.getLastMaintenanceRunTime('consumer_cleanup');
+        if (lastRun && Date.now() - new Date(lastRun) < this.config.consumerCleanup.everyHours * 60 * 60 * 1000) {
+            return false;
+        }
+
+        await this.runTask('consumer_cleanup', async () => {
+            const removed = await this.queue.pruneConsumers(this.config.consumerCleanup.idleMs);
+            return { rowsAffected: removed.length, details: { removed } };
+        });
+        return true;
+    }
+
+    /**
+     * Run a task and record its outcome in maintenance_runs
+     * @param {string} task - Task name
+     * @param {Function} fn - Async task body returning {rowsAffected, details}
+     * @returns {Promise<void>}
+     */
+    async runTask(task, fn) {
+        const runId = await this.db.startMaintenanceRun(task, this.ownerName);
+
+        try {
+            const { rowsAffected, details } = await fn();
+            await this.db.finishMaintenanceRun(runId, { status: 'completed', rowsAffected, details });
+
+            if (this.logger) {
+                this.logger.info(`🧽 Maintenance ${task} completed: ${rowsAffected} row(s) ${JSON.stringify(details)}`);
+            }
+        } catch (error) {
+            await this.db.finishMaintenanceRun(runId, { status: 'failed', errorMessage: error.message });
+
+            if (this.logger) {
+                this.logger.error(`Maintenance ${task} failed`, { error: error.message });
+            }
+        }
+    }
+}
+
+module.exports = MaintenanceSchedulerService;
@@ -0,0 +1,84 @@
+/**
+ * Map Matcher Service
+ * Picks a map matcher for a batch and falls back to the next one when it fails.
+ *
+ * Every matcher implements matchRoute(points) and returns
+ * { matchings, unmatchedIndices } or null (see OSRMService.matchRoute).
+ * The primary matcher can be overridden per municipality through
+ * municipalities.map_matcher.
+ */
+
+class MapMatcherService {
+    /**
+     * @param {Object<string, Object>} matchers - Matchers by name (e.g. { osrm, postgis })
+     * @param {Object} databaseService - Worker database service (municipality lookup)
+     * @param {Object} matchingConfig - config.matching
+     * @param {Object} logger - Logger instance
+     */
+    constructor(matchers, databaseService, matchingConfig, logger = null) {
+        this.matchers = matchers;
+        this.db = databaseService;
+        this.primary = matchingConfig.primary;
+        this.fallback = matchingConfig.fallback;
+        this.logger = logger;
+
+        if (!this.matchers[this.primary]) {
+            throw new Error(`Unknown map matcher: ${this.primary}`);
+        }
+    }
+
+    /**
+     * Set the logger instance
+     * @param {Object} logger - Remote logger instance
+     */
+    setLogger(logger) {
+        this.logger = logger;
+    }
+
+    /**
+     * Matchers to try for a batch, in order
+     * @param {Array<Object>} points - GPS points
+     * @returns {Promise<Array<string>>} Matcher names
+     */
+    async getMatcherOrder(points) {
+        const override = await this.db.getMunicipalityMatcher(points[0].longitude, points[0].latitude);
+        const first = override && this.matchers[override] ? override : this.primary;
+
+        const order = [first];
+        for (const name of [this.primary, this.fallback]) {
+            if (name && this.matchers[name] && !order.includes(name)) {
+                order.push(name);
+            }
+        }
+        return order;
+    }
+
+    /**
+     * Match a batch, trying each matcher until one returns a result
+     * @param {Array<Object>} points - GPS points in time order
+     * @returns {Promise<{result: Object, matcher: string}|null>} Match result and the matcher that produced it
+     */
+    async matchRoute(points) {
+        const order = await this.getMatcherOrder(points);
+
+        for (const name of order) {
+            try {
+                const result = await this.matchers[name].matchRoute(points);
+                if (result) {
+                    if (name !== order[0] && this.logger) {
+                        this.logger.warn(`   🔁 ${order[0]} failed, matched with ${name} fallback`);
+                    }
+                    return { result, matcher: name };
+                }
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.warn(`   ⚠️  ${name} matcher error: ${error.message}`);
+                }
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = MapMatcherService;
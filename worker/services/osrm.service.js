@@ -4,23 +4,79 @@
  */
 
 const fetch = require('node-fetch');
+const { getHdop } = require('../utils/io-elements');
 
 class OSRMService {
-    constructor(baseUrl = process.env.OSRM_BASE || 'http://osrm:5000') {
+    constructor(baseUrl = process.env.OSRM_BASE || 'http://osrm:5000', matchOptions = {}) {
         this.baseUrl = baseUrl;
         this.timeout = 10000; // 10 seconds
+        this.matchOptions = matchOptions;
     }
 
     /**
-     * Call OSRM match service to snap GPS points to road network
-     * @param {Array<Array<number>>} coordinates - Array of [longitude, latitude] pairs
-     * @returns {Promise<Object|null>} Matched route object or null if matching fails
+     * Estimate the search radius for a point from its fix quality:
+     * reported accuracy, then HDOP, then satellite count
+     * @param {Object} point - GPS point (accuracy, satellites, io_elements)
+     * @returns {number} Radius in meters
      */
-    async matchRoute(coordinates) {
+    estimateRadius(point) {
+        const options = this.matchOptions;
+        let radius = options.defaultRadiusMeters || 10;
+
+        const hdop = getHdop(point, options.hdopIoId);
+        if (point.accuracy != null && point.accuracy > 0) {
+            radius = point.accuracy;
+        } else if (hdop !== null && hdop > 0) {
+            radius = hdop * (options.metersPerHdop || 5);
+        } else if (point.satellites != null && point.satellites < options.lowSatelliteCount) {
+            radius = options.lowSatelliteRadiusMeters;
+        }
+
+        return Math.min(Math.max(radius, options.minRadiusMeters || 0), options.maxRadiusMeters || Infinity);
+    }
+
+    /**
+     * Build the match query string from the configured options
+     * @param {Array<Object>} points - GPS points in time order
+     * @returns {string} Query string
+     */
+    buildMatchQuery(points) {
+        const options = this.matchOptions;
+        const params = ['overview=full', 'geometries=geojson'];
+
+        if (options.timestamps) {
+            params.push(`timestamps=${points.map(p => Math.floor(new Date(p.recorded_at).getTime() / 1000)).join(';')}`);
+        }
+        if (options.radiuses) {
+            params.push(`radiuses=${points.map(p => this.estimateRadius(p).toFixed(1)).join(';')}`);
+        }
+        if (options.gaps) {
+            params.push(`gaps=${options.gaps}`);
+        }
+        if (options.tidy) {
+            params.push('tidy=true');
+        }
+
+        return params.join('&');
+    }
+
+    /**
+     * Call OSRM match service to snap GPS points to road network.
+     * OSRM splits a trace into several matchings where it can't connect the
+     * points (U-turns, gaps) and returns a null tracepoint for points it drops
+     * (unmatched, or tidied away when tidy is on).
+     * @param {Array<Object>} points - GPS points in time order (longitude, latitude, recorded_at,
+     *   plus accuracy / satellites / io_elements for radiuses)
+     * @returns {Promise<Object|null>} { matchings, unmatchedIndices } or null if matching fails.
+     *   Each matching has coordinates ([lat, lon]), confidence and tracepoints
+     *   ({index, distance, location} with index into the input points, in input order,
+     *   and location the snapped [lat, lon]).
+     */
+    async matchRoute(points) {
         try {
             // Format: longitude,latitude;longitude,latitude;...
-            const coordString = coordinates.map(c => `${c[0]},${c[1]}`).join(';');
-            const url = `${this.baseUrl}/match/v1/driving/${coordString}?overview=full&geometries=geojson`;
+            const coordString = points.map(p => `${p.longitude},${p.latitude}`).join(';');
+            const url = `${this.baseUrl}/match/v1/driving/${coordString}?${this.buildMatchQuery(points)}`;
             
             const response = await fetch(url, { timeout: this.timeout });
             
@@ -30,16 +86,7 @@ class OSRMService {
             
             const data = await response.json();
             
-            if (data.code !== 'Ok' || !data.matchings || data.matchings.length === 0) {
-                return null;
-            }
-            
-            const matching = data.matchings[0];
-            
-            return {
-                coordinates: matching.geometry.coordinates.map(c => [c[1], c[0]]), // Convert to [lat, lon]
-                confidence: matching.confidence || 0.5
-            };
+            return this.parseMatchResponse(data);
             
         } catch (error) {
             console.error(`❌ OSRM API Error: ${error.message}`);
@@ -47,6 +94,48 @@ class OSRMService {
         }
     }
 
+    /**
+     * Turn an OSRM match response into matchings and unmatched point indices.
+     * With tidy=true OSRM also returns a null tracepoint for every point it
+     * tidied away (clustered or stationary), and those can't be told apart
+     * from points it failed to match; they are then left out of both.
+     * @param {Object} data - Parsed OSRM match response
+     * @returns {Object|null} { matchings, unmatchedIndices } (see matchRoute) or null if nothing matched
+     */
+    parseMatchResponse(data) {
+        if (data.code !== 'Ok' || !data.matchings || data.matchings.length === 0) {
+            return null;
+        }
+
+        const matchings = data.matchings.map(matching => ({
+            coordinates: matching.geometry.coordinates.map(c => [c[1], c[0]]), // Convert to [lat, lon]
+            confidence: matching.confidence || 0.5,
+            tracepoints: []
+        }));
+
+        // Tracepoints are in input order; map each back to its matching
+        const unmatchedIndices = [];
+        (data.tracepoints || []).forEach((tracepoint, index) => {
+            if (!tracepoint) {
+                if (!this.matchOptions.tidy) {
+                    unmatchedIndices.push(index);
+                }
+                return;
+            }
+            if (!matchings[tracepoint.matchings_index]) {
+                unmatchedIndices.push(index);
+                return;
+            }
+            matchings[tracepoint.matchings_index].tracepoints.push({
+                index,
+                distance: tracepoint.distance,
+                location: [tracepoint.location[1], tracepoint.location[0]]
+            });
+        });
+
+        return { matchings, unmatchedIndices };
+    }
+
     /**
      * Get route between two points
      * @param {Array<number>} start - [longitude, latitude] of start point
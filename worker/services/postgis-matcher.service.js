@@ -0,0 +1,287 @@
+/**
+ * PostGIS Map Matcher
+ * Offline HMM map matching directly against road_segments, used when OSRM
+ * is down or fails a batch (or selected per municipality).
+ *
+ * Hidden states are the nearest road segments to each GPS point. Emission
+ * probability falls off with the point's distance to the segment (Gaussian);
+ * transition probability falls off with the difference between the straight
+ * line distance of two fixes and the distance along the road between their
+ * candidates (Newson & Krumm). The most likely sequence is found with Viterbi.
+ * road_segments has no routing topology, so segments are treated as connected
+ * when their endpoints touch; other hops get a fixed penalty.
+ *
+ * Returns the same shape as OSRMService.matchRoute.
+ */
+
+const { calculateDistance } = require('../utils/geo-calculations');
+
+class PostGISMatcherService {
+    /**
+     * @param {Object} databaseService - Worker database service
+     * @param {Object} options - config.matching.postgis
+     */
+    constructor(databaseService, options = {}) {
+        this.db = databaseService;
+        this.searchRadiusMeters = options.searchRadiusMeters || 30;
+        this.maxCandidates = options.maxCandidates || 5;
+        this.gpsSigmaMeters = options.gpsSigmaMeters || 10;
+        this.transitionBetaMeters = options.transitionBetaMeters || 50;
+        this.maxRouteDifferenceMeters = options.maxRouteDifferenceMeters || 300;
+        this.nodeToleranceMeters = options.nodeToleranceMeters || 2;
+        this.nonAdjacentPenaltyMeters = options.nonAdjacentPenaltyMeters || 25;
+    }
+
+    /**
+     * Match GPS points to road segments
+     * @param {Array<Object>} points - GPS points in time order (longitude, latitude)
+     * @returns {Promise<Object|null>} { matchings, unmatchedIndices } or null if nothing matched
+     */
+    async matchRoute(points) {
+        const candidates = await this.db.findSegmentCandidates(points, this.searchRadiusMeters, this.maxCandidates);
+
+        const paths = [];
+        const unmatchedIndices = [];
+        let chain = [];
+
+        const closeChain = () => {
+            if (chain.length >= 2) {
+                paths.push(this.backtrack(chain));
+            } else if (chain.length === 1) {
+                unmatchedIndices.push(chain[0].index);
+            }
+            chain = [];
+        };
+
+        for (let i = 0; i < points.length; i++) {
+            const pointCandidates = candidates[i] || [];
+            if (pointCandidates.length === 0) {
+                unmatchedIndices.push(i);
+                continue;
+            }
+
+            const emissions = pointCandidates.map(c => this.emissionLogProbability(c.distance));
+
+            if (chain.length === 0) {
+                chain.push({ index: i, candidates: pointCandidates, scores: emissions, back: pointCandidates.map(() => -1) });
+                continue;
+            }
+
+            const previous = chain[chain.length - 1];
+            const step = this.viterbiStep(points[previous.index], points[i], previous, pointCandidates, emissions);
+
+            // No plausible transition from any previous candidate: the trace breaks here
+            if (step.back.every(b => b === -1)) {
+                closeChain();
+                chain.push({ index: i, candidates: pointCandidates, scores: emissions, back: pointCandidates.map(() => -1) });
+                continue;
+            }
+
+            chain.push({ index: i, candidates: pointCandidates, scores: step.scores, back: step.back });
+        }
+        closeChain();
+
+        unmatchedIndices.sort((a, b) => a - b);
+
+        if (paths.length === 0) {
+            return null;
+        }
+
+        const matchings = [];
+        for (const path of paths) {
+            matchings.push(await this.buildMatching(path));
+        }
+
+        return { matchings, unmatchedIndices };
+    }
+
+    /**
+     * Log probability that a point was observed at this distance from its true road position
+     * @param {number} distance - Meters from the point to the candidate
+     * @returns {number} Log probability (unnormalized)
+     */
+    emissionLogProbability(distance) {
+        return -0.5 * Math.pow(distance / this.gpsSigmaMeters, 2);
+    }
+
+    /**
+     * Advance Viterbi by one observation
+     * @param {Object} fromPoint - Previous GPS point
+     * @param {Object} toPoint - Current GPS point
+     * @param {Object} previous - Previous chain step (candidates, scores)
+     * @param {Array<Object>} candidates - Current candidates
+     * @param {Array<number>} emissions - Emission log probabilities of current candidates
+     * @returns {{scores: Array<number>, back: Array<number>}} Best scores and back pointers
+     */
+    viterbiStep(fromPoint, toPoint, previous, candidates, emissions) {
+        const straightDistance = calculateDistance(
+            fromPoint.latitude, fromPoint.longitude,
+            toPoint.latitude, toPoint.longitude
+        );
+
+        const scores = [];
+        const back = [];
+
+        candidates.forEach((candidate, b) => {
+            let best = -Infinity;
+            let bestFrom = -1;
+
+            previous.candidates.forEach((from, a) => {
+                if (previous.scores[a] === -Infinity) return;
+
+                const difference = Math.abs(straightDistance - this.routeDistance(from, candidate));
+                if (difference > this.maxRouteDifferenceMeters) return;
+
+                const score = previous.scores[a] - difference / this.transitionBetaMeters;
+                if (score > best) {
+                    best = score;
+                    bestFrom = a;
+                }
+            });
+
+            scores.push(bestFrom === -1 ? -Infinity : best + emissions[b]);
+            back.push(bestFrom);
+        });
+
+        return { scores, back };
+    }
+
+    /**
+     * Approximate road distance between two candidates
+     * @param {Object} from - Candidate
+     * @param {Object} to - Candidate
+     * @returns {number} Meters
+     */
+    routeDistance(from, to) {
+        if (from.segmentId === to.segmentId) {
+            return Math.abs(to.fraction - from.fraction) * from.segmentLength;
+        }
+
+        const node = this.sharedNode(from, to);
+        if (node) {
+            return this.distanceBetween(from.snapped, node) + this.distanceBetween(node, to.snapped);
+        }
+
+        return this.distanceBetween(from.snapped, to.snapped) + this.nonAdjacentPenaltyMeters;
+    }
+
+    /**
+     * Find the endpoint two segments share, if they touch
+     * @param {Object} from - Candidate
+     * @param {Object} to - Candidate
+     * @returns {Array<number>|null} Shared [lon, lat] or null
+     */
+    sharedNode(from, to) {
+        const junction = this.junction(from, to);
+        return junction ? junction.node : null;
+    }
+
+    /**
+     * Find where two touching segments meet, as a fraction along each
+     * @param {Object} from - Candidate
+     * @param {Object} to - Candidate
+     * @returns {{node: Array<number>, fromFraction: number, toFraction: number}|null}
+     *   Shared [lon, lat] and its fraction (0 = start, 1 = end) on each segment, or null
+     */
+    junction(from, to) {
+        for (const [a, fromFraction] of [[from.start, 0], [from.end, 1]]) {
+            for (const [b, toFraction] of [[to.start, 0], [to.end, 1]]) {
+                if (this.distanceBetween(a, b) <= this.nodeToleranceMeters) {
+                    return { node: a, fromFraction, toFraction };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Distance between two [lon, lat] positions
+     * @returns {number} Meters
+     */
+    distanceBetween(a, b) {
+        return calculateDistance(a[1], a[0], b[1], b[0]);
+    }
+
+    /**
+     * Follow back pointers from the most likely final state
+     * @param {Array<Object>} chain - Viterbi steps
+     * @returns {Array<{index: number, candidate: Object}>} Matched states in time order
+     */
+    backtrack(chain) {
+        const last = chain[chain.length - 1];
+        let state = last.scores.indexOf(Math.max(...last.scores));
+
+        const path = [];
+        for (let i = chain.length - 1; i >= 0; i--) {
+            path.unshift({ index: chain[i].index, candidate: chain[i].candidates[state] });
+            state = chain[i].back[state];
+        }
+        return path;
+    }
+
+    /**
+     * Turn a matched path into an OSRM-style matching
+     *
+     * The geometry follows the road between consecutive fixes: the stretch of
+     * the segment between their fractions, or through the junction when the
+     * path moves to a touching segment. Only hops between segments that don't
+     * touch are drawn as straight lines.
+     * @param {Array<{index: number, candidate: Object}>} path - Matched states
+     * @returns {Promise<Object>} Matching with coordinates ([lat, lon]), confidence and tracepoints
+     */
+    async buildMatching(path) {
+        // Stretches of road travelled after each fix, in travel order
+        const pieces = [];
+        path.forEach((step, i) => {
+            const next = path[i + 1];
+            if (!next) return;
+
+            const from = step.candidate;
+            const to = next.candidate;
+            if (from.segmentId === to.segmentId) {
+                pieces.push({ step: i, segmentId: from.segmentId, fromFraction: from.fraction, toFraction: to.fraction });
+                return;
+            }
+
+            // Turn through the junction instead of cutting the corner
+            const junction = this.junction(from, to);
+            if (junction) {
+                pieces.push({ step: i, segmentId: from.segmentId, fromFraction: from.fraction, toFraction: junction.fromFraction });
+                pieces.push({ step: i, segmentId: to.segmentId, fromFraction: junction.toFraction, toFraction: to.fraction });
+            }
+        });
+
+        const lines = pieces.length > 0 ? await this.db.getSegmentSubstrings(pieces) : [];
+
+        const coordinates = [];
+        const addCoordinate = (lonLat) => {
+            const last = coordinates[coordinates.length - 1];
+            if (!last || last[0] !== lonLat[1] || last[1] !== lonLat[0]) {
+                coordinates.push([lonLat[1], lonLat[0]]);
+            }
+        };
+
+        path.forEach((step, i) => {
+            addCoordinate(step.candidate.snapped);
+            pieces.forEach((piece, p) => {
+                if (piece.step === i) lines[p].forEach(addCoordinate);
+            });
+        });
+
+        const confidence = path.reduce(
+            (sum, step) => sum + Math.exp(this.emissionLogProbability(step.candidate.distance)), 0
+        ) / path.length;
+
+        return {
+            coordinates,
+            confidence,
+            tracepoints: path.map(step => ({
+                index: step.index,
+                distance: step.candidate.distance,
+                location: [step.candidate.snapped[1], step.candidate.snapped[0]]
+            }))
+        };
+    }
+}
+
+module.exports = PostGISMatcherService;
@@ -4,7 +4,13 @@
  */
 
 class SegmentActivationService {
-    constructor(logger = null) {
+    /**
+     * @param {Object} activationConfig - config.activation (minimum overlap, coverage window)
+     * @param {Object} logger - Logger instance
+     */
+    constructor(activationConfig = {}, logger = null) {
+        this.minOverlapPercent = activationConfig.minOverlapPercent ?? 50;
+        this.coverageWindowMinutes = activationConfig.coverageWindowMinutes || 30;
         this.logger = logger;
     }
 
@@ -13,123 +19,47 @@ class SegmentActivationService {
     }
     /**
      * Activate road segments based on polyline intersection
-     * @param {Object} client - PostgreSQL client
+     *
+     * Runs activate_segments() (migration 019), which selects candidates,
+     * measures coverage and direction, updates road_segments and logs the
+     * passes in one statement, so activation costs a single round trip per
+     * polyline. Polyline reprocessing in the backend uses the same function.
+     * Errors are thrown so the caller can roll back the polyline together with
+     * its activations.
+     *
+     * A pass covers the stretch of a segment within 2m of the polyline. The
+     * segment is activated once this pass, together with partial passes in the
+     * same direction since its last activation and within the coverage window,
+     * covers at least minOverlapPercent of it.
+     * @param {Object} client - PostgreSQL client (inside the caller's transaction)
      * @param {number} polylineId - ID of the polyline
      * @param {string} deviceId - Device ID that created the polyline
      * @param {string} polylineWKT - WKT representation of the polyline
-     * @param {number} polylineBearing - Bearing of the polyline in degrees
      * @param {Date} timestamp - Timestamp of the polyline
+     * @param {string} passType - 'plowing' (blade down or unknown) or 'deadheading' (blade up)
+     * @param {Array<string>|null} municipalityIds - Municipalities whose roads may be activated (null = any)
      * @returns {Promise<number>} Number of segments activated
      */
-    async activateSegments(client, polylineId, deviceId, polylineWKT, polylineBearing, timestamp) {
-        try {
-            // Find all road segments that intersect with this polyline
-            // Use ST_DWithin with 2m buffer to catch segments that are close but don't exactly intersect
-            // This handles GPS/map-matching precision issues
-            const segmentsResult = await client.query(`
-                SELECT
-                    rs.id,
-                    rs.bearing as segment_bearing,
-                    rs.municipality_id,
-                    rs.street_name,
-                    CASE
-                        WHEN ST_Intersects(rs.geometry, ST_GeomFromText($1, 4326)) THEN
-                            -- Exact intersection - calculate actual overlap
-                            ST_Length(ST_Intersection(rs.geometry, ST_GeomFromText($1, 4326))::geography) /
-                            ST_Length(rs.geometry::geography) * 100
-                        ELSE
-                            -- Within 2m buffer but not intersecting - estimate overlap based on distance
-                            -- Closer = higher percentage (2m away = 0%, touching = 100%)
-                            (1.0 - ST_Distance(rs.geometry::geography, ST_GeomFromText($1, 4326)::geography) / 2.0) *
-                            ST_Length(rs.geometry::geography) / ST_Length(rs.geometry::geography) * 100
-                    END as overlap_percentage
-                FROM road_segments rs
-                WHERE ST_DWithin(rs.geometry::geography, ST_GeomFromText($1, 4326)::geography, 2)
-            `, [polylineWKT]);
-            
-            if (segmentsResult.rows.length === 0) {
-                if (this.logger) {
-                    this.logger.info(`   📍 No road segments found for polyline ${polylineId}`);
-                }
-                return 0;
-            }
+    async activateSegments(client, polylineId, deviceId, polylineWKT, timestamp, passType = 'plowing', municipalityIds = null) {
+        const result = await client.query(`
+            SELECT passes, activated
+            FROM activate_segments(ST_GeomFromText($1, 4326), $2, $3, $4, $5, $6, $7, $8)
+        `, [polylineWKT, timestamp, deviceId, polylineId, passType, this.minOverlapPercent, this.coverageWindowMinutes, municipalityIds]);
 
-            if (this.logger) {
-                this.logger.info(`   🛣️  Activating ${segmentsResult.rows.length} road segments`);
-            }
-            
-            // Process each intersecting segment
-            for (const segment of segmentsResult.rows) {
-                // Determine direction (forward or reverse)
-                const direction = await this.determineDirection(client, polylineBearing, segment.segment_bearing);
-                const timestampColumn = direction === 'forward' ? 'last_plowed_forward' : 'last_plowed_reverse';
-                
-                // Update the segment timestamp and counters
-                await client.query(`
-                    UPDATE road_segments
-                    SET 
-                        ${timestampColumn} = $1,
-                        last_plowed_device_id = $2,
-                        plow_count_today = plow_count_today + 1,
-                        plow_count_total = plow_count_total + 1,
-                        updated_at = NOW()
-                    WHERE id = $3
-                `, [timestamp, deviceId, segment.id]);
-                
-                // Log the activation in segment_updates
-                await client.query(`
-                    INSERT INTO segment_updates (
-                        segment_id,
-                        polyline_id,
-                        device_id,
-                        direction,
-                        overlap_percentage,
-                        timestamp
-                    ) VALUES ($1, $2, $3, $4, $5, $6)
-                `, [
-                    segment.id,
-                    polylineId,
-                    deviceId,
-                    direction,
-                    segment.overlap_percentage,
-                    timestamp
-                ]);
-            }
-            
-            if (this.logger) {
-                this.logger.info(`   ✅ Activated ${segmentsResult.rows.length} segments (polyline ${polylineId})`);
-            }
-            return segmentsResult.rows.length;
+        const { passes, activated } = result.rows[0];
 
-        } catch (error) {
-            if (this.logger) {
-                this.logger.error(`   ❌ Error activating road segments: ${error.message}`);
+        if (this.logger) {
+            if (passes === 0) {
+                this.logger.info(`   📍 No road segments found for polyline ${polylineId}`);
+            } else if (passType === 'deadheading') {
+                this.logger.info(`   🚚 Blade up - recorded ${passes} deadheading passes (polyline ${polylineId})`);
+            } else {
+                const partialNote = passes > activated ? `, ${passes - activated} partial` : '';
+                this.logger.info(`   🛣️  Activated ${activated} road segments (polyline ${polylineId}${partialNote})`);
             }
-            // Don't throw - we want the polyline to still be saved even if segment activation fails
-            return 0;
         }
-    }
 
-    /**
-     * Determine the direction of travel relative to segment bearing
-     * @param {Object} client - PostgreSQL client
-     * @param {number} polylineBearing - Bearing of the polyline
-     * @param {number} segmentBearing - Bearing of the segment
-     * @returns {Promise<string>} 'forward' or 'reverse'
-     */
-    async determineDirection(client, polylineBearing, segmentBearing) {
-        try {
-            const direction = await client.query(`
-                SELECT determine_direction($1, $2) as direction
-            `, [polylineBearing, segmentBearing]);
-            
-            return direction.rows[0].direction;
-        } catch (error) {
-            // If the database function doesn't exist or fails, use simple logic
-            const diff = Math.abs(polylineBearing - segmentBearing);
-            const normalizedDiff = diff > 180 ? 360 - diff : diff;
-            return normalizedDiff <= 90 ? 'forward' : 'reverse';
-        }
+        return activated;
     }
 
     /**
@@ -0,0 +1,76 @@
+/**
+ * Trip Close Scheduler Service
+ * Closes trips of vehicles that went silent.
+ *
+ * TripDetector closes a trip on a stop or on a gap between points, but a
+ * vehicle that is switched off sends no later point to notice the gap with.
+ * Every worker runs the scheduler, but a short Redis lock lets only one of
+ * them scan per interval.
+ */
+
+class TripCloseSchedulerService {
+    /**
+     * @param {Object} databaseService - Worker database service
+     * @param {Object} redis - Connected node-redis client (for the scan lock)
+     * @param {Object} tripsConfig - config.trips
+     * @param {string} ownerName - Lock owner (worker name)
+     * @param {Object} logger - Logger instance
+     */
+    constructor(databaseService, redis, tripsConfig, ownerName, logger = null) {
+        this.db = databaseService;
+        this.redis = redis;
+        this.config = tripsConfig;
+        this.ownerName = ownerName;
+        this.logger = logger;
+        this.timer = null;
+    }
+
+    /**
+     * Start scanning on an interval
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch((error) => {
+                if (this.logger) {
+                    this.logger.error('Trip close scan failed', { error: error.message });
+                }
+            });
+        }, this.config.closeIntervalMs);
+
+        if (this.logger) {
+            this.logger.info(`Trip close scheduler started (every ${this.config.closeIntervalMs / 1000}s, max gap ${this.config.maxGapSeconds / 60}min)`);
+        }
+    }
+
+    /**
+     * Stop scanning
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Close every open trip silent for over maxGapSeconds, if this worker holds the lock
+     * @returns {Promise<number>} Number of trips closed
+     */
+    async runOnce() {
+        // Expires just before the next tick so the lock never needs releasing
+        const locked = await this.redis.set(this.config.lockKey, this.ownerName, {
+            NX: true,
+            PX: Math.max(this.config.closeIntervalMs - 1000, 1000)
+        });
+        if (!locked) return 0;
+
+        const closedTrips = await this.db.closeStaleTrips(this.config.maxGapSeconds, this.config.minTripMeters);
+        if (closedTrips > 0 && this.logger) {
+            this.logger.info(`🏁 Closed ${closedTrips} trip(s) of vehicles silent for over ${this.config.maxGapSeconds / 60}min`);
+        }
+
+        return closedTrips;
+    }
+}
+
+module.exports = TripCloseSchedulerService;
@@ -0,0 +1,123 @@
+/**
+ * Trip Detection
+ * Splits a device's GPS stream into trips separated by stops.
+ *
+ * A trip starts at the last stationary fix before the vehicle moves. It ends
+ * when the vehicle stays stationary (speed at or below stopSpeedKmh, or within
+ * stopRadiusMeters of where it stopped) for minStopSeconds, or when the
+ * tracker goes silent for longer than maxGapSeconds. Detection is incremental:
+ * the open trip is carried between calls as state.
+ *
+ * Fixes are {time, longitude, latitude}; trips are
+ * {id, start, last, dwell, end, endReason} with fixes for each position.
+ */
+
+const { calculateDistance, calculateImpliedSpeed } = require('../utils/geo-calculations');
+
+class TripDetector {
+    constructor(config = {}) {
+        this.stopSpeedKmh = config.stopSpeedKmh ?? 3;
+        this.stopRadiusMeters = config.stopRadiusMeters || 50;
+        this.minStopSeconds = config.minStopSeconds || 5 * 60;
+        this.maxGapSeconds = config.maxGapSeconds || 15 * 60;
+    }
+
+    /**
+     * Advance trip detection over new points
+     * @param {Object|null} openTrip - Trip still open from earlier points, or null
+     * @param {Array<Object>} points - New GPS points in time order
+     * @param {Object|null} previousPoint - Last point before these (context for the first move)
+     * @returns {{closed: Array<Object>, open: Object|null}} Trips closed by these points and the trip left open
+     */
+    detect(openTrip, points, previousPoint = null) {
+        const closed = [];
+        let current = openTrip ? { ...openTrip } : null;
+        let previous = previousPoint;
+
+        for (const point of points) {
+            const fix = toFix(point);
+
+            if (!previous) {
+                previous = point;
+                continue;
+            }
+
+            const gapSeconds = (fix.time - new Date(previous.recorded_at)) / 1000;
+
+            // Tracker went silent (ignition off, no coverage): the trip ended at its last fix
+            if (current && gapSeconds > this.maxGapSeconds) {
+                closed.push(this.close(current, 'signal_lost'));
+                current = null;
+            }
+
+            if (!current) {
+                const distance = calculateDistance(previous.latitude, previous.longitude, fix.latitude, fix.longitude);
+                if (this.isMoving(previous, point) || distance > this.stopRadiusMeters) {
+                    // Departure time is unknown after a long silence; start at the first moving fix
+                    const start = gapSeconds > this.maxGapSeconds ? fix : toFix(previous);
+                    current = { id: null, start, last: fix, dwell: null };
+                }
+                previous = point;
+                continue;
+            }
+
+            current.last = fix;
+
+            const withinStop = current.dwell && calculateDistance(
+                current.dwell.latitude, current.dwell.longitude, fix.latitude, fix.longitude
+            ) <= this.stopRadiusMeters;
+
+            if (this.isMoving(previous, point) && !withinStop) {
+                current.dwell = null;
+            } else {
+                if (!current.dwell) {
+                    current.dwell = toFix(previous);
+                }
+                if ((fix.time - current.dwell.time) / 1000 >= this.minStopSeconds) {
+                    closed.push(this.close(current, 'stop'));
+                    current = null;
+                }
+            }
+
+            previous = point;
+        }
+
+        return { closed, open: current };
+    }
+
+    /**
+     * Close a trip where it stopped (start of the dwell) or at its last fix
+     * @param {Object} trip - Open trip
+     * @param {string} endReason - 'stop' or 'signal_lost'
+     * @returns {Object} Closed trip
+     */
+    close(trip, endReason) {
+        return { ...trip, end: trip.dwell || trip.last, endReason };
+    }
+
+    /**
+     * Whether the vehicle was moving when it reported a point
+     * @param {Object} previous - Previous GPS point
+     * @param {Object} point - GPS point
+     * @returns {boolean} True if moving faster than the stop speed
+     */
+    isMoving(previous, point) {
+        const speed = point.speed ?? calculateImpliedSpeed(previous, point);
+        return speed !== null && speed > this.stopSpeedKmh;
+    }
+}
+
+/**
+ * Position and time of a GPS point
+ * @param {Object} point - GPS point
+ * @returns {{time: Date, longitude: number, latitude: number}} Fix
+ */
+function toFix(point) {
+    return {
+        time: new Date(point.recorded_at),
+        longitude: point.longitude,
+        latitude: point.latitude
+    };
+}
+
+module.exports = TripDetector;
@@ -0,0 +1,143 @@
+/**
+ * Blade up/down splitting tests
+ * A matching is cut into one pass per blade-state run; the line cutting
+ * underneath is splitLineAtPoints.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const GPSProcessor = require('../services/gps-processor');
+const { splitLineAtPoints } = require('../utils/geo-calculations');
+
+// Straight road heading north, a vertex every ~111m ([lat, lon])
+const ROAD = [0, 1, 2, 3, 4].map(k => [43.6 + 0.001 * k, -72.5]);
+const MAPPING = { blade_down_io_id: 1, blade_down_value: 1 };
+
+/**
+ * Matching with a fix on every road vertex and a batch whose blade input
+ * follows states (1 down, 0 up, null not reported)
+ */
+function matchingWithStates(states, coordinates = ROAD) {
+    const batch = states.map((state, i) => ({
+        id: i + 1,
+        io_elements: state === null ? {} : { 1: state }
+    }));
+    const matching = {
+        confidence: 0.9,
+        coordinates,
+        tracepoints: states.map((state, i) => ({ index: i, location: ROAD[i], distance: 1 }))
+    };
+    return { batch, matching };
+}
+
+function createProcessor() {
+    return new GPSProcessor({}, config);
+}
+
+const indices = (run) => run.tracepoints.map(t => t.index);
+
+test('splitLineAtPoints cuts a line into pieces that share the cut coordinates', () => {
+    const cuts = [[43.6005, -72.5], [43.6025, -72.5]];
+    const pieces = splitLineAtPoints(ROAD, cuts);
+
+    assert.equal(pieces.length, 3);
+    assert.deepEqual(pieces[0], [ROAD[0], cuts[0]]);
+    assert.deepEqual(pieces[1], [cuts[0], ROAD[1], ROAD[2], cuts[1]]);
+    assert.deepEqual(pieces[2], [cuts[1], ROAD[3], ROAD[4]]);
+});
+
+test('splitLineAtPoints projects cut points that lie beside the line', () => {
+    const [before, after] = splitLineAtPoints(ROAD, [[43.6015, -72.4999]]);
+
+    assert.deepEqual(before[before.length - 1], [43.6015, -72.5]);
+    assert.deepEqual(after[0], [43.6015, -72.5]);
+});
+
+test('splitLineAtPoints cuts a route that doubles back in travel order', () => {
+    // North to the end of the road and back; the second cut is passed twice
+    const outAndBack = [...ROAD, ...ROAD.slice(0, -1).reverse()];
+    const pieces = splitLineAtPoints(outAndBack, [[43.6035, -72.5], [43.6015, -72.5]]);
+
+    assert.equal(pieces.length, 3);
+    // The second cut is on the way back, after the turnaround
+    assert.ok(pieces[1].some(coord => coord[0] === ROAD[4][0]));
+    assert.deepEqual(pieces[2][pieces[2].length - 1], ROAD[0]);
+});
+
+test('splitLineAtPoints leaves a single-coordinate piece for a cut at the line ends', () => {
+    const pieces = splitLineAtPoints(ROAD, [ROAD[0], ROAD[4]]);
+
+    assert.deepEqual(pieces[0], [ROAD[0]]);
+    assert.deepEqual(pieces[1], ROAD);
+    assert.deepEqual(pieces[2], [ROAD[4]]);
+});
+
+test('splitByBladeState keeps a matching whose blade stays up', () => {
+    const { batch, matching } = matchingWithStates([0, 0, 0, 0, 0]);
+
+    assert.deepEqual(createProcessor().splitByBladeState(matching, batch, MAPPING), [matching]);
+});
+
+test('splitByBladeState keeps the matching when the device has no blade input mapped', () => {
+    const { batch, matching } = matchingWithStates([1, 1, 0, 0, 1]);
+
+    assert.deepEqual(createProcessor().splitByBladeState(matching, batch, null), [matching]);
+});
+
+test('splitByBladeState keeps the matching when tracepoints have no snapped location', () => {
+    const { batch, matching } = matchingWithStates([1, 1, 0, 0, 0]);
+    matching.tracepoints = matching.tracepoints.map(({ location, ...tracepoint }) => tracepoint);
+
+    assert.deepEqual(createProcessor().splitByBladeState(matching, batch, MAPPING), [matching]);
+});
+
+test('splitByBladeState splits where the blade goes up, at the first fix of the new state', () => {
+    const { batch, matching } = matchingWithStates([1, 1, 0, 0, 0]);
+
+    const runs = createProcessor().splitByBladeState(matching, batch, MAPPING);
+
+    assert.deepEqual(runs.map(indices), [[0, 1], [2, 3, 4]]);
+    assert.deepEqual(runs[0].coordinates, ROAD.slice(0, 3));
+    assert.deepEqual(runs[1].coordinates, ROAD.slice(2));
+    assert.ok(runs.every(run => run.bladeRun && run.confidence === 0.9));
+});
+
+test('splitByBladeState gives a single-fix run the road up to the next run', () => {
+    const { batch, matching } = matchingWithStates([1, 1, 0, 1, 1]);
+
+    const runs = createProcessor().splitByBladeState(matching, batch, MAPPING);
+
+    assert.deepEqual(runs.map(indices), [[0, 1], [2], [3, 4]]);
+    assert.deepEqual(runs[1].coordinates, [ROAD[2], ROAD[3]]);
+    assert.deepEqual(runs[2].coordinates, ROAD.slice(3));
+});
+
+test('splitByBladeState gives the first fix its own run when the blade goes down right after it', () => {
+    const { batch, matching } = matchingWithStates([0, 1, 1, 1, 1]);
+
+    const runs = createProcessor().splitByBladeState(matching, batch, MAPPING);
+
+    assert.deepEqual(runs.map(indices), [[0], [1, 2, 3, 4]]);
+    assert.deepEqual(runs[0].coordinates, [ROAD[0], ROAD[1]]);
+    assert.deepEqual(runs[1].coordinates, ROAD.slice(1));
+});
+
+test('splitByBladeState leaves a degenerate run when the blade changes at the last fix', () => {
+    const { batch, matching } = matchingWithStates([1, 1, 1, 1, 0]);
+
+    const runs = createProcessor().splitByBladeState(matching, batch, MAPPING);
+
+    assert.deepEqual(runs.map(indices), [[0, 1, 2, 3], [4]]);
+    assert.deepEqual(runs[0].coordinates, ROAD);
+    // Nothing left to draw; processBatch attaches the fix to the previous polyline
+    assert.deepEqual(runs[1].coordinates, [ROAD[4]]);
+});
+
+test('splitByBladeState keeps fixes without a blade reading in the current run', () => {
+    const { batch, matching } = matchingWithStates([null, 1, null, 0, null]);
+
+    const runs = createProcessor().splitByBladeState(matching, batch, MAPPING);
+
+    assert.deepEqual(runs.map(indices), [[0, 1, 2], [3, 4]]);
+});
@@ -0,0 +1,164 @@
+/**
+ * GPS outlier filter tests
+ * Points move due north from a start position, so distances are exact.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BatchProcessor = require('../services/batch-processor');
+const { calculateImpliedSpeed, checkCoordinate } = require('../utils/geo-calculations');
+
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+const START = new Date('2026-01-15T07:00:00.000Z').getTime();
+
+let nextId = 1;
+
+/**
+ * GPS point metersNorth of the start position, seconds after the start time
+ */
+function point(metersNorth, seconds, extra = {}) {
+    return {
+        id: nextId++,
+        latitude: 43.6 + metersNorth / METERS_PER_DEGREE,
+        longitude: -72.5,
+        recorded_at: new Date(START + seconds * 1000).toISOString(),
+        satellites: 10,
+        speed: 30,
+        ...extra
+    };
+}
+
+function filter(points, anchor = null) {
+    const { kept, dropped } = new BatchProcessor().filterPoints(points, anchor);
+    return {
+        kept: kept.map(p => points.indexOf(p)),
+        dropped: dropped.map(d => [points.indexOf(d.point), d.reason])
+    };
+}
+
+test('checkCoordinate flags out-of-range and missing coordinates', () => {
+    assert.equal(checkCoordinate(NaN, -72.5), 'invalid_coordinates');
+    assert.equal(checkCoordinate(43.6, null), 'invalid_coordinates');
+    assert.equal(checkCoordinate(90.5, -72.5), 'invalid_coordinates');
+    assert.equal(checkCoordinate(43.6, -180.5), 'invalid_coordinates');
+    assert.equal(checkCoordinate(0, 0), 'zero_coordinates');
+    assert.equal(checkCoordinate(43.6, -72.5), null);
+    assert.equal(checkCoordinate(0, -72.5), null);
+});
+
+test('calculateImpliedSpeed returns km/h, or null without time between the points', () => {
+    assert.ok(Math.abs(calculateImpliedSpeed(point(0, 0), point(100, 10)) - 36) < 1e-6);
+    assert.equal(calculateImpliedSpeed(point(0, 10), point(100, 10)), null);
+    assert.equal(calculateImpliedSpeed(point(0, 10), point(100, 0)), null);
+});
+
+test('filterPoints drops invalid and 0,0 coordinates', () => {
+    const points = [
+        point(0, 0),
+        { ...point(0, 10), latitude: 0, longitude: 0 },
+        { ...point(0, 20), latitude: 95 },
+        point(100, 30)
+    ];
+
+    assert.deepEqual(filter(points), {
+        kept: [0, 3],
+        dropped: [[1, 'zero_coordinates'], [2, 'invalid_coordinates']]
+    });
+});
+
+test('filterPoints drops fixes with fewer than 4 satellites', () => {
+    const points = [
+        point(0, 0),
+        point(100, 10, { satellites: 3 }),
+        point(200, 20, { satellites: 4 }),
+        point(300, 30, { satellites: null })
+    ];
+
+    assert.deepEqual(filter(points), { kept: [0, 2, 3], dropped: [[1, 'low_satellites']] });
+});
+
+test('filterPoints drops a spike faster than 150 km/h and keeps going from the last good fix', () => {
+    const points = [
+        point(0, 0),
+        point(100, 10),
+        point(600, 20), // 500m in 10s = 180 km/h
+        point(200, 20)
+    ];
+
+    assert.deepEqual(filter(points), { kept: [0, 1, 3], dropped: [[2, 'impossible_speed']] });
+});
+
+test('filterPoints keeps a fix just under the speed limit', () => {
+    const points = [
+        point(0, 0),
+        point(400, 10) // 144 km/h
+    ];
+
+    assert.deepEqual(filter(points), { kept: [0, 1], dropped: [] });
+});
+
+test('filterPoints drops a cold-start first fix when the next two agree', () => {
+    const points = [
+        point(5000, 0), // 5km off before the receiver settled
+        point(0, 10),
+        point(100, 20)
+    ];
+
+    assert.deepEqual(filter(points), { kept: [1, 2], dropped: [[0, 'impossible_speed']] });
+});
+
+test('filterPoints never drops the anchor for a cold start', () => {
+    const anchor = point(0, -10);
+    const points = [
+        point(5000, 0),
+        point(5100, 10)
+    ];
+
+    // Both are too far from the last processed point
+    assert.deepEqual(filter(points, anchor), {
+        kept: [],
+        dropped: [[0, 'impossible_speed'], [1, 'impossible_speed']]
+    });
+});
+
+test('filterPoints drops small moves while the tracker reports standing still', () => {
+    const points = [
+        point(0, 0, { speed: 0 }),
+        point(3, 30, { speed: 0 }), // parked jitter
+        point(4, 60, { speed: 2 }), // still parked (at most 3 km/h)
+        point(3, 90, { speed: 10 }), // slow but reported moving
+        point(13, 120, { speed: 0 }) // 10m is a real move
+    ];
+
+    assert.deepEqual(filter(points), {
+        kept: [0, 3, 4],
+        dropped: [[1, 'jitter'], [2, 'jitter']]
+    });
+});
+
+test('filterPoints drops fixes implying more than 5 m/s² of acceleration', () => {
+    const points = [
+        point(0, 0),
+        point(100, 10), // 36 km/h
+        point(160, 12), // 108 km/h two seconds later: 10 m/s²
+        point(160, 13) // 72 km/h from the last good fix (3s): ~3.3 m/s²
+    ];
+
+    assert.deepEqual(filter(points), { kept: [0, 1, 3], dropped: [[2, 'impossible_acceleration']] });
+});
+
+test('filterPoints drops a second fix with the same timestamp', () => {
+    const points = [point(0, 0), point(10, 0), point(100, 10)];
+
+    assert.deepEqual(filter(points), { kept: [0, 2], dropped: [[1, 'duplicate_timestamp']] });
+});
+
+test('filterPoints uses configured thresholds', () => {
+    const processor = new BatchProcessor({ filter: { maxSpeedKmh: 50 } });
+    const points = [point(0, 0), point(100, 10), point(250, 20)]; // 36 km/h, then 54 km/h
+
+    const { kept, dropped } = processor.filterPoints(points);
+
+    assert.deepEqual(kept, points.slice(0, 2));
+    assert.deepEqual(dropped, [{ point: points[2], reason: 'impossible_speed' }]);
+});
@@ -0,0 +1,99 @@
+/**
+ * Job queue tests
+ * Redis is replaced by a fake client that records commands and answers the
+ * few the tests need.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueueService = require('../services/job-queue.service');
+
+const CONFIG = {
+    streams: { jobs: 'gps:jobs', deadLetters: 'gps:jobs:dead' },
+    devicesQueued: 'gps:devices_queued',
+    consumerGroup: 'gps-workers',
+    claimIdleMs: 120000,
+    claimIntervalMs: 30000,
+    maxDeliveries: 5,
+    maxStreamLength: 10000
+};
+
+function createRedis({ autoclaim, stream = [], pending = [], lastDeliveredId = '0-0', queued = [] }) {
+    const calls = [];
+    const devicesQueued = new Set(queued);
+    return {
+        calls,
+        devicesQueued,
+        sendCommand: async (args) => {
+            calls.push(args[0]);
+            return autoclaim;
+        },
+        xAck: async (key, group, ids) => { calls.push(['xAck', ids]); },
+        xDel: async (key, id) => { calls.push(['xDel', id]); },
+        xAdd: async (key, id, message, options) => { calls.push(['xAdd', key, options]); return '1-0'; },
+        xInfoGroups: async () => [{ name: CONFIG.consumerGroup, pending: pending.length, lastDeliveredId }],
+        xPendingRange: async () => pending.map(id => ({ id, deliveriesCounter: 2 })),
+        xRange: async () => stream.map(([id, deviceId]) => ({ id, message: { deviceId } })),
+        sMembers: async () => [...devicesQueued],
+        sRem: async (key, members) => {
+            for (const member of [].concat(members)) devicesQueued.delete(member);
+        }
+    };
+}
+
+test('claimStaleJob returns a reclaimed job with its delivery count', async () => {
+    const redis = createRedis({
+        autoclaim: ['0-0', [['5-0', ['deviceId', 'A']]], []],
+        pending: ['5-0']
+    });
+    const queue = new JobQueueService(redis, CONFIG, 'Worker-1');
+
+    assert.deepEqual(await queue.claimStaleJob(), { id: '5-0', deviceId: 'A', deliveries: 2 });
+});
+
+test('claimStaleJob releases devices whose pending job was trimmed away', async () => {
+    const redis = createRedis({
+        // Redis 7 reports pending entries missing from the stream in the third element
+        autoclaim: ['0-0', [], ['3-0']],
+        stream: [
+            ['1-0', 'OLD'], // acked before jobs were deleted on ack
+            ['7-0', 'B'], // pending with another worker
+            ['9-0', 'C'] // not delivered yet
+        ],
+        pending: ['7-0'],
+        lastDeliveredId: '8-0',
+        queued: ['A', 'B', 'C', 'OLD']
+    });
+    const queue = new JobQueueService(redis, CONFIG, 'Worker-1');
+
+    assert.equal(await queue.claimStaleJob(), null);
+    assert.deepEqual(redis.calls.find(call => call[0] === 'xAck'), ['xAck', ['3-0']]);
+    assert.deepEqual([...redis.devicesQueued].sort(), ['B', 'C']);
+});
+
+test('claimStaleJob leaves the queued set alone when nothing was lost', async () => {
+    const redis = createRedis({ autoclaim: ['0-0', [], []], queued: ['A'] });
+    const queue = new JobQueueService(redis, CONFIG, 'Worker-1');
+
+    assert.equal(await queue.claimStaleJob(), null);
+    assert.deepEqual([...redis.devicesQueued], ['A']);
+});
+
+test('ack deletes the job from the stream and releases the device', async () => {
+    const redis = createRedis({ queued: ['A'] });
+    const queue = new JobQueueService(redis, CONFIG, 'Worker-1');
+
+    await queue.ack({ id: '5-0', deviceId: 'A' });
+
+    assert.deepEqual(redis.calls, [['xAck', '5-0'], ['xDel', '5-0']]);
+    assert.deepEqual([...redis.devicesQueued], []);
+});
+
+test('enqueue does not trim the jobs stream', async () => {
+    const redis = createRedis({});
+    const queue = new JobQueueService(redis, CONFIG, 'Worker-1');
+
+    await queue.enqueue('A');
+
+    assert.deepEqual(redis.calls, [['xAdd', 'gps:jobs', undefined]]);
+});
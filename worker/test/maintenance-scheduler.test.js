@@ -0,0 +1,161 @@
+/**
+ * Maintenance scheduler tests
+ * The database is replaced by a fake that records calls; which municipalities
+ * are past local midnight is decided in SQL and supplied by the fake.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const DatabaseService = require('../services/database.service');
+const MaintenanceSchedulerService = require('../services/maintenance-scheduler.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const MAINTENANCE = {
+    intervalMs: 5 * 60 * 1000,
+    lockKey: 'gps:maintenance_lock',
+    retention: { everyHours: 24, gpsRawDataDays: 0, processingLogDays: 0, batchSize: 10000 },
+    consumerCleanup: { everyHours: 24, idleMs: DAY_MS }
+};
+
+function createDb({ lastRuns = {}, pastMidnight = [], failing = {} } = {}) {
+    const calls = [];
+    const runs = [];
+    return {
+        calls,
+        runs,
+        getLastMaintenanceRunTime: async (task) => lastRuns[task] || null,
+        getMunicipalitiesPastMidnight: async (since) => { calls.push(['pastMidnight', since]); return pastMidnight; },
+        resetDailyPlowCounts: async () => { calls.push(['reset']); return 42; },
+        purgeGpsRawData: async (cutoff, batchSize) => { calls.push(['purgeGps', cutoff, batchSize]); return 7; },
+        purgeProcessingLog: async (cutoff, batchSize) => {
+            if (failing.processingLog) throw new Error('statement timeout');
+            calls.push(['purgeLog', cutoff, batchSize]);
+            return 3;
+        },
+        startMaintenanceRun: async (task, owner) => { runs.push({ task, owner }); return runs.length; },
+        finishMaintenanceRun: async (runId, outcome) => { Object.assign(runs[runId - 1], outcome); }
+    };
+}
+
+function createRedis(locked = true) {
+    const sets = [];
+    return { sets, set: async (...args) => { sets.push(args); return locked ? 'OK' : null; } };
+}
+
+function createScheduler(db, options = {}) {
+    const maintenance = {
+        ...MAINTENANCE,
+        ...options,
+        retention: { ...MAINTENANCE.retention, ...options.retention }
+    };
+    return new MaintenanceSchedulerService(db, options.redis || createRedis(), maintenance, 'Worker-1', null, options.queue || null);
+}
+
+test('GPS points are kept unless a retention period is configured', () => {
+    if (process.env.GPS_RETENTION_DAYS === undefined) {
+        assert.equal(config.maintenance.retention.gpsRawDataDays, 0);
+    }
+});
+
+test('runOnce takes a lock that expires before the next tick', async () => {
+    const redis = createRedis();
+    await createScheduler(createDb(), { redis }).runOnce();
+
+    assert.deepEqual(redis.sets, [['gps:maintenance_lock', 'Worker-1', { NX: true, PX: 299000 }]]);
+});
+
+test('runOnce does nothing while another worker holds the lock', async () => {
+    const db = createDb({ pastMidnight: ['hanover'] });
+
+    assert.deepEqual(await createScheduler(db, { redis: createRedis(false) }).runOnce(), []);
+    assert.deepEqual(db.calls, []);
+});
+
+test('the daily reset runs once a municipality has passed local midnight since the last reset', async () => {
+    const lastReset = new Date('2026-01-15T05:00:00.000Z');
+    const db = createDb({ lastRuns: { daily_reset: lastReset }, pastMidnight: ['hanover', 'lebanon'] });
+
+    assert.deepEqual(await createScheduler(db).runOnce(), ['daily_reset']);
+    assert.deepEqual(db.calls, [['pastMidnight', lastReset], ['reset']]);
+    assert.deepEqual(db.runs, [{
+        task: 'daily_reset',
+        owner: 'Worker-1',
+        status: 'completed',
+        rowsAffected: 42,
+        details: { municipalities: ['hanover', 'lebanon'] }
+    }]);
+});
+
+test('the daily reset waits while no municipality has passed local midnight', async () => {
+    const db = createDb({ lastRuns: { daily_reset: new Date() }, pastMidnight: [] });
+
+    assert.deepEqual(await createScheduler(db).runOnce(), []);
+    assert.ok(!db.calls.some(call => call[0] === 'reset'));
+});
+
+test('retention purges nothing when both retention periods are 0', async () => {
+    const db = createDb();
+
+    assert.deepEqual(await createScheduler(db).runOnce(), []);
+    assert.ok(!db.calls.some(call => call[0].startsWith('purge')));
+});
+
+test('retention purges with cutoffs from the configured periods', async () => {
+    const db = createDb();
+    const before = Date.now();
+
+    const ran = await createScheduler(db, { retention: { gpsRawDataDays: 90, processingLogDays: 30 } }).runOnce();
+
+    assert.deepEqual(ran, ['retention']);
+    const [, gpsCutoff, gpsBatch] = db.calls.find(call => call[0] === 'purgeGps');
+    const [, logCutoff] = db.calls.find(call => call[0] === 'purgeLog');
+    assert.ok(Math.abs(gpsCutoff.getTime() - (before - 90 * DAY_MS)) < 60000);
+    assert.ok(Math.abs(logCutoff.getTime() - (before - 30 * DAY_MS)) < 60000);
+    assert.equal(gpsBatch, 10000);
+    assert.deepEqual(db.runs[0].details, { gps_raw_data: 7, processing_log: 3 });
+    assert.equal(db.runs[0].rowsAffected, 10);
+});
+
+test('retention runs at most every everyHours', async () => {
+    const db = createDb({ lastRuns: { retention: new Date(Date.now() - 23 * HOUR_MS) } });
+
+    assert.deepEqual(await createScheduler(db, { retention: { processingLogDays: 30 } }).runOnce(), []);
+});
+
+test('a failing task is recorded as failed', async () => {
+    const db = createDb({ failing: { processingLog: true } });
+
+    await createScheduler(db, { retention: { processingLogDays: 30 } }).runOnce();
+
+    assert.equal(db.runs[0].status, 'failed');
+    assert.equal(db.runs[0].errorMessage, 'statement timeout');
+});
+
+test('consumer cleanup prunes consumers idle for the configured time', async () => {
+    const pruned = [];
+    const queue = { pruneConsumers: async (idleMs) => { pruned.push(idleMs); return ['Worker-abc123']; } };
+    const db = createDb();
+
+    assert.deepEqual(await createScheduler(db, { queue }).runOnce(), ['consumer_cleanup']);
+    assert.deepEqual(pruned, [DAY_MS]);
+    assert.deepEqual(db.runs[0].details, { removed: ['Worker-abc123'] });
+});
+
+test('purgeGpsRawData deletes in batches until a short batch', async () => {
+    const db = new DatabaseService(config.postgres);
+    const counts = [10000, 10000, 1234];
+    const queries = [];
+    db.pool = {
+        query: async (sql, params) => {
+            queries.push(params);
+            return { rowCount: counts.shift() };
+        }
+    };
+    const cutoff = new Date('2025-10-17T00:00:00.000Z');
+
+    assert.equal(await db.purgeGpsRawData(cutoff, 10000), 21234);
+    assert.deepEqual(queries, [[cutoff, 10000], [cutoff, 10000], [cutoff, 10000]]);
+});
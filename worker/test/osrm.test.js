@@ -0,0 +1,101 @@
+/**
+ * OSRM match request and response tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const OSRMService = require('../services/osrm.service');
+
+const MATCH_OPTIONS = {
+    ...config.osrm.match,
+    timestamps: true,
+    radiuses: true,
+    gaps: 'split',
+    tidy: false
+};
+
+const osrm = (options = {}) => new OSRMService('http://osrm:5000', { ...MATCH_OPTIONS, ...options });
+
+test('estimateRadius uses the reported accuracy first', () => {
+    const point = { accuracy: 12, satellites: 3, io_elements: { 182: 30 } };
+    assert.equal(osrm().estimateRadius(point), 12);
+});
+
+test('estimateRadius falls back to HDOP, then to the satellite count', () => {
+    // HDOP 3.0 x 5m
+    assert.equal(osrm().estimateRadius({ accuracy: null, satellites: 3, io_elements: { 182: 30 } }), 15);
+    // No accuracy or HDOP: few satellites widen the radius
+    assert.equal(osrm().estimateRadius({ satellites: 4, io_elements: {} }), 25);
+    // Nothing known
+    assert.equal(osrm().estimateRadius({ satellites: 9, io_elements: {} }), 10);
+    assert.equal(osrm().estimateRadius({}), 10);
+});
+
+test('estimateRadius ignores zero accuracy and HDOP', () => {
+    assert.equal(osrm().estimateRadius({ accuracy: 0, satellites: 4, io_elements: { 182: 0 } }), 25);
+});
+
+test('estimateRadius clamps to the configured range', () => {
+    assert.equal(osrm().estimateRadius({ accuracy: 2 }), 5);
+    assert.equal(osrm().estimateRadius({ accuracy: 400 }), 50);
+});
+
+test('buildMatchQuery sends timestamps, radiuses and gaps', () => {
+    const points = [
+        { recorded_at: '2026-01-15T07:00:00.000Z', accuracy: 8 },
+        { recorded_at: '2026-01-15T07:00:30.500Z', io_elements: { 182: 12 } }
+    ];
+
+    assert.equal(
+        osrm().buildMatchQuery(points),
+        'overview=full&geometries=geojson&timestamps=1768460400;1768460430&radiuses=8.0;6.0&gaps=split'
+    );
+});
+
+test('buildMatchQuery leaves out disabled options', () => {
+    const query = osrm({ timestamps: false, radiuses: false, gaps: null, tidy: true }).buildMatchQuery([{}]);
+    assert.equal(query, 'overview=full&geometries=geojson&tidy=true');
+});
+
+const RESPONSE = {
+    code: 'Ok',
+    matchings: [
+        { confidence: 0.8, geometry: { coordinates: [[-72.5, 43.6], [-72.5, 43.601]] } },
+        { confidence: 0, geometry: { coordinates: [[-72.5, 43.603], [-72.5, 43.604]] } }
+    ],
+    tracepoints: [
+        { matchings_index: 0, distance: 1.5, location: [-72.5, 43.6] },
+        null,
+        { matchings_index: 0, distance: 2, location: [-72.5, 43.601] },
+        { matchings_index: 1, distance: 3, location: [-72.5, 43.6035] }
+    ]
+};
+
+test('parseMatchResponse maps tracepoints to their matchings as [lat, lon]', () => {
+    const { matchings } = osrm().parseMatchResponse(RESPONSE);
+
+    assert.deepEqual(matchings[0], {
+        coordinates: [[43.6, -72.5], [43.601, -72.5]],
+        confidence: 0.8,
+        tracepoints: [
+            { index: 0, distance: 1.5, location: [43.6, -72.5] },
+            { index: 2, distance: 2, location: [43.601, -72.5] }
+        ]
+    });
+    assert.equal(matchings[1].confidence, 0.5);
+    assert.deepEqual(matchings[1].tracepoints.map(t => t.index), [3]);
+});
+
+test('parseMatchResponse reports dropped points as unmatched without tidy', () => {
+    assert.deepEqual(osrm().parseMatchResponse(RESPONSE).unmatchedIndices, [1]);
+});
+
+test('parseMatchResponse does not report tidied points as unmatched', () => {
+    assert.deepEqual(osrm({ tidy: true }).parseMatchResponse(RESPONSE).unmatchedIndices, []);
+});
+
+test('parseMatchResponse returns null when nothing matched', () => {
+    assert.equal(osrm().parseMatchResponse({ code: 'NoMatch' }), null);
+    assert.equal(osrm().parseMatchResponse({ code: 'Ok', matchings: [] }), null);
+});
@@ -0,0 +1,168 @@
+/**
+ * PostGIS matcher tests
+ * The database is replaced by an in-memory road network; segment substrings
+ * are cut the way ST_LineSubstring does (planar length fractions).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PostGISMatcherService = require('../services/postgis-matcher.service');
+const { calculateDistance } = require('../utils/geo-calculations');
+
+// Quarter circle of ~111m radius, bending from eastbound to northbound
+const CURVE = Array.from({ length: 17 }, (_, k) => {
+    const angle = (k / 16) * Math.PI / 2;
+    return [-72.5 + 0.001 * Math.sin(angle), 43.6 + 0.001 * (1 - Math.cos(angle))];
+});
+// Straight segment continuing north from the end of the curve
+const STRAIGHT = [CURVE[CURVE.length - 1], [-72.499, 43.6025]];
+
+const SEGMENTS = { 1: CURVE, 2: STRAIGHT };
+
+/**
+ * Point at a planar length fraction along a line ([lon, lat] vertices)
+ */
+function interpolate(line, fraction) {
+    const lengths = line.slice(1).map((coord, i) => Math.hypot(coord[0] - line[i][0], coord[1] - line[i][1]));
+    let remaining = fraction * lengths.reduce((sum, length) => sum + length, 0);
+    for (let i = 0; i < lengths.length; i++) {
+        if (remaining <= lengths[i] || i === lengths.length - 1) {
+            const t = lengths[i] > 0 ? Math.min(remaining / lengths[i], 1) : 0;
+            return [line[i][0] + (line[i + 1][0] - line[i][0]) * t, line[i][1] + (line[i + 1][1] - line[i][1]) * t];
+        }
+        remaining -= lengths[i];
+    }
+    return line[line.length - 1];
+}
+
+/**
+ * Stretch of a line between two fractions, reversed when running backwards
+ */
+function substring(line, fromFraction, toFraction) {
+    const low = Math.min(fromFraction, toFraction);
+    const high = Math.max(fromFraction, toFraction);
+    const lengths = line.slice(1).map((coord, i) => Math.hypot(coord[0] - line[i][0], coord[1] - line[i][1]));
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+
+    const coords = [interpolate(line, low)];
+    let travelled = 0;
+    for (let i = 0; i < lengths.length - 1; i++) {
+        travelled += lengths[i];
+        const vertexFraction = travelled / total;
+        if (vertexFraction > low && vertexFraction < high) coords.push(line[i + 1]);
+    }
+    coords.push(interpolate(line, high));
+
+    return fromFraction <= toFraction ? coords : coords.reverse();
+}
+
+function candidate(segmentId, fraction, distance = 3) {
+    const line = SEGMENTS[segmentId];
+    return {
+        segmentId,
+        segmentLength: 170,
+        distance,
+        fraction,
+        snapped: interpolate(line, fraction),
+        start: line[0],
+        end: line[line.length - 1]
+    };
+}
+
+function createMatcher(candidatesPerPoint) {
+    const requested = [];
+    const db = {
+        findSegmentCandidates: async () => candidatesPerPoint,
+        getSegmentSubstrings: async (pieces) => {
+            requested.push(...pieces);
+            return pieces.map(p => substring(SEGMENTS[p.segmentId], p.fromFraction, p.toFraction));
+        }
+    };
+    return { matcher: new PostGISMatcherService(db), requested };
+}
+
+/**
+ * Distance from a [lat, lon] coordinate to the nearest vertex-interpolated point of a line
+ */
+function distanceToLine(coordinate, line) {
+    let best = Infinity;
+    for (let i = 0; i <= 1000; i++) {
+        const [lon, lat] = interpolate(line, i / 1000);
+        best = Math.min(best, calculateDistance(coordinate[0], coordinate[1], lat, lon));
+    }
+    return best;
+}
+
+const gpsPoint = (lonLat) => ({ longitude: lonLat[0], latitude: lonLat[1] });
+
+test('matched geometry follows a curved segment instead of cutting the chord', async () => {
+    const fractions = [0.05, 0.5, 0.95];
+    const { matcher, requested } = createMatcher(fractions.map(f => [candidate(1, f)]));
+
+    const result = await matcher.matchRoute(fractions.map(f => gpsPoint(interpolate(CURVE, f))));
+
+    assert.equal(result.matchings.length, 1);
+    assert.deepEqual(result.unmatchedIndices, []);
+    assert.deepEqual(
+        requested.map(p => [p.segmentId, p.fromFraction, p.toFraction]),
+        [[1, 0.05, 0.5], [1, 0.5, 0.95]]
+    );
+
+    const { coordinates, tracepoints } = result.matchings[0];
+    assert.ok(coordinates.length > fractions.length, 'curve vertices are part of the geometry');
+    for (const coordinate of coordinates) {
+        assert.ok(distanceToLine(coordinate, CURVE) < 0.5, `${coordinate} lies on the curve`);
+    }
+
+    // A straight chord between the first and last fix would stray ~30m from the road
+    const chordMidpoint = [
+        (coordinates[0][0] + coordinates[coordinates.length - 1][0]) / 2,
+        (coordinates[0][1] + coordinates[coordinates.length - 1][1]) / 2
+    ];
+    assert.ok(distanceToLine(chordMidpoint, CURVE) > 20);
+
+    assert.deepEqual(tracepoints.map(t => t.index), [0, 1, 2]);
+    assert.deepEqual(tracepoints[1].location, [interpolate(CURVE, 0.5)[1], interpolate(CURVE, 0.5)[0]]);
+});
+
+test('matched geometry runs against the segment when travelling backwards', async () => {
+    const fractions = [0.9, 0.1];
+    const { matcher, requested } = createMatcher(fractions.map(f => [candidate(1, f)]));
+
+    const result = await matcher.matchRoute(fractions.map(f => gpsPoint(interpolate(CURVE, f))));
+
+    assert.deepEqual(requested.map(p => [p.fromFraction, p.toFraction]), [[0.9, 0.1]]);
+    const { coordinates } = result.matchings[0];
+    const first = interpolate(CURVE, 0.9);
+    assert.deepEqual(coordinates[0], [first[1], first[0]]);
+});
+
+test('matched geometry turns through the junction onto a touching segment', async () => {
+    const { matcher, requested } = createMatcher([[candidate(1, 0.6)], [candidate(2, 0.5)]]);
+
+    const result = await matcher.matchRoute([
+        gpsPoint(interpolate(CURVE, 0.6)),
+        gpsPoint(interpolate(STRAIGHT, 0.5))
+    ]);
+
+    assert.deepEqual(
+        requested.map(p => [p.segmentId, p.fromFraction, p.toFraction]),
+        [[1, 0.6, 1], [2, 0, 0.5]]
+    );
+
+    const junction = CURVE[CURVE.length - 1];
+    assert.ok(result.matchings[0].coordinates.some(c => c[0] === junction[1] && c[1] === junction[0]));
+});
+
+test('a fix without candidates is reported unmatched', async () => {
+    const { matcher } = createMatcher([[candidate(1, 0.1)], [], [candidate(1, 0.4)]]);
+
+    const result = await matcher.matchRoute([
+        gpsPoint(interpolate(CURVE, 0.1)),
+        gpsPoint([-72.4, 43.7]),
+        gpsPoint(interpolate(CURVE, 0.4))
+    ]);
+
+    assert.deepEqual(result.unmatchedIndices, [1]);
+    assert.deepEqual(result.matchings[0].tracepoints.map(t => t.index), [0, 2]);
+});
@@ -0,0 +1,163 @@
+/**
+ * Trip detection tests
+ * Points move due north from a start position; speeds are what the tracker
+ * reports. Defaults: stopped at or below 3 km/h or within 50m of the stop,
+ * a stop ends a trip after 5 min, a gap over 15 min ends it too.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TripDetector = require('../services/trip-detector');
+const TripCloseSchedulerService = require('../services/trip-close-scheduler.service');
+
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+const START = new Date('2026-01-15T07:00:00.000Z').getTime();
+
+/**
+ * GPS point metersNorth of the yard, seconds after the start time
+ */
+function point(metersNorth, seconds, speed) {
+    return {
+        latitude: 43.6 + metersNorth / METERS_PER_DEGREE,
+        longitude: -72.5,
+        recorded_at: new Date(START + seconds * 1000).toISOString(),
+        speed
+    };
+}
+
+const at = (fix) => (fix.time - START) / 1000;
+
+test('no trip starts while the vehicle stays parked', () => {
+    const points = [point(0, 0, 0), point(2, 60, 0), point(1, 120, 1)];
+
+    assert.deepEqual(new TripDetector().detect(null, points), { closed: [], open: null });
+});
+
+test('a trip starts at the last stationary fix before the vehicle moves', () => {
+    const points = [point(0, 0, 0), point(0, 30, 0), point(100, 40, 36), point(200, 50, 36)];
+
+    const { closed, open } = new TripDetector().detect(null, points);
+
+    assert.deepEqual(closed, []);
+    assert.equal(at(open.start), 30);
+    assert.equal(at(open.last), 50);
+    assert.equal(open.dwell, null);
+});
+
+test('a stop of at least 5 minutes ends the trip where the vehicle stopped', () => {
+    const points = [
+        point(0, 0, 0),
+        point(100, 10, 36),
+        point(200, 20, 36),
+        point(210, 30, 0), // stopped
+        point(210, 200, 0),
+        point(210, 330, 0), // 310s after stopping
+        point(210, 400, 0)
+    ];
+
+    const { closed, open } = new TripDetector().detect(null, points);
+
+    assert.equal(closed.length, 1);
+    assert.equal(closed[0].endReason, 'stop');
+    assert.equal(at(closed[0].start), 0);
+    assert.equal(at(closed[0].end), 20);
+    assert.equal(open, null);
+});
+
+test('a shorter stop (traffic light, plowing a driveway) keeps the trip open', () => {
+    const points = [
+        point(0, 0, 0),
+        point(100, 10, 36),
+        point(100, 20, 0),
+        point(100, 200, 0), // 190s stopped
+        point(200, 210, 36)
+    ];
+
+    const { closed, open } = new TripDetector().detect(null, points);
+
+    assert.deepEqual(closed, []);
+    assert.equal(open.dwell, null);
+    assert.equal(at(open.last), 210);
+});
+
+test('creeping around within the stop radius still counts as stopped', () => {
+    const points = [
+        point(0, 0, 0),
+        point(100, 10, 36),
+        point(110, 20, 0),
+        point(130, 150, 8), // moving slowly, 30m from where it stopped
+        point(140, 320, 6) // 40m from where it stopped, 310s later
+    ];
+
+    const { closed } = new TripDetector({ minStopSeconds: 300 }).detect(null, points);
+
+    assert.equal(closed.length, 1);
+    assert.equal(closed[0].endReason, 'stop');
+    assert.equal(at(closed[0].end), 10);
+});
+
+test('a gap in reporting ends the trip at its last fix and the next trip starts after the gap', () => {
+    const points = [
+        point(0, 0, 0),
+        point(100, 10, 36),
+        point(200, 20, 36),
+        point(5000, 1020, 40), // 1000s later, already driving
+        point(5100, 1030, 40)
+    ];
+
+    const { closed, open } = new TripDetector().detect(null, points);
+
+    assert.equal(closed.length, 1);
+    assert.equal(closed[0].endReason, 'signal_lost');
+    assert.equal(at(closed[0].end), 20);
+    assert.equal(at(open.start), 1020);
+});
+
+test('detection carried across calls matches detection in one call', () => {
+    const points = [
+        point(0, 0, 0),
+        point(100, 10, 36),
+        point(200, 20, 36),
+        point(210, 30, 0),
+        point(210, 200, 0),
+        point(210, 330, 0),
+        point(300, 340, 36),
+        point(400, 350, 36)
+    ];
+    const detector = new TripDetector();
+
+    const whole = detector.detect(null, points);
+    const first = detector.detect(null, points.slice(0, 4));
+    const rest = detector.detect(first.open, points.slice(4), points[3]);
+
+    assert.deepEqual([...first.closed, ...rest.closed], whole.closed);
+    assert.deepEqual(rest.open, whole.open);
+    assert.equal(at(whole.open.start), 330);
+});
+
+test('detect does not modify the open trip it is given', () => {
+    const detector = new TripDetector();
+    const { open } = detector.detect(null, [point(0, 0, 0), point(100, 10, 36)]);
+    const snapshot = structuredClone(open);
+
+    detector.detect(open, [point(200, 20, 36), point(200, 30, 0)], point(100, 10, 36));
+
+    assert.deepEqual(open, snapshot);
+});
+
+test('the trip close scheduler closes silent trips only while holding the lock', async () => {
+    const calls = [];
+    const db = { closeStaleTrips: async (...args) => { calls.push(args); return 2; } };
+    const config = { maxGapSeconds: 900, minTripMeters: 200, closeIntervalMs: 60000, lockKey: 'gps:trip_close_lock' };
+
+    const locks = [];
+    const lockedRedis = { set: async (...args) => { locks.push(args); return 'OK'; } };
+    const scheduler = new TripCloseSchedulerService(db, lockedRedis, config, 'Worker-1');
+    assert.equal(await scheduler.runOnce(), 2);
+    assert.deepEqual(calls, [[900, 200]]);
+    assert.deepEqual(locks, [['gps:trip_close_lock', 'Worker-1', { NX: true, PX: 59000 }]]);
+
+    const busyRedis = { set: async () => null };
+    assert.equal(await new TripCloseSchedulerService(db, busyRedis, config, 'Worker-2').runOnce(), 0);
+    assert.equal(calls.length, 1);
+});
@@ -67,6 +67,75 @@ function coordinatesToWKT(coords) {
     return `LINESTRING(${wktCoords})`;
 }
 
+/**
+ * Split a line at positions along it. Each cut goes at the closest place on
+ * the line at or after the previous cut, so a route that doubles back is cut
+ * in travel order.
+ * @param {Array<Array<number>>} coords - Line as [lat, lon] coordinates
+ * @param {Array<Array<number>>} cutPoints - [lat, lon] positions in travel order
+ * @returns {Array<Array<Array<number>>>} cutPoints.length + 1 lines; neighbours share the cut coordinate
+ */
+function splitLineAtPoints(coords, cutPoints) {
+    // Local planar projection is plenty for the few hundred meters of a matching
+    const scale = Math.cos(coords[0][0] * Math.PI / 180);
+    const lines = [];
+    let current = [coords[0]];
+    let fromSegment = 0;
+    let fromT = 0;
+
+    const append = (line, coord) => {
+        const last = line[line.length - 1];
+        if (!last || last[0] !== coord[0] || last[1] !== coord[1]) {
+            line.push(coord);
+        }
+    };
+
+    for (const cut of cutPoints) {
+        let best = { distance: Infinity, segment: fromSegment, t: fromT };
+
+        for (let i = fromSegment; i < coords.length - 1; i++) {
+            const [aLat, aLon] = coords[i];
+            const [bLat, bLon] = coords[i + 1];
+            const dx = (bLon - aLon) * scale;
+            const dy = bLat - aLat;
+            const lengthSquared = dx * dx + dy * dy;
+
+            let t = lengthSquared > 0
+                ? ((cut[1] - aLon) * scale * dx + (cut[0] - aLat) * dy) / lengthSquared
+                : 0;
+            t = Math.min(Math.max(t, i === fromSegment ? fromT : 0), 1);
+
+            const px = (aLon + (bLon - aLon) * t - cut[1]) * scale;
+            const py = aLat + (bLat - aLat) * t - cut[0];
+            const distance = px * px + py * py;
+            if (distance < best.distance) {
+                best = { distance, segment: i, t };
+            }
+        }
+
+        const [aLat, aLon] = coords[best.segment];
+        const [bLat, bLon] = coords[Math.min(best.segment + 1, coords.length - 1)];
+        const position = [aLat + (bLat - aLat) * best.t, aLon + (bLon - aLon) * best.t];
+
+        for (let i = fromSegment + 1; i <= best.segment; i++) {
+            append(current, coords[i]);
+        }
+        append(current, position);
+        lines.push(current);
+
+        current = [position];
+        fromSegment = best.segment;
+        fromT = best.t;
+    }
+
+    for (let i = fromSegment + 1; i < coords.length; i++) {
+        append(current, coords[i]);
+    }
+    lines.push(current);
+
+    return lines;
+}
+
 /**
  * Check if a batch of GPS points has significant movement
  * @param {Array<Object>} batch - Array of GPS points with latitude/longitude
@@ -87,9 +156,42 @@ function hasSignificantMovement(batch, minDistanceMeters = 50) {
     return distance >= minDistanceMeters;
 }
 
+/**
+ * Calculate the speed implied by travelling between two GPS points
+ * @param {Object} from - Earlier GPS point with latitude/longitude/recorded_at
+ * @param {Object} to - Later GPS point with latitude/longitude/recorded_at
+ * @returns {number|null} Speed in km/h or null if the points share a timestamp
+ */
+function calculateImpliedSpeed(from, to) {
+    const seconds = (new Date(to.recorded_at) - new Date(from.recorded_at)) / 1000;
+    if (seconds <= 0) return null;
+    
+    const distance = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+    return distance / seconds * 3.6;
+}
+
+/**
+ * Check that a coordinate is a usable fix: within range and not the 0,0 "no fix" position
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string|null} Reason the coordinate is unusable, or null if it is fine
+ */
+function checkCoordinate(lat, lon) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return 'invalid_coordinates';
+    }
+    if (lat === 0 && lon === 0) {
+        return 'zero_coordinates';
+    }
+    return null;
+}
+
 module.exports = {
     calculateDistance,
     calculateBearing,
     coordinatesToWKT,
-    hasSignificantMovement
+    splitLineAtPoints,
+    hasSignificantMovement,
+    calculateImpliedSpeed,
+    checkCoordinate
 };
@@ -0,0 +1,89 @@
+/**
+ * Tracker IO element utilities
+ * Pure functions for reading digital inputs (blade, spreader, ignition) from GPS points
+ */
+
+/**
+ * Read an IO element value from a GPS point
+ * @param {Object} point - GPS point with io_elements map (keyed by IO ID)
+ * @param {number} ioId - IO element ID
+ * @returns {number|null} Numeric value or null if the point doesn't report it
+ */
+function getIOValue(point, ioId) {
+    if (ioId == null || !point || !point.io_elements) return null;
+
+    const value = point.io_elements[ioId];
+    if (value === undefined || value === null) return null;
+
+    const numeric = Number(value);
+    return Number.isNaN(numeric) ? null : numeric;
+}
+
+/**
+ * Determine whether an input was active on any point of a batch
+ * @param {Array<Object>} points - GPS points
+ * @param {number|null} ioId - IO element ID of the input
+ * @param {number} activeValue - Value the input reports when active
+ * @returns {boolean|null} True if active on any point, false if reported inactive
+ *                         throughout, null if no IO is mapped or no point reports it
+ */
+function wasInputActive(points, ioId, activeValue = 1) {
+    if (ioId == null) return null;
+
+    let reported = false;
+    for (const point of points) {
+        const value = getIOValue(point, ioId);
+        if (value === null) continue;
+        if (value === activeValue) return true;
+        reported = true;
+    }
+
+    return reported ? false : null;
+}
+
+/**
+ * Summarize plow blade and spreader state for a batch of GPS points
+ * @param {Array<Object>} points - GPS points with io_elements
+ * @param {Object|null} mapping - Device IO mapping (from device_io_mappings)
+ * @returns {{bladeDown: boolean|null, spreaderOn: boolean|null}} Implement state
+ */
+function getImplementState(points, mapping) {
+    if (!mapping) {
+        return { bladeDown: null, spreaderOn: null };
+    }
+
+    return {
+        bladeDown: wasInputActive(points, mapping.blade_down_io_id, mapping.blade_down_value),
+        spreaderOn: wasInputActive(points, mapping.spreader_on_io_id, mapping.spreader_on_value)
+    };
+}
+
+/**
+ * Determine whether the plow blade was down at a single GPS point
+ * @param {Object} point - GPS point with io_elements
+ * @param {Object|null} mapping - Device IO mapping (from device_io_mappings)
+ * @returns {boolean|null} Blade state, or null if not mapped or not reported by this point
+ */
+function isBladeDown(point, mapping) {
+    if (!mapping) return null;
+    return wasInputActive([point], mapping.blade_down_io_id, mapping.blade_down_value);
+}
+
+/**
+ * Read horizontal dilution of precision from a GPS point
+ * @param {Object} point - GPS point with io_elements
+ * @param {number|null} hdopIoId - IO element ID carrying HDOP x10 (Teltonika 182)
+ * @returns {number|null} HDOP or null if the point doesn't report it
+ */
+function getHdop(point, hdopIoId) {
+    const value = getIOValue(point, hdopIoId);
+    return value === null ? null : value / 10;
+}
+
+module.exports = {
+    getIOValue,
+    wasInputActive,
+    getImplementState,
+    isBladeDown,
+    getHdop
+};